@@ -1,3 +1,25 @@
 import createTSServerInstance from "./utils/server.js";
+import {TSServerError, UnsupportedCommandError} from "./utils/errors.js";
+import {createConsoleLogger, createFileLogger} from "./utils/logger.js";
+import {createPositionConverter} from "./utils/positions.js";
+import {createMemoryFileSystem} from "./utils/memoryFileSystem.js";
+import {createTSServerPool} from "./utils/serverPool.js";
+import {readTrace} from "./utils/protocolRecorder.js";
+import {replayTrace} from "./utils/protocolReplay.js";
+import {startWorkerSession} from "./utils/workerSession.js";
+import {getTypingsCacheLocation} from "./utils/typeAcquisition.js";
 
+export {
+    TSServerError,
+    UnsupportedCommandError,
+    createConsoleLogger,
+    createFileLogger,
+    createMemoryFileSystem,
+    createPositionConverter,
+    createTSServerPool,
+    getTypingsCacheLocation,
+    readTrace,
+    replayTrace,
+    startWorkerSession
+};
 export default createTSServerInstance;
@@ -0,0 +1,171 @@
+import {computeLineStarts, indexToLocation, locationToIndex} from './positions.js';
+
+/**
+ * Describes the difference between two texts as a single edit of `before`, by leaving out the longest common
+ * start and end of both texts.
+ * @param {string} before - The old text.
+ * @param {string} after - The new text.
+ * @returns {{start: {line: number, offset: number}, end: {line: number, offset: number}, newText: string}|null}
+ *          The edit with tsserver locations in `before`, or null if the texts are equal.
+ */
+function computeTextChange(before, after) {
+    if (before === after) {
+        return null;
+    }
+    const maxLength = Math.min(before.length, after.length);
+    let prefixLength = 0;
+    while (prefixLength < maxLength && before.charCodeAt(prefixLength) === after.charCodeAt(prefixLength)) {
+        prefixLength++;
+    }
+    let suffixLength = 0;
+    while (suffixLength < maxLength - prefixLength
+        && before.charCodeAt(before.length - 1 - suffixLength) === after.charCodeAt(after.length - 1 - suffixLength)) {
+        suffixLength++;
+    }
+    const lineStarts = computeLineStarts(before);
+    return {
+        start: indexToLocation(lineStarts, prefixLength),
+        end: indexToLocation(lineStarts, before.length - suffixLength),
+        newText: after.slice(prefixLength, after.length - suffixLength)
+    };
+}
+
+/**
+ * Sorts the edits of one document into document order. tsserver applies the `textChanges` of 'updateOpen' from the
+ * last to the first, which only keeps the locations of the remaining edits valid if they are in document order.
+ * Edits at the same location keep their order.
+ * @param {Object[]} textChanges - The edits, each with `start`, `end` and `newText`.
+ * @returns {Object[]} A sorted copy of the edits.
+ */
+function sortTextChanges(textChanges) {
+    return [...textChanges].sort((first, second) => first.start.line - second.start.line
+        || first.start.offset - second.start.offset);
+}
+
+/**
+ * Creates the store of the documents opened on tsserver. It keeps the current text of every open document, as
+ * tsserver sees it, and a version that increases with every edit, so that the content can be re-sent after a
+ * restart and edits can be checked against the text they were made for.
+ *
+ * @returns {Object} The document store.
+ */
+function createDocumentStore() {
+    const documents = new Map();
+
+    /**
+     * Records a document as open, replacing any document opened before under the same path.
+     * @param {string} filePath - The path of the document.
+     * @param {string} text - The content of the document.
+     * @param {Object} [openOptions] - The `scriptKindName` and `projectRootPath` the document was opened with.
+     */
+    function open(filePath, text, openOptions = {}) {
+        documents.set(filePath, {
+            filePath,
+            text,
+            version: 1,
+            scriptKindName: openOptions.scriptKindName,
+            projectRootPath: openOptions.projectRootPath
+        });
+    }
+
+    /**
+     * Replaces the text between two tsserver locations of an open document.
+     * @param {string} filePath - The path of the document.
+     * @param {{line: number, offset: number}} start - The start of the replaced range.
+     * @param {{line: number, offset: number}} end - The end of the replaced range.
+     * @param {string} newText - The text inserted in place of the range.
+     * @returns {boolean} True if the document is open and was changed.
+     */
+    function applyChange(filePath, start, end, newText) {
+        return applyChanges(filePath, [{start, end, newText}]);
+    }
+
+    /**
+     * Applies several edits to an open document the way tsserver applies the `textChanges` of `updateOpen`: all
+     * locations refer to the text before the edits, and the edits must not overlap. They may come in any order,
+     * see `sortTextChanges`.
+     * @param {string} filePath - The path of the document.
+     * @param {Object[]} textChanges - The edits, each with `start`, `end` and `newText`.
+     * @returns {boolean} True if the document is open and was changed.
+     */
+    function applyChanges(filePath, textChanges) {
+        const document = documents.get(filePath);
+        if (!document) {
+            return false;
+        }
+        const lineStarts = computeLineStarts(document.text);
+        const edits = sortTextChanges(textChanges).map((change) => ({
+            start: locationToIndex(document.text, lineStarts, change.start),
+            end: locationToIndex(document.text, lineStarts, change.end),
+            newText: change.newText
+        }));
+        let text = document.text;
+        // Applied from the last edit to the first, so the indexes of the remaining edits stay valid.
+        for (let index = edits.length - 1; index >= 0; index--) {
+            const edit = edits[index];
+            text = text.slice(0, edit.start) + edit.newText + text.slice(Math.max(edit.end, edit.start));
+        }
+        document.text = text;
+        document.version += textChanges.length;
+        return true;
+    }
+
+    /**
+     * Replaces the whole text of an open document, e.g. after it was reloaded from another file.
+     * @param {string} filePath - The path of the document.
+     * @param {string} text - The new content.
+     * @returns {boolean} True if the document is open and was changed.
+     */
+    function setText(filePath, text) {
+        const document = documents.get(filePath);
+        if (!document) {
+            return false;
+        }
+        document.text = text;
+        document.version++;
+        return true;
+    }
+
+    /**
+     * Forgets a closed document.
+     * @param {string} filePath - The path of the document.
+     */
+    function close(filePath) {
+        documents.delete(filePath);
+    }
+
+    /**
+     * @param {string} filePath - The path of the document.
+     * @returns {{filePath: string, text: string, version: number, scriptKindName: (string|undefined),
+     *          projectRootPath: (string|undefined)}|undefined} A snapshot of the open document, or undefined if
+     *          it is not open.
+     */
+    function get(filePath) {
+        const document = documents.get(filePath);
+        return document ? {...document} : undefined;
+    }
+
+    /**
+     * @returns {Object[]} Snapshots of all open documents in the order they were opened, see `get`.
+     */
+    function list() {
+        return [...documents.values()].map((document) => ({...document}));
+    }
+
+    return {
+        open,
+        applyChange,
+        applyChanges,
+        setText,
+        close,
+        has: (filePath) => documents.has(filePath),
+        get,
+        list
+    };
+}
+
+export {
+    computeTextChange,
+    sortTextChanges,
+    createDocumentStore
+};
@@ -0,0 +1,240 @@
+import fs from 'fs';
+import path from 'path';
+import {computeTextChange} from './documentStore.js';
+import {computeLineStarts, locationToIndex} from './positions.js';
+
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * Sorts the edits of one file by position, keeping the given order of edits at the same position, and checks
+ * that they do not overlap.
+ * @param {Object[]} codeEdits - Edits in the tsserver `CodeEdit` format, each with `start`, `end` and `newText`.
+ * @returns {Object[]} The edits in document order.
+ * @throws {Error} If two edits overlap.
+ */
+function sortCodeEdits(codeEdits) {
+    const compare = (first, second) => first.line - second.line || first.offset - second.offset;
+    const sorted = codeEdits
+        .map((edit, index) => ({edit, index}))
+        .sort((first, second) => compare(first.edit.start, second.edit.start) || first.index - second.index)
+        .map(({edit}) => edit);
+    for (let index = 1; index < sorted.length; index++) {
+        if (compare(sorted[index - 1].end, sorted[index].start) > 0) {
+            const {line, offset} = sorted[index].start;
+            throw new Error(`Overlapping edits at line ${line}, offset ${offset}`);
+        }
+    }
+    return sorted;
+}
+
+/**
+ * Applies tsserver edits to a text. All locations refer to the text before the edits, the edits are applied from
+ * the bottom of the text to the top so that applying one edit does not move the others.
+ * @param {string} text - The text to edit.
+ * @param {Object[]} codeEdits - Edits in the tsserver `CodeEdit` format, each with `start`, `end` and `newText`.
+ * @returns {string} The edited text.
+ * @throws {Error} If two edits overlap.
+ */
+function applyCodeEditsToText(text, codeEdits) {
+    const lineStarts = computeLineStarts(text);
+    const sorted = sortCodeEdits(codeEdits);
+    let result = text;
+    for (let index = sorted.length - 1; index >= 0; index--) {
+        const edit = sorted[index];
+        const start = locationToIndex(text, lineStarts, edit.start);
+        const end = locationToIndex(text, lineStarts, edit.end);
+        result = result.slice(0, start) + edit.newText + result.slice(end);
+    }
+    return result;
+}
+
+/**
+ * Checks whether the edits of a file create it. The tsserver protocol does not pass on `isNewFile`, it marks the
+ * content of a new file as a single insertion at line 0, offset 0 instead.
+ * @param {Object} fileCodeEdits - The edits of one file, with `textChanges` and optionally `isNewFile`.
+ * @returns {boolean} True if the edits create the file.
+ */
+function isNewFileEdit(fileCodeEdits) {
+    if (fileCodeEdits.isNewFile) {
+        return true;
+    }
+    const {textChanges} = fileCodeEdits;
+    return textChanges.length === 1 && textChanges[0].start.line === 0 && textChanges[0].start.offset === 0;
+}
+
+/**
+ * Turns the response body of a 'rename' request into `FileCodeEdits` that rename every location.
+ * @param {Object} renameBody - The `body` of the rename response, with `info` and `locs`.
+ * @param {string} newName - The new name of the symbol.
+ * @returns {Object[]} The edits per file, each with `fileName` and `textChanges`.
+ * @throws {Error} If tsserver reported that the symbol cannot be renamed.
+ */
+function renameLocationsToFileCodeEdits(renameBody, newName) {
+    if (renameBody.info && renameBody.info.canRename === false) {
+        throw new Error(renameBody.info.localizedErrorMessage || 'The symbol cannot be renamed');
+    }
+    return (renameBody.locs || []).map((fileLocations) => ({
+        fileName: fileLocations.file,
+        textChanges: fileLocations.locs.map((location) => ({
+            start: location.start,
+            end: location.end,
+            newText: `${location.prefixText || ''}${newName}${location.suffixText || ''}`
+        }))
+    }));
+}
+
+// Reads and writes files on disk. Text is handled without the byte order mark, which tsserver does not count in
+// its locations, and the mark is kept when a file that had one is written back.
+const nodeFileSystem = {
+    async readFile(filePath) {
+        try {
+            return await fs.promises.readFile(filePath, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return undefined;
+            }
+            throw e;
+        }
+    },
+    async writeFile(filePath, text) {
+        await fs.promises.mkdir(path.dirname(filePath), {recursive: true});
+        await fs.promises.writeFile(filePath, text, 'utf8');
+    },
+    async deleteFile(filePath) {
+        await fs.promises.rm(filePath, {force: true});
+    }
+};
+
+/**
+ * Creates the applier for edits returned by tsserver, e.g. by 'getCodeFixes', 'getCombinedCodeFix',
+ * 'getEditsForRefactor', 'organizeImports', 'getEditsForFileRename' and 'format'.
+ *
+ * Edits to open documents are made through the host, which keeps the document and tsserver in sync. Edits to other
+ * files are written to disk, and new files are created. All edits are checked before anything
+ * is changed, so an invalid edit leaves every file untouched.
+ *
+ * @param {Object} host - Access to the open documents.
+ * @param {function(string): (string|undefined)} host.getDocumentText - Returns the text of an open document, or
+ *                                  undefined if the file is not open.
+ * @param {function(string, Object[]): Promise} host.updateDocument - Applies edits in document order to an open
+ *                                  document and sends them to tsserver.
+ * @param {Object} [host.fileSystem] - Optional. Replaces disk access, an object with the async functions
+ *                                  `readFile(path)` resolving to undefined for missing files, `writeFile(path, text)`
+ *                                  and `deleteFile(path)`.
+ * @returns {{applyFileCodeEdits: function(Object[]): Promise<Object>, undo: function(Object): Promise<void>}}
+ *          `applyFileCodeEdits` resolves with an undo record that `undo` reverts.
+ */
+function createEditApplier(host) {
+    const fileSystem = host.fileSystem || nodeFileSystem;
+
+    /**
+     * Groups edits by file, in the order the files first appear. tsserver may list a file more than once, e.g. in
+     * combined code fixes.
+     * @param {Object[]} fileCodeEdits - Edits per file, each with `fileName`, `textChanges` and `isNewFile`.
+     * @returns {Map<string, {codeEdits: Object[], isNewFile: boolean}>} The edits per file.
+     */
+    function groupByFile(fileCodeEdits) {
+        const files = new Map();
+        for (const fileCodeEdit of fileCodeEdits) {
+            if (!files.has(fileCodeEdit.fileName)) {
+                files.set(fileCodeEdit.fileName, {codeEdits: [], isNewFile: false});
+            }
+            const file = files.get(fileCodeEdit.fileName);
+            file.codeEdits.push(...fileCodeEdit.textChanges);
+            file.isNewFile = file.isNewFile || isNewFileEdit(fileCodeEdit);
+        }
+        return files;
+    }
+
+    /**
+     * Applies edits to open documents and files on disk.
+     *
+     * @param {Object[]} fileCodeEdits - Edits per file in the tsserver `FileCodeEdits` format, each with
+     *                                   `fileName`, `textChanges` and optionally `isNewFile`.
+     * @returns {Promise<Object>} A promise that resolves with an undo record once all edits are made. It rejects
+     *                            without changing anything if edits overlap, if a file to edit does not exist or if
+     *                            a file marked with `isNewFile` already exists.
+     */
+    async function applyFileCodeEdits(fileCodeEdits) {
+        const plannedChanges = [];
+        for (const [fileName, {codeEdits, isNewFile}] of groupByFile(fileCodeEdits)) {
+            const documentText = host.getDocumentText(fileName);
+            const diskText = documentText === undefined ? await fileSystem.readFile(fileName) : undefined;
+            if (isNewFile && (documentText !== undefined || diskText !== undefined)) {
+                throw new Error(`Cannot create ${fileName}, the file already exists`);
+            }
+            if (!isNewFile && documentText === undefined && diskText === undefined) {
+                throw new Error(`Cannot edit ${fileName}, the file does not exist`);
+            }
+            const hasByteOrderMark = Boolean(diskText && diskText.startsWith(BYTE_ORDER_MARK));
+            const previousText = documentText !== undefined ? documentText
+                : (diskText || '').slice(hasByteOrderMark ? 1 : 0);
+            plannedChanges.push({
+                fileName,
+                target: documentText !== undefined ? 'document' : 'disk',
+                created: isNewFile,
+                hasByteOrderMark,
+                codeEdits: sortCodeEdits(codeEdits),
+                previousText,
+                newText: applyCodeEditsToText(previousText, codeEdits)
+            });
+        }
+        for (const change of plannedChanges) {
+            if (change.target === 'document') {
+                await host.updateDocument(change.fileName, change.codeEdits);
+            } else {
+                await fileSystem.writeFile(change.fileName,
+                    (change.hasByteOrderMark ? BYTE_ORDER_MARK : '') + change.newText);
+            }
+        }
+        return {
+            changes: plannedChanges.map(({fileName, target, created, hasByteOrderMark, previousText, newText}) =>
+                ({fileName, target, created, hasByteOrderMark, previousText, newText}))
+        };
+    }
+
+    /**
+     * Reverts the edits described by an undo record, the last edited file first. Files created by the edits are
+     * deleted.
+     *
+     * @param {Object} undoRecord - The record returned by `applyFileCodeEdits`.
+     * @returns {Promise<void>} A promise that resolves once all edits are reverted. It rejects without changing
+     *                          anything if a file was changed again since the edits were made.
+     */
+    async function undo(undoRecord) {
+        const changes = [...undoRecord.changes].reverse();
+        for (const change of changes) {
+            let currentText = host.getDocumentText(change.fileName);
+            if (change.target === 'disk' || currentText === undefined) {
+                const diskText = await fileSystem.readFile(change.fileName);
+                currentText = diskText && diskText.startsWith(BYTE_ORDER_MARK) ? diskText.slice(1) : diskText;
+            }
+            if (currentText !== change.newText) {
+                throw new Error(`Cannot undo the edits of ${change.fileName}, the file was changed since`);
+            }
+        }
+        for (const change of changes) {
+            if (change.target === 'document' && host.getDocumentText(change.fileName) !== undefined) {
+                const textChange = computeTextChange(change.newText, change.previousText);
+                await host.updateDocument(change.fileName, textChange ? [textChange] : []);
+            } else if (change.created) {
+                await fileSystem.deleteFile(change.fileName);
+            } else {
+                await fileSystem.writeFile(change.fileName,
+                    (change.hasByteOrderMark ? BYTE_ORDER_MARK : '') + change.previousText);
+            }
+        }
+    }
+
+    return {
+        applyFileCodeEdits,
+        undo
+    };
+}
+
+export {
+    sortCodeEdits,
+    applyCodeEditsToText,
+    renameLocationsToFileCodeEdits,
+    createEditApplier
+};
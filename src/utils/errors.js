@@ -0,0 +1,48 @@
+/**
+ * Error used to reject a request that tsserver answered with `success: false`, e.g. "No Project" or
+ * "Unrecognized JSON command". When tsserver failed while processing the request, its message is followed by
+ * the server side stack trace, which is split off into `serverStack`.
+ */
+class TSServerError extends Error {
+    /**
+     * @param {string} command - The command that failed.
+     * @param {number} seq - The sequence number of the failed request.
+     * @param {string} [serverMessage] - The `message` field of the tsserver response.
+     * @param {Object} [response] - The complete response received from tsserver.
+     */
+    constructor(command, seq, serverMessage = '', response = undefined) {
+        const newLineIndex = serverMessage.indexOf('\n');
+        const message = newLineIndex === -1 ? serverMessage : serverMessage.substring(0, newLineIndex);
+        super(message || `tsserver request '${command}' failed`);
+        this.name = 'TSServerError';
+        this.command = command;
+        this.seq = seq;
+        this.serverStack = newLineIndex === -1 ? undefined : serverMessage.substring(newLineIndex + 1);
+        this.response = response;
+    }
+}
+
+/**
+ * Error used to reject a request for a command that the running tsserver does not have yet, because its TypeScript
+ * version is older than the one that introduced the command. The request is not sent to tsserver.
+ */
+class UnsupportedCommandError extends Error {
+    /**
+     * @param {string} command - The command that was requested.
+     * @param {string} requiredVersion - The TypeScript version that introduced the command.
+     * @param {string} version - The TypeScript version of the running tsserver.
+     */
+    constructor(command, requiredVersion, version) {
+        super(`tsserver request '${command}' requires TypeScript ${requiredVersion} or newer, `
+            + `the server runs TypeScript ${version}`);
+        this.name = 'UnsupportedCommandError';
+        this.command = command;
+        this.requiredVersion = requiredVersion;
+        this.version = version;
+    }
+}
+
+export {
+    TSServerError,
+    UnsupportedCommandError
+};
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+
+// The time in milliseconds changes are collected before they are sent to tsserver together, so that a git checkout
+// or an npm install does not make tsserver update its projects for every single file.
+const DEFAULT_BATCH_DELAY = 100;
+
+// The list of a watchChange entry that holds the paths of each event type.
+const CHANGE_LISTS = {create: 'created', delete: 'deleted', update: 'updated'};
+
+/**
+ * Creates the watchers tsserver asks for when it runs with `--canUseWatchEvents`. Instead of watching files itself,
+ * tsserver then sends `createFileWatcher`, `createDirectoryWatcher` and `closeFileWatcher` events, and expects the
+ * host to report changes with 'watchChange' notifications.
+ *
+ * A file is watched through the folder containing it, and every folder is watched once no matter how many
+ * watchers need it, which keeps the number of open handles low. A watcher whose folder does not exist is ignored.
+ * Changes are collected for `batchDelay` milliseconds and reported to `onChanges` as a list of
+ * `{id, created, deleted, updated}` entries, each with the paths that changed for the watcher with that `id`.
+ *
+ * @param {function(Object[])} onChanges - Called with the changes collected since the last call.
+ * @param {Object} [options] - Optional settings.
+ * @param {number} [options.batchDelay=100] - The time in milliseconds changes are collected.
+ * @param {Object} [options.logger] - A logger with `debug`, as normalized by the instance.
+ * @param {function} [options.watch=fs.watch] - Watches a folder, with the signature of `fs.watch`.
+ * @returns {{handleEvent: function(Object): boolean, closeAll: function()}} `handleEvent` takes every event of
+ *          tsserver and returns true for the watcher events, `closeAll` closes every watcher, e.g. once tsserver
+ *          exited.
+ *
+ * Example usage:
+ * ```
+ * const hostWatcher = createHostWatcher((changes) => writeToServer({command: 'watchChange', arguments: changes}));
+ * hostWatcher.handleEvent({type: 'event', event: 'createFileWatcher', body: {id: 1, path: '/project/a.ts'}});
+ * ```
+ */
+function createHostWatcher(onChanges, options = {}) {
+    const {batchDelay = DEFAULT_BATCH_DELAY, logger = {debug: () => {}}, watch = fs.watch} = options;
+    // id => {close}
+    const watchers = new Map();
+    // `${recursive}:${folder}` => {close, listeners: Set}
+    const folderWatches = new Map();
+    // id => Map(path => 'create' | 'delete' | 'update'), in the order the paths changed
+    const pendingChanges = new Map();
+    let flushTimer = null;
+
+    /**
+     * Adds a listener to the watch of a folder, starting the watch if it is the first listener.
+     * @param {string} folderPath - The folder to watch.
+     * @param {boolean} recursive - Whether changes in subfolders are reported.
+     * @param {function(string, string)} listener - Called with the `fs.watch` event type and the path of the changed
+     *                                   entry relative to the folder.
+     * @returns {function()|null} Removes the listener, or null if the folder could not be watched.
+     */
+    function addFolderListener(folderPath, recursive, listener) {
+        const key = `${recursive}:${folderPath}`;
+        if (!folderWatches.has(key)) {
+            const newWatch = {listeners: new Set()};
+            let fsWatcher;
+            try {
+                fsWatcher = watch(folderPath, {recursive, persistent: false}, (eventType, fileName) => {
+                    if (fileName) {
+                        for (const folderListener of [...newWatch.listeners]) {
+                            folderListener(eventType, `${fileName}`.split(path.sep).join('/'));
+                        }
+                    }
+                });
+            } catch (e) {
+                logger.debug('Could not watch folder for tsserver', {path: folderPath, error: e});
+                return null;
+            }
+            newWatch.close = () => fsWatcher.close();
+            // A watched folder that is deleted ends its watch, tsserver is told about the deletion by the parent.
+            fsWatcher.on('error', (error) => {
+                logger.debug('Folder watch for tsserver ended', {path: folderPath, error});
+                closeFolderWatch(key, newWatch);
+            });
+            folderWatches.set(key, newWatch);
+        }
+        const folderWatch = folderWatches.get(key);
+        folderWatch.listeners.add(listener);
+        return () => {
+            folderWatch.listeners.delete(listener);
+            if (!folderWatch.listeners.size) {
+                closeFolderWatch(key, folderWatch);
+            }
+        };
+    }
+
+    /**
+     * Ends the watch of a folder, unless it was already replaced by a new watch of the same folder.
+     * @param {string} key - The key of the watch in `folderWatches`.
+     * @param {Object} folderWatch - The watch to end.
+     */
+    function closeFolderWatch(key, folderWatch) {
+        if (folderWatches.get(key) === folderWatch) {
+            folderWatches.delete(key);
+            folderWatch.close();
+        }
+    }
+
+    /**
+     * @param {string} eventType - The `fs.watch` event type, 'rename' or 'change'.
+     * @param {string} entryPath - The path of the changed entry.
+     * @returns {string} The watchChange event type: a rename creates or deletes the entry.
+     */
+    function getEventType(eventType, entryPath) {
+        if (eventType !== 'rename') {
+            return 'update';
+        }
+        return fs.existsSync(entryPath) ? 'create' : 'delete';
+    }
+
+    function queueChange(id, entryPath, eventType) {
+        if (!pendingChanges.has(id)) {
+            pendingChanges.set(id, new Map());
+        }
+        const changes = pendingChanges.get(id);
+        // A file that was created and then written to is still new to tsserver.
+        if (!(eventType === 'update' && changes.get(entryPath) === 'create')) {
+            changes.delete(entryPath);
+            changes.set(entryPath, eventType);
+        }
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, batchDelay);
+            flushTimer.unref();
+        }
+    }
+
+    function flush() {
+        flushTimer = null;
+        const changes = [];
+        for (const [id, entries] of pendingChanges) {
+            const change = {id, created: [], deleted: [], updated: []};
+            for (const [entryPath, eventType] of entries) {
+                change[CHANGE_LISTS[eventType]].push(entryPath);
+            }
+            changes.push(change);
+        }
+        pendingChanges.clear();
+        if (changes.length) {
+            onChanges(changes);
+        }
+    }
+
+    function createFileWatcher({id, path: filePath}) {
+        const folderPath = path.dirname(filePath);
+        const fileName = path.basename(filePath);
+        const removeListener = addFolderListener(folderPath, false, (eventType, entryName) => {
+            if (entryName === fileName) {
+                queueChange(id, filePath, getEventType(eventType, filePath));
+            }
+        });
+        if (removeListener) {
+            watchers.set(id, {close: removeListener});
+        }
+    }
+
+    function createDirectoryWatcher({id, path: folderPath, recursive}) {
+        const removeListener = addFolderListener(folderPath, Boolean(recursive), (eventType, entryName) => {
+            // tsserver only reacts to entries that appear or disappear in a watched folder.
+            if (eventType === 'rename') {
+                const entryPath = `${folderPath.replace(/\/$/, '')}/${entryName}`;
+                queueChange(id, entryPath, getEventType(eventType, entryPath));
+            }
+        });
+        if (removeListener) {
+            watchers.set(id, {close: removeListener});
+        }
+    }
+
+    function closeFileWatcher({id}) {
+        const watcher = watchers.get(id);
+        if (watcher) {
+            watchers.delete(id);
+            pendingChanges.delete(id);
+            watcher.close();
+        }
+    }
+
+    function handleEvent(event) {
+        const handlers = {createFileWatcher, createDirectoryWatcher, closeFileWatcher};
+        if (!handlers[event.event] || !event.body) {
+            return false;
+        }
+        logger.debug('tsserver watch event', {event: event.event, id: event.body.id, path: event.body.path});
+        handlers[event.event](event.body);
+        return true;
+    }
+
+    function closeAll() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        pendingChanges.clear();
+        watchers.clear();
+        for (const [key, folderWatch] of [...folderWatches]) {
+            closeFolderWatch(key, folderWatch);
+        }
+    }
+
+    return {
+        handleEvent,
+        closeAll
+    };
+}
+
+export {
+    createHostWatcher
+};
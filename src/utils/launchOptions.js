@@ -0,0 +1,107 @@
+const LOG_VERBOSITIES = ['terse', 'normal', 'requestTime', 'verbose'];
+
+function expectString(name, value) {
+    if (typeof value !== 'string' || !value) {
+        throw new TypeError(`Launch option '${name}' must be a non-empty string`);
+    }
+}
+
+function expectBoolean(name, value) {
+    if (typeof value !== 'boolean') {
+        throw new TypeError(`Launch option '${name}' must be a boolean`);
+    }
+}
+
+function expectStringArray(name, value) {
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item || item.includes(','))) {
+        throw new TypeError(`Launch option '${name}' must be an array of non-empty strings without commas`);
+    }
+}
+
+// Validates an option and returns the command line arguments for it. `node` arguments go to the Node.js process
+// running tsserver, `server` arguments to tsserver itself.
+const LAUNCH_OPTIONS = {
+    locale(value) {
+        expectString('locale', value);
+        return {server: ['--locale', value]};
+    },
+    logFile(value) {
+        expectString('logFile', value);
+        return {server: ['--logFile', value]};
+    },
+    logVerbosity(value) {
+        if (!LOG_VERBOSITIES.includes(value)) {
+            throw new TypeError(`Launch option 'logVerbosity' must be one of ${LOG_VERBOSITIES.join(', ')}`);
+        }
+        return {server: ['--logVerbosity', value]};
+    },
+    traceDirectory(value) {
+        expectString('traceDirectory', value);
+        return {server: ['--traceDirectory', value]};
+    },
+    maxNodeOldSpaceSize(value) {
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new TypeError(`Launch option 'maxNodeOldSpaceSize' must be a positive integer of megabytes`);
+        }
+        return {node: [`--max-old-space-size=${value}`]};
+    },
+    disableAutomaticTypingAcquisition(value) {
+        expectBoolean('disableAutomaticTypingAcquisition', value);
+        return {server: value ? ['--disableAutomaticTypingAcquisition'] : []};
+    },
+    globalPlugins(value) {
+        expectStringArray('globalPlugins', value);
+        return {server: value.length ? ['--globalPlugins', value.join(',')] : []};
+    },
+    pluginProbeLocations(value) {
+        expectStringArray('pluginProbeLocations', value);
+        return {server: value.length ? ['--pluginProbeLocations', value.join(',')] : []};
+    },
+    allowLocalPluginLoads(value) {
+        expectBoolean('allowLocalPluginLoads', value);
+        return {server: value ? ['--allowLocalPluginLoads'] : []};
+    },
+    npmLocation(value) {
+        expectString('npmLocation', value);
+        return {server: ['--npmLocation', value]};
+    },
+    noGetErrOnBackgroundUpdate(value) {
+        expectBoolean('noGetErrOnBackgroundUpdate', value);
+        return {server: value ? ['--noGetErrOnBackgroundUpdate'] : []};
+    }
+};
+
+/**
+ * Validates the launch options given to `init` and turns them into command line arguments.
+ *
+ * @param {Object} [launchOptions] - The launch options, see `init` in `server.js` for the supported options.
+ *                                   Options that are undefined are ignored.
+ * @returns {{nodeArgs: string[], serverArgs: string[]}} The arguments for the Node.js process running tsserver,
+ *          placed before the tsserver script, and the arguments for tsserver itself.
+ * @throws {TypeError} If an option is unknown or has an invalid value.
+ */
+function buildLaunchArguments(launchOptions = {}) {
+    if (typeof launchOptions !== 'object' || launchOptions === null || Array.isArray(launchOptions)) {
+        throw new TypeError('Launch options must be an object');
+    }
+    const nodeArgs = [];
+    const serverArgs = [];
+    for (const [name, value] of Object.entries(launchOptions)) {
+        if (!Object.prototype.hasOwnProperty.call(LAUNCH_OPTIONS, name)) {
+            throw new TypeError(`Unknown launch option '${name}', expected one of `
+                + Object.keys(LAUNCH_OPTIONS).join(', '));
+        }
+        if (value === undefined) {
+            continue;
+        }
+        const args = LAUNCH_OPTIONS[name](value);
+        nodeArgs.push(...(args.node || []));
+        serverArgs.push(...(args.server || []));
+    }
+    return {nodeArgs, serverArgs};
+}
+
+export {
+    LOG_VERBOSITIES,
+    buildLaunchArguments
+};
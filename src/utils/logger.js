@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+/**
+ * Builds a logger with all levels from a partial logger. Levels the given logger does not implement are silent,
+ * and a logger that throws never breaks the caller.
+ *
+ * A logger is any object with some of the methods `trace`, `debug`, `info`, `warn` and `error`. Each method is
+ * called with a message and an object of structured fields, e.g. `{seq: 3, command: 'quickinfo', duration: 12}`.
+ *
+ * @param {Object} [logger] - The logger to wrap. If not provided, all levels are silent.
+ * @returns {Object} A logger with a method for every level.
+ */
+function normalizeLogger(logger) {
+    const normalized = {};
+    for (const level of LOG_LEVELS) {
+        const method = logger && logger[level];
+        normalized[level] = typeof method !== 'function' ? () => {} : (message, fields) => {
+            try {
+                method.call(logger, message, fields || {});
+            } catch (e) {
+                // A broken logger must not break tsserver communication.
+            }
+        };
+    }
+    return normalized;
+}
+
+/**
+ * Creates a logger that adds the same structured fields to every entry before handing it to another logger, e.g.
+ * to tell apart the output of several tsserver processes.
+ *
+ * @param {Object} [logger] - The logger to write to.
+ * @param {Object} fields - The fields added to every entry. Fields given with an entry take precedence.
+ * @returns {Object} A logger.
+ */
+function withLogFields(logger, fields) {
+    const target = normalizeLogger(logger);
+    const child = {};
+    for (const level of LOG_LEVELS) {
+        child[level] = (message, entryFields) => target[level](message, {...fields, ...entryFields});
+    }
+    return child;
+}
+
+/**
+ * @param {string} level - One of `trace`, `debug`, `info`, `warn` or `error`.
+ * @returns {number} The position of the level, higher is more severe.
+ */
+function getLevelIndex(level) {
+    const index = LOG_LEVELS.indexOf(level);
+    if (index === -1) {
+        throw new Error(`Unknown log level '${level}', expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+    return index;
+}
+
+/**
+ * Creates a logger that writes to the console, for debugging during development.
+ *
+ * @param {string} [minLevel='info'] - The least severe level that is written.
+ * @returns {Object} A logger.
+ */
+function createConsoleLogger(minLevel = 'info') {
+    const minLevelIndex = getLevelIndex(minLevel);
+    const logger = {};
+    for (const level of LOG_LEVELS) {
+        const method = level === 'trace' ? 'debug' : level;
+        logger[level] = (message, fields) => {
+            if (getLevelIndex(level) >= minLevelIndex) {
+                console[method](`[tsserver] ${message}`, fields);
+            }
+        };
+    }
+    return logger;
+}
+
+/**
+ * A replacer for `JSON.stringify` that writes errors with their name, message and stack. `JSON.stringify` would
+ * write an `Error` as `{}`, since none of its properties are enumerable.
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value to write.
+ * @returns {*} The value, or the fields of an error.
+ */
+function replaceErrors(key, value) {
+    if (value instanceof Error) {
+        return {name: value.name, message: value.message, stack: value.stack};
+    }
+    return value;
+}
+
+/**
+ * Creates a logger that appends one JSON object per line to a log file and rotates the file once it grows beyond
+ * `maxSize`. On rotation `file.log` becomes `file.log.1`, `file.log.1` becomes `file.log.2` and so on, and the
+ * oldest file beyond `maxFiles` is deleted.
+ *
+ * Example usage:
+ * ```
+ * const tsServer = createTSServerInstance(true, {
+ *   logger: createFileLogger({filePath: '/tmp/tsserver-client.log', minLevel: 'debug'})
+ * });
+ * ```
+ *
+ * @param {Object} options - The logger settings.
+ * @param {string} options.filePath - The path of the log file. Its directory is created if needed.
+ * @param {string} [options.minLevel='info'] - The least severe level that is written.
+ * @param {number} [options.maxSize=5242880] - The size in bytes after which the file is rotated.
+ * @param {number} [options.maxFiles=3] - The number of rotated files to keep next to the current one.
+ * @returns {Object} A logger.
+ */
+function createFileLogger({filePath, minLevel = 'info', maxSize = 5 * 1024 * 1024, maxFiles = 3}) {
+    if (!filePath) {
+        throw new Error('createFileLogger requires a filePath');
+    }
+    const minLevelIndex = getLevelIndex(minLevel);
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+    function rotate() {
+        fs.rmSync(`${filePath}.${maxFiles}`, {force: true});
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${filePath}.${index}`)) {
+                fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+            }
+        }
+        if (maxFiles > 0) {
+            fs.renameSync(filePath, `${filePath}.1`);
+        } else {
+            fs.rmSync(filePath, {force: true});
+        }
+        size = 0;
+    }
+
+    function write(level, message, fields) {
+        if (getLevelIndex(level) < minLevelIndex) {
+            return;
+        }
+        const entry = {time: new Date().toISOString(), level, message, ...fields};
+        const line = `${JSON.stringify(entry, replaceErrors)}\n`;
+        const lineSize = Buffer.byteLength(line, 'utf8');
+        if (size && size + lineSize > maxSize) {
+            rotate();
+        }
+        fs.appendFileSync(filePath, line);
+        size += lineSize;
+    }
+
+    const logger = {};
+    for (const level of LOG_LEVELS) {
+        logger[level] = (message, fields) => write(level, message, fields);
+    }
+    return logger;
+}
+
+export {
+    LOG_LEVELS,
+    normalizeLogger,
+    withLogFields,
+    createConsoleLogger,
+    createFileLogger
+};
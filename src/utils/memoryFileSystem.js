@@ -0,0 +1,168 @@
+// The file system interface of the worker backend. All functions are synchronous, because tsserver reads files
+// synchronously:
+// - readFile(path): the text of a file, or undefined if it does not exist.
+// - writeFile(path, text): creates or replaces a file and the folders above it.
+// - deleteFile(path): removes a file, if it exists.
+// - fileExists(path), directoryExists(path): booleans.
+// - getEntries(path): the names of the `files` and `directories` directly inside a folder.
+// - getModifiedTime(path): the time a file was last written as a Date, or undefined.
+// Paths are absolute and use forward slashes. This module does not use Node.js APIs, so that it runs in a browser
+// Web Worker as well.
+
+/**
+ * @param {string} filePath - An absolute path, with forward or back slashes.
+ * @returns {string} The path with forward slashes and without a trailing slash.
+ */
+function normalizeVirtualPath(filePath) {
+    const normalized = filePath.replace(/\\/g, '/').replace(/\/{2,}/g, '/');
+    return normalized.length > 1 && normalized.endsWith('/') && !/^[A-Za-z]:\/$/.test(normalized)
+        ? normalized.slice(0, -1) : normalized;
+}
+
+/**
+ * @param {string} filePath - A normalized path.
+ * @returns {string} The folder containing it.
+ */
+function getParentPath(filePath) {
+    const index = filePath.lastIndexOf('/');
+    if (index <= 0) {
+        return '/';
+    }
+    // Keep the slash of a drive root, e.g. `c:/`.
+    return /^[A-Za-z]:$/.test(filePath.slice(0, index)) ? filePath.slice(0, index + 1) : filePath.slice(0, index);
+}
+
+/**
+ * @param {string} directoryPath - A normalized folder path.
+ * @param {string} name - The name of an entry in the folder.
+ * @returns {string} The path of the entry.
+ */
+function joinVirtualPath(directoryPath, name) {
+    return directoryPath.endsWith('/') ? `${directoryPath}${name}` : `${directoryPath}/${name}`;
+}
+
+/**
+ * Creates a file system that keeps its files in memory, the default file system of the worker backend.
+ *
+ * A `fallback` file system is consulted for the files that were never written to memory, e.g. to read the
+ * `lib.*.d.ts` files of TypeScript from disk or from a bundle. It is only read from: writes go to memory, and a
+ * deleted file is hidden even if the fallback has it.
+ *
+ * @param {Object<string, string>} [files] - The initial files, text by absolute path.
+ * @param {Object} [options] - Optional settings.
+ * @param {Object} [options.fallback] - A file system with the same functions, only read from.
+ * @returns {Object} The file system, see the interface described at the top of this module.
+ *
+ * Example usage:
+ * ```
+ * const fileSystem = createMemoryFileSystem({'/project/src/main.ts': 'export const answer = 42;'});
+ * fileSystem.writeFile('/project/tsconfig.json', '{}');
+ * fileSystem.getEntries('/project'); // {files: ['tsconfig.json'], directories: ['src']}
+ * ```
+ */
+function createMemoryFileSystem(files = {}, options = {}) {
+    const {fallback} = options;
+    // path => {text, modifiedTime}
+    const fileEntries = new Map();
+    // path => {files: Set, directories: Set}
+    const directoryEntries = new Map();
+    const deletedFiles = new Set();
+
+    function getDirectory(directoryPath) {
+        if (!directoryEntries.has(directoryPath)) {
+            directoryEntries.set(directoryPath, {files: new Set(), directories: new Set()});
+            const parentPath = getParentPath(directoryPath);
+            if (parentPath !== directoryPath) {
+                getDirectory(parentPath).directories.add(directoryPath.slice(directoryPath.lastIndexOf('/') + 1));
+            }
+        }
+        return directoryEntries.get(directoryPath);
+    }
+
+    function getName(filePath) {
+        return filePath.slice(filePath.lastIndexOf('/') + 1);
+    }
+
+    function readFile(filePath) {
+        const normalized = normalizeVirtualPath(filePath);
+        if (fileEntries.has(normalized)) {
+            return fileEntries.get(normalized).text;
+        }
+        return fallback && !deletedFiles.has(normalized) ? fallback.readFile(normalized) : undefined;
+    }
+
+    function writeFile(filePath, text) {
+        const normalized = normalizeVirtualPath(filePath);
+        fileEntries.set(normalized, {text, modifiedTime: new Date()});
+        deletedFiles.delete(normalized);
+        getDirectory(getParentPath(normalized)).files.add(getName(normalized));
+    }
+
+    function deleteFile(filePath) {
+        const normalized = normalizeVirtualPath(filePath);
+        fileEntries.delete(normalized);
+        deletedFiles.add(normalized);
+        const directory = directoryEntries.get(getParentPath(normalized));
+        if (directory) {
+            directory.files.delete(getName(normalized));
+        }
+    }
+
+    function fileExists(filePath) {
+        return readFile(filePath) !== undefined;
+    }
+
+    function directoryExists(directoryPath) {
+        const normalized = normalizeVirtualPath(directoryPath);
+        return directoryEntries.has(normalized) || Boolean(fallback && fallback.directoryExists(normalized));
+    }
+
+    function getEntries(directoryPath) {
+        const normalized = normalizeVirtualPath(directoryPath);
+        const directory = directoryEntries.get(normalized);
+        const entryFiles = new Set(directory ? directory.files : []);
+        const entryDirectories = new Set(directory ? directory.directories : []);
+        if (fallback && fallback.directoryExists(normalized)) {
+            const fallbackEntries = fallback.getEntries(normalized);
+            for (const name of fallbackEntries.files) {
+                if (!deletedFiles.has(joinVirtualPath(normalized, name))) {
+                    entryFiles.add(name);
+                }
+            }
+            for (const name of fallbackEntries.directories) {
+                entryDirectories.add(name);
+            }
+        }
+        return {files: [...entryFiles].sort(), directories: [...entryDirectories].sort()};
+    }
+
+    function getModifiedTime(filePath) {
+        const normalized = normalizeVirtualPath(filePath);
+        if (fileEntries.has(normalized)) {
+            return fileEntries.get(normalized).modifiedTime;
+        }
+        return fallback && !deletedFiles.has(normalized) && fallback.getModifiedTime
+            ? fallback.getModifiedTime(normalized) : undefined;
+    }
+
+    for (const [filePath, text] of Object.entries(files)) {
+        writeFile(filePath, text);
+    }
+
+    return {
+        readFile,
+        writeFile,
+        deleteFile,
+        fileExists,
+        directoryExists,
+        getEntries,
+        getModifiedTime
+    };
+}
+
+export {
+    normalizeVirtualPath,
+    getParentPath,
+    joinVirtualPath,
+    createMemoryFileSystem
+};
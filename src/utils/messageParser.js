@@ -0,0 +1,104 @@
+const HEADER_DELIMITER = Buffer.from('\r\n\r\n', 'ascii');
+const CONTENT_LENGTH_REGEX = /^Content-Length:\s*(\d+)\s*$/im;
+
+/**
+ * Creates a parser for the `Content-Length` framed messages written by tsserver on its stdout.
+ *
+ * The `Content-Length` header counts bytes, so the parser works on raw Buffers and only decodes a message body
+ * once all of its bytes have arrived. This keeps the stream in sync when messages contain multi-byte UTF-8
+ * characters, even when such a character is split across two chunks. A chunk may contain a partial header, a
+ * partial body or any number of complete messages.
+ *
+ * @param {function(string)} onMessage - Called with the decoded body of every complete message, in order.
+ * @returns {{feed: function(Buffer|string), reset: function(), getBufferedLength: function(): number}}
+ *          `feed` appends a chunk read from the stream, `reset` drops any partially received message and
+ *          `getBufferedLength` returns the number of bytes waiting for the rest of their message.
+ */
+function createMessageParser(onMessage) {
+    let buffer = Buffer.alloc(0);
+    let expectedLength = -1;
+    let bodyStart = 0;
+
+    /**
+     * Reads the header at the start of the buffer once it is complete.
+     * @returns {boolean} True if the header was read and `expectedLength` is now known.
+     */
+    function readHeader() {
+        const headerEndIndex = buffer.indexOf(HEADER_DELIMITER);
+        if (headerEndIndex === -1) {
+            return false;
+        }
+        const header = buffer.toString('ascii', 0, headerEndIndex);
+        const contentLengthMatch = header.match(CONTENT_LENGTH_REGEX);
+        if (!contentLengthMatch) {
+            // Not a header we understand, skip it and look for the next one.
+            buffer = buffer.subarray(headerEndIndex + HEADER_DELIMITER.length);
+            return readHeader();
+        }
+        expectedLength = parseInt(contentLengthMatch[1], 10);
+        bodyStart = headerEndIndex + HEADER_DELIMITER.length;
+        return true;
+    }
+
+    /**
+     * Appends a chunk read from the stream and emits every message it completes.
+     * @param {Buffer|string} chunk - The chunk as read from the stream.
+     */
+    function feed(chunk) {
+        const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+        buffer = buffer.length ? Buffer.concat([buffer, data]) : data;
+        while (buffer.length) {
+            if (expectedLength === -1 && !readHeader()) {
+                return;
+            }
+            const bodyEnd = bodyStart + expectedLength;
+            if (buffer.length < bodyEnd) {
+                return;
+            }
+            const message = buffer.toString('utf8', bodyStart, bodyEnd);
+            buffer = buffer.subarray(bodyEnd);
+            expectedLength = -1;
+            bodyStart = 0;
+            onMessage(message);
+        }
+    }
+
+    /**
+     * Drops any partially received message, e.g. when the stream it came from is gone.
+     */
+    function reset() {
+        buffer = Buffer.alloc(0);
+        expectedLength = -1;
+        bodyStart = 0;
+    }
+
+    /**
+     * @returns {number} The number of bytes buffered while waiting for the rest of a message.
+     */
+    function getBufferedLength() {
+        return buffer.length;
+    }
+
+    return {
+        feed,
+        reset,
+        getBufferedLength
+    };
+}
+
+/**
+ * Frames a message the way tsserver writes it: a `Content-Length` header with the byte length of the body
+ * followed by the body and a trailing newline, which is counted in the length.
+ *
+ * @param {Object|string} message - The message object or an already serialized JSON string.
+ * @returns {string} The framed message.
+ */
+function frameMessage(message) {
+    const json = typeof message === 'string' ? message : JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(json, 'utf8') + 1}\r\n\r\n${json}\n`;
+}
+
+export {
+    createMessageParser,
+    frameMessage
+};
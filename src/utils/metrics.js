@@ -0,0 +1,120 @@
+// How a request ended:
+// - 'success': tsserver answered it.
+// - 'error': tsserver answered it with `success: false`.
+// - 'timeout': no answer arrived in time.
+// - 'cancelled': it was aborted through its signal or superseded by a newer request.
+// - 'failed': tsserver exited or could not be written to before it answered.
+const REQUEST_OUTCOMES = ['success', 'error', 'timeout', 'cancelled', 'failed'];
+
+const PERCENTILES = [50, 95, 99];
+
+/**
+ * Returns the nearest-rank percentile of sorted values.
+ * @param {number[]} sortedValues - The values in ascending order.
+ * @param {number} percentile - The percentile, between 0 and 100.
+ * @returns {number|undefined} The percentile, or undefined without values.
+ */
+function getPercentile(sortedValues, percentile) {
+    if (!sortedValues.length) {
+        return undefined;
+    }
+    const rank = Math.ceil(percentile / 100 * sortedValues.length);
+    return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+}
+
+/**
+ * Creates the store of request timings behind `getMetrics`. Counts cover every recorded request, percentiles cover
+ * the most recent `maxSamples` durations of a command so that memory stays bounded in long sessions.
+ *
+ * @param {number} [maxSamples=1000] - The number of durations kept per command for the percentiles.
+ * @returns {{record: function(Object), getMetrics: function(): Object, reset: function()}} The metrics store.
+ */
+function createRequestMetrics(maxSamples = 1000) {
+    const commands = new Map();
+
+    /**
+     * @param {string} command - The name of a command.
+     * @returns {Object} The statistics of the command, created on first use.
+     */
+    function getCommandStats(command) {
+        if (!commands.has(command)) {
+            const outcomes = {};
+            for (const outcome of REQUEST_OUTCOMES) {
+                outcomes[outcome] = 0;
+            }
+            commands.set(command, {count: 0, outcomes, samples: [], nextSample: 0, max: 0, performanceData: {}});
+        }
+        return commands.get(command);
+    }
+
+    /**
+     * Records a completed request.
+     * @param {Object} timing - The timing of the request.
+     * @param {string} timing.command - The name of the command.
+     * @param {string} timing.outcome - How the request ended, see `REQUEST_OUTCOMES`.
+     * @param {number} timing.duration - The time in milliseconds from the call to its completion.
+     * @param {Object} [timing.performanceData] - The `performanceData` of the tsserver response, if any.
+     */
+    function record(timing) {
+        const stats = getCommandStats(timing.command);
+        stats.count++;
+        stats.outcomes[timing.outcome]++;
+        stats.max = Math.max(stats.max, timing.duration);
+        if (stats.samples.length < maxSamples) {
+            stats.samples.push(timing.duration);
+        } else {
+            stats.samples[stats.nextSample] = timing.duration;
+            stats.nextSample = (stats.nextSample + 1) % maxSamples;
+        }
+        for (const [name, value] of Object.entries(timing.performanceData || {})) {
+            if (typeof value !== 'number') {
+                continue;
+            }
+            const total = stats.performanceData[name] || {count: 0, total: 0, max: 0};
+            total.count++;
+            total.total += value;
+            total.max = Math.max(total.max, value);
+            stats.performanceData[name] = total;
+        }
+    }
+
+    /**
+     * @returns {Object} The statistics per command name, each with the `count` of requests, the number of
+     *                   requests per outcome, the `p50`, `p95`, `p99` and `max` duration in milliseconds, and per
+     *                   `performanceData` field such as `updateGraphDurationMs` its `count`, `total` and `max`.
+     */
+    function getMetrics() {
+        const metrics = {};
+        for (const [command, stats] of commands) {
+            const sorted = [...stats.samples].sort((first, second) => first - second);
+            const percentiles = {};
+            for (const percentile of PERCENTILES) {
+                percentiles[`p${percentile}`] = getPercentile(sorted, percentile);
+            }
+            const performanceData = {};
+            for (const [name, total] of Object.entries(stats.performanceData)) {
+                performanceData[name] = {...total};
+            }
+            metrics[command] = {
+                count: stats.count,
+                ...stats.outcomes,
+                ...percentiles,
+                max: stats.max,
+                performanceData
+            };
+        }
+        return metrics;
+    }
+
+    return {
+        record,
+        getMetrics,
+        reset: () => commands.clear()
+    };
+}
+
+export {
+    REQUEST_OUTCOMES,
+    getPercentile,
+    createRequestMetrics
+};
@@ -0,0 +1,5 @@
+// The folder of the modules in `src/utils`, for the modules that need to locate files next to them. `import.meta`
+// is newer than the syntax the lint accepts, a CommonJS module has its folder as `__dirname` instead.
+'use strict';
+
+module.exports = __dirname;
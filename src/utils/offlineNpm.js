@@ -0,0 +1,6 @@
+// Stands in for npm when type acquisition is offline, see `typeAcquisition.js`. The typings installer of tsserver
+// runs npm to update its registry of `@types` packages and to install the packages a project lacks. Without a
+// network npm waits for its requests to time out, this script fails every command right away instead, so that the
+// installer works with the typings cache as it is and reports the packages it could not install. It writes nothing,
+// the output of npm would end up in the stderr of tsserver.
+process.exitCode = 1;
@@ -0,0 +1,334 @@
+// The position formats a converter understands:
+// - 'tsserver': {line, offset}, both 1-based, as used by tsserver commands.
+// - 'lsp': {line, character}, both 0-based, as used by the Language Server Protocol.
+// - 'editor': {line, ch}, both 0-based, as used by CodeMirror.
+// - 'offset': a 0-based index into the text, as used by tsserver text spans.
+const POSITION_KINDS = ['tsserver', 'lsp', 'editor', 'offset'];
+const POSITION_ENCODINGS = ['utf-16', 'utf-32', 'utf-8'];
+
+/**
+ * Returns the index of the first character of every line. Like tsserver, `\r\n`, `\r`, `\n`, and the unicode line
+ * and paragraph separators end a line.
+ * @param {string} text - The text.
+ * @returns {number[]} The start index of every line, the first entry is always 0.
+ */
+function computeLineStarts(text) {
+    const lineStarts = [0];
+    for (let index = 0; index < text.length; index++) {
+        const code = text.charCodeAt(index);
+        if (code === 13 && text.charCodeAt(index + 1) === 10) {
+            index++;
+        }
+        if (code === 10 || code === 13 || code === 0x2028 || code === 0x2029) {
+            lineStarts.push(index + 1);
+        }
+    }
+    return lineStarts;
+}
+
+/**
+ * Converts a tsserver location to an index into the text exactly like tsserver does. Lines and offsets are 1-based,
+ * offsets count UTF-16 code units. Locations beyond the end of the text are clamped to it.
+ * @param {string} text - The text.
+ * @param {number[]} lineStarts - The line starts of the text, see `computeLineStarts`.
+ * @param {{line: number, offset: number}} location - The location.
+ * @returns {number} The index into the text.
+ */
+function locationToIndex(text, lineStarts, location) {
+    const lineIndex = Math.min(Math.max(location.line - 1, 0), lineStarts.length - 1);
+    const index = lineStarts[lineIndex] + Math.max(location.offset - 1, 0);
+    return Math.min(index, text.length);
+}
+
+/**
+ * Converts an index into the text to a tsserver location, see `locationToIndex`.
+ * @param {number[]} lineStarts - The line starts of the text, see `computeLineStarts`.
+ * @param {number} index - The index into the text.
+ * @returns {{line: number, offset: number}} The 1-based line and offset.
+ */
+function indexToLocation(lineStarts, index) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (lineStarts[middle] <= index) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return {line: low + 1, offset: index - lineStarts[low] + 1};
+}
+
+function isHighSurrogate(code) {
+    return code >= 0xD800 && code <= 0xDBFF;
+}
+
+function isLowSurrogate(code) {
+    return code >= 0xDC00 && code <= 0xDFFF;
+}
+
+/**
+ * Creates a converter between the position formats used by tsserver, the Language Server Protocol and the
+ * editor for one version of a text. The converter computes the line starts once, create a new converter when the
+ * text changes.
+ *
+ * tsserver, CodeMirror and LSP by default all count columns in UTF-16 code units, so a character outside the
+ * basic multilingual plane such as an emoji is two columns wide. Positions that point between the two halves of such
+ * a character are moved to its start, so that edits never split it. LSP clients may negotiate another encoding
+ * with `positionEncoding`, LSP positions then count code points ('utf-32') or UTF-8 bytes ('utf-8').
+ *
+ * Columns beyond the end of a line are clamped to the end of the line, and lines beyond the end of the text are
+ * clamped to the end of the text.
+ *
+ * Example usage:
+ * ```
+ * const converter = createPositionConverter(tsServer.getDocument(filePath).text);
+ * const location = converter.convert({line: cursor.line, ch: cursor.ch}, 'editor', 'tsserver');
+ * const span = converter.toTextSpan({start: {line: 0, ch: 0}, end: {line: 40, ch: 0}}, 'editor');
+ * tsServer.provideInlayHints(filePath, span.start, span.length);
+ * ```
+ *
+ * @param {string} text - The text positions refer to.
+ * @param {Object} [options] - Optional settings.
+ * @param {string} [options.positionEncoding='utf-16'] - How LSP positions count characters: 'utf-16', 'utf-32'
+ *                                  or 'utf-8'.
+ * @returns {Object} The converter.
+ */
+function createPositionConverter(text, options = {}) {
+    const {positionEncoding = 'utf-16'} = options;
+    if (!POSITION_ENCODINGS.includes(positionEncoding)) {
+        throw new TypeError(`Unknown positionEncoding '${positionEncoding}', expected one of `
+            + POSITION_ENCODINGS.join(', '));
+    }
+    const lineStarts = computeLineStarts(text);
+
+    /**
+     * @param {number} line - A 0-based line number.
+     * @returns {number} The index after the last character of the line, before its line break.
+     */
+    function getLineEnd(line) {
+        if (line + 1 >= lineStarts.length) {
+            return text.length;
+        }
+        let end = lineStarts[line + 1] - 1;
+        if (text.charCodeAt(end) === 10 && text.charCodeAt(end - 1) === 13) {
+            end--;
+        }
+        return end;
+    }
+
+    /**
+     * @param {number} index - An index into the text.
+     * @returns {number} The index, moved to the start of the character if it points into a surrogate pair.
+     */
+    function snapToCharacter(index) {
+        if (index > 0 && index < text.length && isLowSurrogate(text.charCodeAt(index))
+            && isHighSurrogate(text.charCodeAt(index - 1))) {
+            return index - 1;
+        }
+        return index;
+    }
+
+    /**
+     * Resolves a 0-based line and a column counted in UTF-16 code units to an index.
+     * @param {number} line - The 0-based line.
+     * @param {number} column - The 0-based column.
+     * @returns {number} The index into the text.
+     */
+    function lineColumnToIndex(line, column) {
+        if (line < 0) {
+            return 0;
+        }
+        if (line >= lineStarts.length) {
+            return text.length;
+        }
+        const start = lineStarts[line];
+        return snapToCharacter(Math.min(start + Math.max(column, 0), getLineEnd(line)));
+    }
+
+    /**
+     * @param {number} index - An index into the text.
+     * @returns {{line: number, column: number}} The 0-based line and UTF-16 column of the index.
+     */
+    function indexToLineColumn(index) {
+        const clamped = snapToCharacter(Math.min(Math.max(index, 0), text.length));
+        const {line, offset} = indexToLocation(lineStarts, clamped);
+        return {line: line - 1, column: Math.min(offset - 1, getLineEnd(line - 1) - lineStarts[line - 1])};
+    }
+
+    /**
+     * @param {number} code - A code unit of the text.
+     * @param {number} nextCode - The code unit after it.
+     * @returns {{units: number, width: number}} The number of UTF-16 code units of the character starting with
+     *          `code`, and its width in the LSP position encoding.
+     */
+    function measureCharacter(code, nextCode) {
+        const isPair = isHighSurrogate(code) && isLowSurrogate(nextCode);
+        const units = isPair ? 2 : 1;
+        if (positionEncoding === 'utf-16') {
+            return {units, width: units};
+        }
+        if (positionEncoding === 'utf-32') {
+            return {units, width: 1};
+        }
+        let width = 3;
+        if (isPair) {
+            width = 4;
+        } else if (code < 0x80) {
+            width = 1;
+        } else if (code < 0x800) {
+            width = 2;
+        }
+        return {units, width};
+    }
+
+    /**
+     * @param {{line: number, character: number}} position - An LSP position.
+     * @returns {number} The index into the text.
+     */
+    function lspPositionToIndex(position) {
+        if (positionEncoding === 'utf-16' || position.line < 0 || position.line >= lineStarts.length) {
+            return lineColumnToIndex(position.line, position.character);
+        }
+        const lineEnd = getLineEnd(position.line);
+        let index = lineStarts[position.line];
+        let remaining = position.character;
+        while (index < lineEnd) {
+            const {units, width} = measureCharacter(text.charCodeAt(index), text.charCodeAt(index + 1));
+            if (width > remaining) {
+                break;
+            }
+            remaining -= width;
+            index += units;
+        }
+        return index;
+    }
+
+    /**
+     * @param {number} index - An index into the text.
+     * @returns {{line: number, character: number}} The LSP position of the index.
+     */
+    function indexToLspPosition(index) {
+        const {line, column} = indexToLineColumn(index);
+        if (positionEncoding === 'utf-16') {
+            return {line, character: column};
+        }
+        const end = lineStarts[line] + column;
+        let character = 0;
+        for (let current = lineStarts[line]; current < end;) {
+            const {units, width} = measureCharacter(text.charCodeAt(current), text.charCodeAt(current + 1));
+            character += width;
+            current += units;
+        }
+        return {line, character};
+    }
+
+    /**
+     * Converts a position of any kind to an index into the text.
+     * @param {Object|number} position - The position.
+     * @param {string} kind - The kind of the position: 'tsserver', 'lsp', 'editor' or 'offset'.
+     * @returns {number} The 0-based index into the text.
+     */
+    function toOffset(position, kind) {
+        switch (kind) {
+        case 'tsserver':
+            return lineColumnToIndex(position.line - 1, position.offset - 1);
+        case 'lsp':
+            return lspPositionToIndex(position);
+        case 'editor':
+            return lineColumnToIndex(position.line, position.ch);
+        case 'offset':
+            return snapToCharacter(Math.min(Math.max(position, 0), text.length));
+        default:
+            throw new TypeError(`Unknown position kind '${kind}', expected one of ${POSITION_KINDS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Converts an index into the text to a position of any kind.
+     * @param {number} offset - The 0-based index into the text.
+     * @param {string} kind - The kind of the result: 'tsserver', 'lsp', 'editor' or 'offset'.
+     * @returns {Object|number} The position.
+     */
+    function fromOffset(offset, kind) {
+        switch (kind) {
+        case 'tsserver': {
+            const {line, column} = indexToLineColumn(offset);
+            return {line: line + 1, offset: column + 1};
+        }
+        case 'lsp':
+            return indexToLspPosition(offset);
+        case 'editor': {
+            const {line, column} = indexToLineColumn(offset);
+            return {line, ch: column};
+        }
+        case 'offset':
+            return snapToCharacter(Math.min(Math.max(offset, 0), text.length));
+        default:
+            throw new TypeError(`Unknown position kind '${kind}', expected one of ${POSITION_KINDS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Converts a position from one kind to another.
+     * @param {Object|number} position - The position.
+     * @param {string} fromKind - The kind of the position.
+     * @param {string} toKind - The kind of the result.
+     * @returns {Object|number} The converted position.
+     */
+    function convert(position, fromKind, toKind) {
+        return fromOffset(toOffset(position, fromKind), toKind);
+    }
+
+    /**
+     * Converts a range from one kind to another.
+     * @param {{start: (Object|number), end: (Object|number)}} range - The range.
+     * @param {string} fromKind - The kind of the range positions.
+     * @param {string} toKind - The kind of the result positions.
+     * @returns {{start: (Object|number), end: (Object|number)}} The converted range.
+     */
+    function convertRange(range, fromKind, toKind) {
+        return {start: convert(range.start, fromKind, toKind), end: convert(range.end, fromKind, toKind)};
+    }
+
+    /**
+     * Converts a range to a tsserver text span, as taken by `provideInlayHints`.
+     * @param {{start: (Object|number), end: (Object|number)}} range - The range.
+     * @param {string} kind - The kind of the range positions.
+     * @returns {{start: number, length: number}} The 0-based start index and the length of the range.
+     */
+    function toTextSpan(range, kind) {
+        const start = toOffset(range.start, kind);
+        return {start, length: Math.max(toOffset(range.end, kind) - start, 0)};
+    }
+
+    /**
+     * Converts a tsserver text span to a range.
+     * @param {{start: number, length: number}} span - The text span.
+     * @param {string} kind - The kind of the result positions.
+     * @returns {{start: (Object|number), end: (Object|number)}} The range.
+     */
+    function fromTextSpan(span, kind) {
+        return {start: fromOffset(span.start, kind), end: fromOffset(span.start + span.length, kind)};
+    }
+
+    return {
+        toOffset,
+        fromOffset,
+        convert,
+        convertRange,
+        toTextSpan,
+        fromTextSpan,
+        getLineCount: () => lineStarts.length
+    };
+}
+
+export {
+    POSITION_KINDS,
+    POSITION_ENCODINGS,
+    computeLineStarts,
+    locationToIndex,
+    indexToLocation,
+    createPositionConverter
+};
@@ -0,0 +1,44 @@
+import {execFile} from 'child_process';
+import fs from 'fs';
+import {promisify} from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Reads the resident set size of a process, the memory it currently occupies in RAM. Linux is read from
+ * `/proc/<pid>/status`, macOS and other unix systems ask `ps`, Windows asks `tasklist`.
+ *
+ * @param {number} pid - The process id.
+ * @returns {Promise<number|undefined>} A promise that resolves with the resident set size in bytes, or undefined if
+ *                                      the process does not exist or its memory cannot be read on this platform.
+ */
+async function readProcessMemory(pid) {
+    try {
+        if (process.platform === 'linux') {
+            const status = await fs.promises.readFile(`/proc/${pid}/status`, 'utf8');
+            return parseKilobytes(/^VmRSS:\s*(\d+)\s*kB/m.exec(status));
+        }
+        if (process.platform === 'win32') {
+            // "node.exe","1234","Console","1","123,456 K"
+            const {stdout} = await execFileAsync('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH']);
+            const match = /"([\d.,\s]+)\s*K"\s*$/m.exec(stdout);
+            return parseKilobytes(match && [match[0], match[1].replace(/[^\d]/g, '')]);
+        }
+        const {stdout} = await execFileAsync('ps', ['-o', 'rss=', '-p', String(pid)]);
+        return parseKilobytes(/(\d+)/.exec(stdout));
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * @param {Array|null} match - A regular expression match with the number of kilobytes as the first group.
+ * @returns {number|undefined} The number of bytes, or undefined without a match.
+ */
+function parseKilobytes(match) {
+    return match ? Number(match[1]) * 1024 : undefined;
+}
+
+export {
+    readProcessMemory
+};
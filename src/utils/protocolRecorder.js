@@ -0,0 +1,88 @@
+import fs from 'fs';
+
+// The kinds of trace entries:
+// - 'start': a tsserver process was started, the message holds its pid and launch settings.
+// - 'send': a message written to tsserver.
+// - 'receive': a response or event received from tsserver.
+const TRACE_DIRECTIONS = ['start', 'send', 'receive'];
+
+/**
+ * Creates a recorder that appends the protocol messages exchanged with tsserver to a trace file, one JSON object per
+ * line with the `time` in milliseconds since the epoch, the `direction` and the `message`. Every entry is written
+ * right away, so the trace is complete up to a crash of the application.
+ *
+ * @param {string} filePath - The trace file. Entries are appended if it exists.
+ * @param {Object} [logger] - Receives a warning if the trace cannot be written.
+ * @returns {{record: function(string, Object)}} The recorder.
+ */
+function createProtocolRecorder(filePath, logger) {
+    let failed = false;
+
+    /**
+     * Appends an entry to the trace.
+     * @param {string} direction - 'start', 'send' or 'receive'.
+     * @param {Object} message - The message.
+     */
+    function record(direction, message) {
+        if (failed) {
+            return;
+        }
+        try {
+            fs.appendFileSync(filePath, `${JSON.stringify({time: Date.now(), direction, message})}\n`);
+        } catch (e) {
+            // A trace that cannot be written must not break the instance, it is given up instead.
+            failed = true;
+            if (logger) {
+                logger.warn('Could not write the protocol trace, recording stopped', {file: filePath, error: e});
+            }
+        }
+    }
+
+    return {
+        record
+    };
+}
+
+/**
+ * Reads a trace written by a protocol recorder.
+ * @param {string} filePath - The trace file.
+ * @returns {Object[]} The entries in the order they were recorded, each with `time`, `direction` and `message`.
+ * @throws {Error} If a line is not a trace entry.
+ */
+function readTrace(filePath) {
+    return parseTrace(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Parses the content of a trace file, see `readTrace`.
+ * @param {string} content - The JSONL content.
+ * @returns {Object[]} The entries.
+ * @throws {Error} If a line is not a trace entry.
+ */
+function parseTrace(content) {
+    const entries = [];
+    const lines = content.split('\n');
+    for (let index = 0; index < lines.length; index++) {
+        if (!lines[index].trim()) {
+            continue;
+        }
+        let entry;
+        try {
+            entry = JSON.parse(lines[index]);
+        } catch (e) {
+            throw new Error(`Invalid trace entry on line ${index + 1}: ${e.message}`);
+        }
+        if (!entry || !TRACE_DIRECTIONS.includes(entry.direction) || typeof entry.message !== 'object') {
+            throw new Error(`Invalid trace entry on line ${index + 1}: expected time, direction and message`);
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+export {
+    TRACE_DIRECTIONS,
+    createProtocolRecorder,
+    readTrace,
+    parseTrace
+};
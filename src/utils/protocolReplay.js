@@ -0,0 +1,320 @@
+import createTSServerInstance from './server.js';
+import {readTrace} from './protocolRecorder.js';
+
+// Response fields that differ between runs without a change in behaviour.
+const IGNORED_RESPONSE_FIELDS = new Set(['seq', 'request_seq', 'type', 'performanceData']);
+
+const DIAGNOSTIC_EVENT_KINDS = {
+    syntaxDiag: 'syntactic',
+    semanticDiag: 'semantic',
+    suggestionDiag: 'suggestion'
+};
+
+// Commands that are recorded without a seq and that `sendCommand` writes without waiting for an answer.
+const WRITE_ONLY_COMMANDS = new Set(['open', 'saveto', 'reloadProjects']);
+
+// Launch options that point to files on the machine the trace was recorded on.
+const MACHINE_LAUNCH_OPTIONS = ['logFile', 'traceDirectory', 'npmLocation', 'pluginProbeLocations'];
+
+/**
+ * Compares two JSON values and lists where they differ.
+ * @param {*} expected - The recorded value.
+ * @param {*} actual - The replayed value.
+ * @param {number} [maxDifferences=20] - The number of differences after which the comparison stops.
+ * @returns {Object[]} The differences, each with the `path` of the value, e.g. `body.entries[2].name`, and the
+ *                     `expected` and `actual` value. Empty if the values are equal.
+ */
+function diffValues(expected, actual, maxDifferences = 20) {
+    const differences = [];
+
+    function compare(left, right, path) {
+        if (differences.length >= maxDifferences) {
+            return;
+        }
+        if (Array.isArray(left) && Array.isArray(right)) {
+            for (let index = 0; index < Math.max(left.length, right.length); index++) {
+                compare(left[index], right[index], `${path}[${index}]`);
+            }
+            return;
+        }
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (isObject(left) && isObject(right)) {
+            const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+            for (const key of keys) {
+                // Keys such as file paths are quoted, e.g. `["/src/main.ts"].semantic[0]`.
+                const isIdentifier = /^[A-Za-z_$][\w$]*$/.test(key);
+                const segment = isIdentifier ? key : `[${JSON.stringify(key)}]`;
+                compare(left[key], right[key], path && isIdentifier ? `${path}.${segment}` : `${path}${segment}`);
+            }
+            return;
+        }
+        if (left !== right) {
+            differences.push({path, expected: left, actual: right});
+        }
+    }
+
+    compare(expected, actual, '');
+    return differences;
+}
+
+/**
+ * Replaces path prefixes in all strings of a JSON value, so that a trace recorded on another machine refers to
+ * local files.
+ * @param {*} value - The JSON value.
+ * @param {Object<string, string>} pathMap - The replacement per recorded path prefix.
+ * @returns {*} A copy of the value with the paths replaced.
+ */
+function mapPaths(value, pathMap) {
+    if (typeof value === 'string') {
+        for (const [from, to] of Object.entries(pathMap)) {
+            if (value.startsWith(from)) {
+                return to + value.slice(from.length);
+            }
+        }
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => mapPaths(item, pathMap));
+    }
+    if (value !== null && typeof value === 'object') {
+        const mapped = {};
+        for (const [key, item] of Object.entries(value)) {
+            mapped[key] = mapPaths(item, pathMap);
+        }
+        return mapped;
+    }
+    return value;
+}
+
+/**
+ * @param {Object} response - A tsserver response.
+ * @returns {Object} The response without the fields that differ between runs.
+ */
+function normalizeResponse(response) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(response)) {
+        if (!IGNORED_RESPONSE_FIELDS.has(key)) {
+            normalized[key] = value;
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Collects what tsserver answered to every recorded request: the response, or for 'geterr' and
+ * 'geterrForProject' the diagnostics sent until the `requestCompleted` event.
+ * @param {Object[]} entries - The trace entries.
+ * @returns {Map<number, Object>} The answer per request seq, with either `response` or `diagnostics`.
+ */
+function collectRecordedAnswers(entries) {
+    const answers = new Map();
+    const openDiagnostics = new Map();
+    for (const {direction, message} of entries) {
+        if (direction === 'send' && (message.command === 'geterr' || message.command === 'geterrForProject')) {
+            openDiagnostics.set(message.seq, {});
+        } else if (direction === 'receive' && message.type === 'response') {
+            answers.set(message.request_seq, {response: message});
+        } else if (direction === 'receive' && message.event === 'requestCompleted') {
+            const seq = message.body && message.body.request_seq;
+            if (openDiagnostics.has(seq)) {
+                answers.set(seq, {diagnostics: openDiagnostics.get(seq)});
+                openDiagnostics.delete(seq);
+            }
+        } else if (direction === 'receive' && DIAGNOSTIC_EVENT_KINDS[message.event] && message.body) {
+            for (const diagnostics of openDiagnostics.values()) {
+                if (!diagnostics[message.body.file]) {
+                    diagnostics[message.body.file] = {syntactic: [], semantic: [], suggestion: []};
+                }
+                diagnostics[message.body.file][DIAGNOSTIC_EVENT_KINDS[message.event]] = message.body.diagnostics;
+            }
+        }
+    }
+    return answers;
+}
+
+/**
+ * @param {Object|Object[]} args - The arguments of a recorded 'watchChange' notification, a single change or, from
+ *                                 TypeScript 5.5 on, the `created`, `deleted` and `updated` paths per watcher.
+ * @returns {Object[]} The changes, each with the `id` of the watcher, the `path` and the `eventType`.
+ */
+function getWatchChanges(args) {
+    if (!Array.isArray(args)) {
+        return [args];
+    }
+    return args.flatMap(({id, created = [], deleted = [], updated = []}) => [
+        ...created.map((path) => ({id, path, eventType: 'create'})),
+        ...deleted.map((path) => ({id, path, eventType: 'delete'})),
+        ...updated.map((path) => ({id, path, eventType: 'update'}))
+    ]);
+}
+
+/**
+ * Sends a recorded message that tsserver does not answer through the matching method of the instance. None of them
+ * waits for tsserver. Notifications the instance has no method for are left out.
+ * @param {Object} server - The replay instance.
+ * @param {Object} message - The recorded message.
+ * @returns {Promise<void>|undefined} The result of the call, if any.
+ */
+function replayNotification(server, message) {
+    const args = message.arguments || {};
+    switch (message.command) {
+    case 'change':
+        return server.sendChange(args.file, {line: args.line, offset: args.offset},
+            {line: args.endLine, offset: args.endOffset}, args.insertString);
+    case 'close':
+        return server.closeFile(args.file);
+    case 'updateOpen':
+        return server.updateOpen(args.openFiles, args.changedFiles, args.closedFiles);
+    case 'watchChange':
+        return Promise.all(getWatchChanges(message.arguments)
+            .map(({id, path, eventType}) => server.sendWatchChangeRequest(id, path, eventType)));
+    default:
+        if (WRITE_ONLY_COMMANDS.has(message.command)) {
+            return server.sendCommand({command: message.command, arguments: message.arguments});
+        }
+        return undefined;
+    }
+}
+
+/**
+ * Replays a single recorded request and returns the answer to compare.
+ * @param {Object} server - The replay instance.
+ * @param {Object} message - The recorded request.
+ * @param {number} timeout - The timeout in milliseconds.
+ * @returns {Promise<Object>} The replayed answer, with either `response` or `diagnostics`.
+ */
+async function replayRequest(server, message, timeout) {
+    const args = message.arguments || {};
+    if (message.command === 'geterr') {
+        return {diagnostics: await server.getErrors(args.files, args.delay, {collect: true, timeout})};
+    }
+    if (message.command === 'geterrForProject') {
+        return {diagnostics: await server.getErrorsForProject(args.file, args.delay, {collect: true, timeout})};
+    }
+    return {response: await server.sendCommand({command: message.command, arguments: message.arguments}, timeout)};
+}
+
+/**
+ * @param {number} milliseconds - The time to wait.
+ * @returns {Promise<void>} A promise that resolves after the time.
+ */
+function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+// @INCLUDE_IN_API_DOCS
+/**
+ * Drives a fresh tsserver with the messages of a trace recorded with the `recordFile` instance option, and compares
+ * its answers with the recorded ones. Requests are sent one after the other in the recorded order, each after the
+ * answer to the previous one. Responses are compared without the fields that change from run to run, such as `seq`
+ * and `performanceData`. The diagnostics of 'geterr' and 'geterrForProject' are compared per file. Other events
+ * depend on timing and are not compared.
+ *
+ * The server is started with the inferred project setting, mode and launch options of the first start recorded in
+ * the trace. Launch options that point to files of the recording machine, such as `logFile`, are left out.
+ *
+ * @param {string|Object[]} trace - The path of the trace file, or its entries as returned by `readTrace`.
+ * @param {Object} [replayOptions] - Optional settings.
+ * @param {Object<string, string>} [replayOptions.pathMap] - Replaces path prefixes in the trace, e.g.
+ *                                  `{'/home/user/app': '/tmp/fixture'}`, to replay against local copies of the files.
+ * @param {boolean} [replayOptions.preserveTiming=false] - Wait between messages as long as in the recording, to
+ *                                  reproduce bugs that depend on timing.
+ * @param {number} [replayOptions.timeout=30000] - The timeout in milliseconds for every request.
+ * @param {string} [replayOptions.node=""] - Passed to `init`.
+ * @param {string} [replayOptions.tsServer=""] - Passed to `init`, e.g. to replay against another TypeScript version.
+ * @param {Object} [replayOptions.launchOptions] - Launch options used instead of the recorded ones.
+ * @param {Object} [replayOptions.instanceOptions] - Passed to `createTSServerInstance`.
+ * @returns {Promise<Object>} A promise that resolves with the report: the number of `compared` and `matched`
+ *                            requests, the `mismatches`, each with the `seq` and `command` of the recorded request and
+ *                            the `differences` as returned by `diffValues`, and the seqs of recorded requests that
+ *                            were never answered in the recording as `unanswered`. A request that fails on replay,
+ *                            e.g. with a timeout or because tsserver crashed, is a mismatch with the `error` message
+ *                            instead of `differences`, unless it was unanswered in the recording as well. A
+ *                            notification that fails on replay is a mismatch without a `seq`.
+ *
+ * Example usage:
+ * ```
+ * const report = await replayTrace('bug-1234.jsonl', {pathMap: {'/home/user/app': fixtureDir}});
+ * expect(report.mismatches).to.deep.equal([]);
+ * ```
+ */
+async function replayTrace(trace, replayOptions = {}) {
+    const {pathMap = {}, preserveTiming = false, timeout = 30000, node = '', tsServer = ''} = replayOptions;
+    const entries = mapPaths(typeof trace === 'string' ? readTrace(trace) : trace, pathMap);
+    const start = entries.find((entry) => entry.direction === 'start');
+    const recorded = start ? start.message : {};
+    const launchOptions = {...recorded.launchOptions};
+    for (const option of MACHINE_LAUNCH_OPTIONS) {
+        delete launchOptions[option];
+    }
+    const server = createTSServerInstance(recorded.inferredProject !== false, {
+        serverMode: recorded.serverMode,
+        rejectOnError: false,
+        autoRestart: false,
+        coalesceRequests: false,
+        ...replayOptions.instanceOptions
+    });
+    await server.init(node, tsServer, replayOptions.launchOptions || launchOptions);
+
+    const answers = collectRecordedAnswers(entries);
+    const report = {compared: 0, matched: 0, mismatches: [], unanswered: []};
+    let previousTime;
+    try {
+        for (const {direction, time, message} of entries) {
+            // The status request only tells that the recorded server was ready.
+            if (direction !== 'send' || message.seq === -1) {
+                continue;
+            }
+            if (preserveTiming && previousTime !== undefined) {
+                await wait(Math.max(time - previousTime, 0));
+            }
+            previousTime = time;
+            if (message.command === 'exit') {
+                break;
+            }
+            if (message.seq === undefined) {
+                try {
+                    await replayNotification(server, message);
+                } catch (error) {
+                    report.mismatches.push({command: message.command, error: error.message});
+                }
+                continue;
+            }
+            const expected = answers.get(message.seq);
+            let actual;
+            try {
+                actual = await replayRequest(server, message, timeout);
+            } catch (error) {
+                if (expected) {
+                    report.compared++;
+                    report.mismatches.push({seq: message.seq, command: message.command, error: error.message});
+                } else {
+                    report.unanswered.push(message.seq);
+                }
+                continue;
+            }
+            if (!expected) {
+                report.unanswered.push(message.seq);
+                continue;
+            }
+            report.compared++;
+            const differences = expected.response
+                ? diffValues(normalizeResponse(expected.response), normalizeResponse(actual.response || {}))
+                : diffValues(expected.diagnostics, actual.diagnostics);
+            if (differences.length) {
+                report.mismatches.push({seq: message.seq, command: message.command, differences});
+            } else {
+                report.matched++;
+            }
+        }
+    } finally {
+        server.exitServer();
+    }
+    return report;
+}
+
+export {
+    diffValues,
+    mapPaths,
+    replayTrace
+};
@@ -0,0 +1,146 @@
+const PRIORITIES = ['interactive', 'normal', 'background'];
+
+/**
+ * Creates the queue that decides when requests are written to tsserver. tsserver works on one request at a time,
+ * so writing every request right away only moves the queue into the server, where a slow background request
+ * delays the interactive requests behind it. This queue holds requests back until fewer than `maxInFlight` are
+ * waiting for their response, and lets interactive requests overtake normal and background ones.
+ *
+ * Requests are identified by their sequence number. Requests of the same priority are dispatched in the order
+ * they were enqueued.
+ *
+ * @param {function(number)} dispatch - Called with the sequence number of a request when it should be written.
+ * @param {number} [maxInFlight=1] - The number of dispatched requests that may wait for a response at a time.
+ * @returns {{enqueue: function(number, string), settle: function(number): boolean, flush: function(),
+ *          clear: function(), pause: function(), resume: function(), isQueued: function(number): boolean,
+ *          getQueuedCount: function(): number, getInFlightCount: function(): number}}
+ *          `enqueue` adds a request with a priority of 'interactive', 'normal' or 'background', `settle` removes a
+ *          request once it is answered, cancelled or timed out and returns true if it was never dispatched, `flush`
+ *          dispatches every queued request regardless of `maxInFlight`, `clear` forgets all requests, and `pause`
+ *          holds every request back, even from `flush`, until `resume` is called.
+ */
+function createRequestQueue(dispatch, maxInFlight = 1) {
+    const queued = [];
+    const inFlight = new Set();
+    let draining = false;
+    let paused = false;
+
+    /**
+     * @param {string} priority - The priority of a request.
+     * @returns {number} The rank of the priority, lower is dispatched first.
+     */
+    function getRank(priority) {
+        const rank = PRIORITIES.indexOf(priority);
+        if (rank === -1) {
+            throw new Error(`Unknown request priority '${priority}', expected one of ${PRIORITIES.join(', ')}`);
+        }
+        return rank;
+    }
+
+    /**
+     * Dispatches queued requests while the in-flight limit allows it.
+     * @param {boolean} [force=false] - Dispatch every queued request, ignoring the limit.
+     */
+    function drain(force = false) {
+        if (draining || paused) {
+            return;
+        }
+        draining = true;
+        try {
+            while (queued.length && (force || inFlight.size < maxInFlight)) {
+                const {seq} = queued.shift();
+                inFlight.add(seq);
+                dispatch(seq);
+            }
+        } finally {
+            draining = false;
+        }
+    }
+
+    /**
+     * Adds a request behind all queued requests of the same or a higher priority.
+     * @param {number} seq - The sequence number of the request.
+     * @param {string} [priority='normal'] - 'interactive', 'normal' or 'background'.
+     */
+    function enqueue(seq, priority = 'normal') {
+        const rank = getRank(priority);
+        let index = queued.findIndex((entry) => entry.rank > rank);
+        if (index === -1) {
+            index = queued.length;
+        }
+        queued.splice(index, 0, {seq, rank});
+        drain();
+    }
+
+    /**
+     * Removes a request that no longer waits for tsserver and dispatches the next one.
+     * @param {number} seq - The sequence number of the request.
+     * @returns {boolean} True if the request was still queued, i.e. it was never written to tsserver.
+     */
+    function settle(seq) {
+        const index = queued.findIndex((entry) => entry.seq === seq);
+        if (index !== -1) {
+            queued.splice(index, 1);
+            return true;
+        }
+        if (inFlight.delete(seq)) {
+            drain();
+        }
+        return false;
+    }
+
+    /**
+     * Dispatches every queued request, e.g. before a notification that must not overtake them.
+     */
+    function flush() {
+        drain(true);
+    }
+
+    /**
+     * Holds every request back, e.g. while a restarted server has not got the state of the previous one yet.
+     */
+    function pause() {
+        paused = true;
+    }
+
+    /**
+     * Dispatches the requests held back since `pause`, within the in-flight limit.
+     */
+    function resume() {
+        paused = false;
+        drain();
+    }
+
+    /**
+     * Forgets all queued and in-flight requests without dispatching them, e.g. when the server goes away.
+     */
+    function clear() {
+        queued.length = 0;
+        inFlight.clear();
+    }
+
+    /**
+     * @param {number} seq - The sequence number of a request.
+     * @returns {boolean} True if the request is waiting to be dispatched.
+     */
+    function isQueued(seq) {
+        return queued.some((entry) => entry.seq === seq);
+    }
+
+    return {
+        enqueue,
+        settle,
+        flush,
+        clear,
+        pause,
+        resume,
+        isQueued,
+        getQueuedCount: () => queued.length,
+        getInFlightCount: () => inFlight.size
+    };
+}
+
+export {
+    PRIORITIES,
+    createRequestQueue
+};
@@ -1,19 +1,415 @@
 import {spawn} from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import {fileURLToPath} from 'url';
+import {createMessageParser} from './messageParser.js';
+import {TSServerError, UnsupportedCommandError} from './errors.js';
+import {normalizeLogger, withLogFields} from './logger.js';
+import {createRequestQueue} from './requestQueue.js';
+import {buildLaunchArguments} from './launchOptions.js';
+import {computeTextChange, createDocumentStore, sortTextChanges} from './documentStore.js';
+import {readProcessMemory} from './processMemory.js';
+import {createRequestMetrics} from './metrics.js';
+import {createProtocolRecorder} from './protocolRecorder.js';
+import {createPositionConverter} from './positions.js';
+import {createEditApplier, renameLocationsToFileCodeEdits} from './editApplier.js';
+import {COMMAND_VERSIONS, compareVersions, isCommandSupported, readTypeScriptVersion, resolveTypeScript,
+    resolveTypeScriptLibrary} from './typescriptResolver.js';
+import {startWorkerProcess} from './workerProcess.js';
+import {createHostWatcher} from './hostWatcher.js';
+import {buildTypeAcquisitionArguments} from './typeAcquisition.js';
+
+const SERVER_MODES = ['semantic', 'partialSemantic', 'syntactic'];
+
+const MEMORY_PRESSURE_ACTIONS = ['none', 'increaseHeap', 'partialSemantic'];
+
+// Where tsserver runs: in a child process of Node.js, or inside a worker on a virtual file system.
+const BACKENDS = ['process', 'worker'];
+
+// TypeScript 5.5 takes the changes of several watchers in one 'watchChange' notification, older versions take one
+// change per notification.
+const BATCHED_WATCH_CHANGE_VERSION = '5.5.0';
+
+// The heap limit assumed for tsserver when it was started without `maxNodeOldSpaceSize`, in megabytes.
+const DEFAULT_OLD_SPACE_SIZE = 2048;
+
+// Commands that only need the syntax tree of a file. With `useSyntaxServer` they are answered by the syntax server,
+// so that they do not wait for the semantic server to load a project.
+const SYNTAX_SERVER_COMMANDS = new Set([
+    'navbar',
+    'navtree',
+    'navtree-full',
+    'getOutliningSpans',
+    'todoComments',
+    'indentation',
+    'docCommentTemplate',
+    'format',
+    'formatonkey',
+    'brace',
+    'braceCompletion',
+    'getSpanOfEnclosingComment',
+    'jsxClosingTag',
+    'linkedEditingRange',
+    'selectionRange',
+    'toggleLineComment',
+    'toggleMultilineComment',
+    'commentSelection',
+    'uncommentSelection'
+]);
+
+const DEFAULT_TIMEOUT = 5000;
+
+// Collecting the diagnostics of geterr and geterrForProject takes a while, they get longer unless `timeouts` says
+// otherwise.
+const DEFAULT_DIAGNOSTICS_TIMEOUT = 60000;
+
+// Requests a user is waiting for while typing go first, requests whose results can arrive later go last.
+// Every other command has the 'normal' priority.
+const REQUEST_PRIORITIES = {
+    completionInfo: 'interactive',
+    completionEntryDetails: 'interactive',
+    quickinfo: 'interactive',
+    signatureHelp: 'interactive',
+    documentHighlights: 'interactive',
+    formatonkey: 'interactive',
+    braceCompletion: 'interactive',
+    jsxClosingTag: 'interactive',
+    linkedEditingRange: 'interactive',
+    docCommentTemplate: 'interactive',
+    // configure first writes the queue, and goes ahead of normal requests made after it so that they see the
+    // new settings.
+    configure: 'interactive',
+    geterr: 'background',
+    geterrForProject: 'background',
+    navto: 'background',
+    compileOnSaveAffectedFileList: 'background',
+    compileOnSaveEmitFile: 'background'
+};
+
+// A request for one of these commands makes an earlier request for the same command and file obsolete, the
+// earlier request is dropped from the queue or cancelled on the server.
+const COALESCED_COMMANDS = new Set([
+    'completionInfo',
+    'quickinfo',
+    'signatureHelp',
+    'documentHighlights',
+    'navto',
+    'navbar',
+    'navtree',
+    'getOutliningSpans',
+    'geterr',
+    'geterrForProject'
+]);
+
+// Requests that tsserver answers with events only, they are done once written.
+const EVENT_ONLY_COMMANDS = new Set(['geterr', 'geterrForProject']);
+
+// Commands that change the open files. They are recorded in the document store, which replayServerState sends to a new
+// process.
+const DOCUMENT_SYNC_COMMANDS = new Set(['open', 'change', 'close', 'updateOpen']);
+
+const SCRIPT_KIND_NAMES = ['TS', 'JS', 'TSX', 'JSX'];
+
+const CONFIGURE_ARGUMENTS = ['hostInfo', 'file', 'formatOptions', 'preferences', 'extraFileExtensions', 'watchOptions'];
 
 // @INCLUDE_IN_API_DOCS
 /**
  * Creates a new instance of TypeScript Server.
+ * @param {boolean} [inferredProject=true] - Start tsserver with `--useInferredProjectPerProjectRoot`.
+ * @param {Object} [instanceOptions] - Optional instance settings.
+ * @param {boolean} [instanceOptions.rejectOnError=true] - Reject requests that tsserver answers with `success: false`
+ *                                   with a `TSServerError`. Set to false to resolve with the raw response instead.
+ * @param {boolean} [instanceOptions.autoRestart=true] - Restart tsserver when it exits unexpectedly. The instance
+ *                                   emits a `crashed` event when the process dies and a `restarted` event once the new
+ *                                   process is ready and every open file has been re-opened.
+ * @param {number} [instanceOptions.maxRestarts=5] - The number of consecutive restart attempts before giving up.
+ * @param {number} [instanceOptions.restartDelay=1000] - The delay in milliseconds before the first restart attempt.
+ *                                   The delay doubles with every consecutive attempt.
+ * @param {number} [instanceOptions.maxRestartDelay=30000] - The upper bound in milliseconds for the restart delay.
+ * @param {Object} [instanceOptions.logger] - Receives the log output of the instance. Any object with some of the
+ *                                   methods `trace`, `debug`, `info`, `warn` and `error`, each called with a message
+ *                                   and structured fields such as `seq`, `command` and `duration`. Silent by default.
+ *                                   See `createFileLogger` in `logger.js` for a logger writing a rotating log file.
+ * @param {string} [instanceOptions.serverMode='semantic'] - The `--serverMode` of tsserver: 'semantic',
+ *                                   'partialSemantic' or 'syntactic'.
+ * @param {boolean} [instanceOptions.useSyntaxServer=false] - Start a second tsserver in syntactic mode that answers
+ *                                   requests such as navbar, outlining spans, brace matching and formatting while the
+ *                                   semantic server is still loading a project. Open, change and close are sent to
+ *                                   both servers. The `crashed`, `restarted` and `restartFailed` events of the syntax
+ *                                   server are emitted with `server: 'syntax'` in their body.
+ * @param {Object} [instanceOptions.timeouts] - Timeouts in milliseconds by command name, e.g.
+ *                                   `{references: 30000, default: 8000}`. The `default` entry applies to commands
+ *                                   without an entry of their own and is 5000 if not given, except for collecting
+ *                                   the diagnostics of geterr and geterrForProject, which then waits 60000. A
+ *                                   timeout passed to a call directly takes precedence.
+ * @param {number} [instanceOptions.maxInFlightRequests=1] - The number of requests written to tsserver before their
+ *                                   response arrived. Further requests wait in a queue in which interactive requests
+ *                                   such as completionInfo, quickinfo and signatureHelp overtake background requests
+ *                                   such as geterr and navto. Notifications such as open, change and close first
+ *                                   write every queued request, so requests always see the file content they were
+ *                                   made for.
+ * @param {boolean} [instanceOptions.coalesceRequests=false] - Reject a pending completionInfo, quickinfo,
+ *                                   signatureHelp, documentHighlights, navto, navbar, navtree, getOutliningSpans,
+ *                                   geterr or geterrForProject request with an `AbortError` when a newer request for
+ *                                   the same command and file is made. A superseded request that was already
+ *                                   written is cancelled on the server. Off by default, so that callers that make
+ *                                   such requests side by side get an answer for each of them.
+ * @param {boolean} [instanceOptions.batchChanges=false] - Buffer the edits made with `sendChange` instead of sending
+ *                                   a 'change' command for every edit. The buffered edits of all files are sent as
+ *                                   one 'updateOpen' command before the next request, so every request sees the
+ *                                   current content, or once no edit was made for `batchDelay` milliseconds.
+ * @param {number} [instanceOptions.batchDelay=100] - The time in milliseconds without edits after which buffered
+ *                                   edits are sent.
+ * @param {number} [instanceOptions.memoryCheckInterval=0] - How often in milliseconds the resident memory of the
+ *                                   tsserver process is sampled. 0 turns the memory watchdog off.
+ * @param {number} [instanceOptions.memoryThreshold=2048] - The resident memory in megabytes above which the
+ *                                   instance emits a `memoryPressure` event with the `pid`, the `rss` and the
+ *                                   `threshold` in megabytes and the `action` taken. The event is emitted again only
+ *                                   after the memory dropped below the threshold or the server was restarted.
+ * @param {string} [instanceOptions.memoryPressureAction='none'] - What to do when the threshold is crossed:
+ *                                   'none', 'increaseHeap' to restart tsserver with twice the heap limit
+ *                                   (`--max-old-space-size`), or 'partialSemantic' to restart a semantic server in
+ *                                   'partialSemantic' mode, which only serves the open files. Requests pending at
+ *                                   the restart are rejected, and a `restarted` event with the reason
+ *                                   'memoryPressure' is emitted once the files are re-opened. `init` starts over
+ *                                   with the original heap limit and mode.
+ * @param {number} [instanceOptions.maxHeapSize=8192] - The heap limit in megabytes that 'increaseHeap' does not
+ *                                   go beyond. Once it is reached, the action is 'none'.
+ * @param {function(number): Promise<number|undefined>} [instanceOptions.readMemory] - Optional. Reads the resident
+ *                                   memory in bytes of a process id for the memory watchdog, `readProcessMemory` of
+ *                                   `processMemory.js` by default.
+ * @param {function(Object)} [instanceOptions.onRequestCompleted] - Called when a request ends, with its `seq`,
+ *                                   `command`, `outcome` ('success', 'error', 'timeout', 'cancelled' or 'failed'),
+ *                                   `duration` from the call to the end and `queueTime` until it was written to
+ *                                   tsserver, both in milliseconds, and the `performanceData` of the response such
+ *                                   as `updateGraphDurationMs`, if tsserver sent any. Requests answered by the
+ *                                   syntax server have `server: 'syntax'`. See `getMetrics` for aggregated values.
+ * @param {number} [instanceOptions.metricsSampleSize=1000] - The number of recent durations per command that the
+ *                                   percentiles of `getMetrics` are computed from.
+ * @param {string} [instanceOptions.recordFile] - Appends every message written to and received from tsserver to
+ *                                   this file, as JSON lines with a timestamp, see `protocolRecorder.js`. Such a
+ *                                   trace can be attached to a bug report and replayed with `replayTrace`. The
+ *                                   syntax server records to a file of its own, e.g. `trace.syntax.jsonl`.
+ * @param {string} [instanceOptions.workspaceRoot] - The root folder of the workspace. When `init` is called without
+ *                                   a tsserver path, the TypeScript of the workspace is started: its
+ *                                   `node_modules/typescript`, else the SDK of a Yarn Plug'n'Play workspace in
+ *                                   `.yarn/sdks/typescript`, else the TypeScript bundled with this package. See
+ *                                   `getTypeScriptInfo`.
+ * @param {string} [instanceOptions.backend='process'] - Where tsserver runs: 'process' spawns Node.js, 'worker'
+ *                                   runs `tsserverlibrary` inside a worker on a virtual file system, for hosts that
+ *                                   cannot spawn processes. The worker reads files from the virtual file system only,
+ *                                   see `writeVirtualFile`. It runs without typing acquisition, plugins, request
+ *                                   cancellation on the server and the memory watchdog, and launch options other than
+ *                                   `maxNodeOldSpaceSize` have no effect.
+ * @param {Object<string, string>} [instanceOptions.virtualFiles] - With the worker backend, the initial files of the
+ *                                   virtual file system, text by absolute path. The lib.*.d.ts files of TypeScript
+ *                                   are read from disk.
+ * @param {string} [instanceOptions.fileSystemModule] - With the worker backend, the path or file URL of a CommonJS
+ *                                   module that replaces the in-memory file system. It is loaded with `require` in
+ *                                   the worker and exports `createFileSystem(fileSystemOptions, virtualFiles)`,
+ *                                   returning an object with the synchronous functions described in
+ *                                   `memoryFileSystem.js`, or a promise of it.
+ * @param {Object} [instanceOptions.fileSystemOptions] - Passed to `createFileSystem` of the `fileSystemModule`. It
+ *                                   is copied to the worker, so it may only hold cloneable values.
+ * @param {function(): Object} [instanceOptions.createWorker] - With the worker backend, creates the worker instead
+ *                                   of a node worker_threads worker, e.g. a browser Web Worker whose script calls
+ *                                   `startWorkerSession` of `workerSession.js`.
+ * @param {boolean} [instanceOptions.useWatchEvents=true] - Start tsserver with `--canUseWatchEvents`, so that the
+ *                                   instance watches files for it: tsserver asks for watchers with the
+ *                                   `createFileWatcher` and `createDirectoryWatcher` events, and the changes seen
+ *                                   within 100 milliseconds are sent together as 'watchChange' notifications. Needs
+ *                                   TypeScript 5.3 or newer, older versions and the worker backend watch files
+ *                                   themselves.
+ * @param {Object} [instanceOptions.typeAcquisition] - Automatic type acquisition, which installs the `@types`
+ *                                   packages of JavaScript dependencies with npm. When an install fails, the instance
+ *                                   emits a `missingTypings` event with the `packages` that were wanted but could not
+ *                                   be installed, e.g. `['@types/lodash']`, so that users know why a library lacks
+ *                                   types.
+ * @param {boolean} [instanceOptions.typeAcquisition.enable=true] - Set to false to start tsserver without it
+ *                                   (`--disableAutomaticTypingAcquisition`).
+ * @param {string} [instanceOptions.typeAcquisition.cacheDirectory] - The directory of the typings cache instead of
+ *                                   the user cache directory. See `getTypingsCacheLocation` for the folder below it
+ *                                   that tsserver uses, e.g. to fill it ahead of time.
+ * @param {boolean} [instanceOptions.typeAcquisition.offline=false] - Never run npm, for machines without network:
+ *                                   only the typings in the cache are used, and every package missing from the cache
+ *                                   is reported right away instead of after npm timed out. The packages a project
+ *                                   wants are looked up in the `@types` registry of the cache, packages it does not
+ *                                   list are neither acquired nor reported. tsserver reports a
+ *                                   `typesInstallerInitializationFailed` event because the registry is not updated.
+ *                                   `init` rejects the launch option `npmLocation` together with it.
  * @returns {Object} An object containing methods to interact with TypeScript Server.
  */
-function createTSServerInstance(inferredProject = true) {
+function createTSServerInstance(inferredProject = true, instanceOptions = {}) {
+    const {
+        rejectOnError = true,
+        autoRestart = true,
+        maxRestarts = 5,
+        restartDelay = 1000,
+        maxRestartDelay = 30000,
+        serverMode = 'semantic',
+        useSyntaxServer = false,
+        timeouts = {},
+        maxInFlightRequests = 1,
+        coalesceRequests = false,
+        batchChanges = false,
+        batchDelay = 100,
+        memoryCheckInterval = 0,
+        memoryThreshold = 2048,
+        memoryPressureAction = 'none',
+        maxHeapSize = 8192,
+        readMemory = readProcessMemory,
+        onRequestCompleted,
+        metricsSampleSize = 1000,
+        recordFile,
+        workspaceRoot,
+        backend = 'process',
+        fileSystemModule,
+        fileSystemOptions,
+        createWorker,
+        useWatchEvents = true,
+        typeAcquisition
+    } = instanceOptions;
+    if (!SERVER_MODES.includes(serverMode)) {
+        throw new Error(`Unknown serverMode '${serverMode}', expected one of ${SERVER_MODES.join(', ')}`);
+    }
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown backend '${backend}', expected one of ${BACKENDS.join(', ')}`);
+    }
+    if (!MEMORY_PRESSURE_ACTIONS.includes(memoryPressureAction)) {
+        throw new Error(`Unknown memoryPressureAction '${memoryPressureAction}', expected one of `
+            + MEMORY_PRESSURE_ACTIONS.join(', '));
+    }
+    const logger = normalizeLogger(instanceOptions.logger);
+    const recorder = recordFile ? createProtocolRecorder(recordFile, logger) : null;
+    // A server that stayed up this long is considered healthy again, and the restart backoff starts over.
+    const RESTART_RESET_WINDOW = 60000;
     let tsserverProcess = null;
+    let launchArguments = null;
+    // The tsserver started by `init`, with its TypeScript version and where it was found.
+    let typescriptInfo = null;
+    let stopRequested = false;
+    let restarting = false;
+    let restartAttempt = 0;
+    let restartTimer = null;
+    let serverStartTime = 0;
+    // True from the start of a process until the state of the instance was replayed to it, see replayServerState.
+    let restoringState = false;
+    // The mode of the running process, 'partialSemantic' after a restart because of memory pressure.
+    let activeServerMode = serverMode;
+    // The text and version of every file opened through this instance, re-sent after a restart.
+    const documentStore = createDocumentStore();
+    // With the worker backend, the files written through this instance, handed to every new worker.
+    const virtualFiles = new Map(Object.entries(instanceOptions.virtualFiles || {}));
+    const editApplier = createEditApplier({
+        getDocumentText: (filePath) => documentStore.has(filePath) ? documentStore.get(filePath).text : undefined,
+        updateDocument: (filePath, textChanges) => updateOpen([], [{fileName: filePath, textChanges}], []),
+        // Edits of files that are not open go to the file system tsserver reads.
+        fileSystem: backend === 'worker'
+            ? {readFile: readVirtualFile, writeFile: writeVirtualFile, deleteFile: deleteVirtualFile} : undefined
+    });
+    // With batchChanges, the text of every file with buffered edits as tsserver last saw it.
+    const pendingChanges = new Map();
+    let pendingChangesTimer = null;
+    const inferredProjectOptions = new Map();
+    // The settings sent with 'configure', merged like tsserver merges them, and replayed after a restart.
+    let hostConfiguration = {};
+    const fileConfigurations = new Map();
     let seqNumber = 0;
     const pendingCommands = new Map();
-    let buffer = '';
-    let expectedLength = 0;
+    // The requests written by replayServerState, by sequence number, with the message logged if they fail.
+    const replayedRequests = new Map();
+    const requestMetrics = createRequestMetrics(metricsSampleSize);
+    const requestQueue = createRequestQueue(dispatchRequest, maxInFlightRequests);
+    // The sequence number of the latest request per coalescing key, see getCoalescingKey.
+    const latestRequests = new Map();
+    const messageParser = createMessageParser(processMessage);
     const CONNECT_MESSAGE_KEY = -1;
+    let cancellationPipePrefix = null;
+    const cancelledRequests = new Set();
+    const eventHandlers = new Map();
+    const diagnosticCollectors = new Map();
+    const DIAGNOSTIC_EVENTS = {
+        syntaxDiag: 'syntactic',
+        semanticDiag: 'semantic',
+        suggestionDiag: 'suggestion'
+    };
+    // Watches files for tsserver when it runs with `--canUseWatchEvents`.
+    const hostWatcher = createHostWatcher(sendWatchChanges, {logger});
+    const syntaxServer = useSyntaxServer && serverMode !== 'syntactic' ? createSyntaxServer() : null;
+    let syntaxServerReady = false;
+
+    /**
+     * Creates the instance that runs the syntax server for `useSyntaxServer` and forwards its lifecycle events.
+     * @returns {Object} The syntax server instance.
+     */
+    function createSyntaxServer() {
+        const server = createTSServerInstance(inferredProject, {
+            ...instanceOptions,
+            serverMode: 'syntactic',
+            useSyntaxServer: false,
+            memoryCheckInterval: 0,
+            logger: withLogFields(instanceOptions.logger, {server: 'syntax'}),
+            onRequestCompleted: onRequestCompleted && ((timing) => onRequestCompleted({...timing, server: 'syntax'})),
+            recordFile: recordFile && getSyntaxServerFile(recordFile)
+        });
+        server.on('crashed', (body) => {
+            syntaxServerReady = false;
+            emitSyntheticEvent('crashed', {...body, server: 'syntax'});
+        });
+        server.on('restarted', (body) => {
+            syntaxServerReady = true;
+            emitSyntheticEvent('restarted', {...body, server: 'syntax'});
+        });
+        server.on('restartFailed', (body) => emitSyntheticEvent('restartFailed', {...body, server: 'syntax'}));
+        return server;
+    }
+
+    /**
+     * Starts the syntax server next to the semantic one. Requests fall back to the semantic server as long as the
+     * syntax server is not ready, so a syntax server that fails to start does not fail `init`.
+     * @param {string} node - The path to the Node.js executable.
+     * @param {string} tsServer - The path to the TypeScript Server executable.
+     * @param {Object} launchOptions - The launch options given to `init`. The syntax server writes its log to a
+     *                                 file of its own, e.g. `tsserver.syntax.log` next to `tsserver.log`.
+     * @returns {Promise<void>} A promise that resolves when the syntax server is ready or failed to start.
+     */
+    function initSyntaxServer(node, tsServer, launchOptions) {
+        syntaxServerReady = false;
+        const syntaxLaunchOptions = {...launchOptions};
+        if (launchOptions.logFile) {
+            syntaxLaunchOptions.logFile = getSyntaxServerFile(launchOptions.logFile);
+        }
+        return syntaxServer.init(node, tsServer, syntaxLaunchOptions)
+            .then(() => {
+                syntaxServerReady = true;
+            })
+            .catch((error) => logger.error('Error starting the syntax server', {error}));
+    }
+
+    /**
+     * @param {string} filePath - A log or trace file of the semantic server.
+     * @returns {string} The matching file of the syntax server, e.g. `tsserver.syntax.log` for `tsserver.log`.
+     */
+    function getSyntaxServerFile(filePath) {
+        const {dir, name, ext} = path.parse(filePath);
+        return path.join(dir, `${name}.syntax${ext}`);
+    }
+
+    /**
+     * Runs a document sync call on the syntax server as well. Its result is only logged, the caller gets the
+     * answer of the semantic server.
+     * @param {function(Object): (Promise|undefined)} send - Sends the call to the given syntax server.
+     */
+    function mirrorToSyntaxServer(send) {
+        if (!syntaxServer) {
+            return;
+        }
+        const result = send(syntaxServer);
+        if (result) {
+            result.catch((error) => logger.warn('Error syncing the syntax server', {error}));
+        }
+    }
 
     /**
      * Initializes the TypeScript Server instance.
@@ -23,115 +419,1086 @@ function createTSServerInstance(inferredProject = true) {
      * handling incoming data and errors respectively. It also handles the 'close' event of the process.
      * The function configures a timeout to reject the promise if the server does not start within a specified time.
      *
+     * If the process exits unexpectedly later on, all pending commands are rejected and, unless the instance was
+     * created with `autoRestart: false`, the server is restarted with the same arguments.
+     *
      * @param {string} [node=""] - The path to the Node.js executable. If not provided, defaults to 'node'.
-     * @param {string} [tsServer=""] - The path to the TypeScript Server executable. If not provided,
-     *                                  defaults to the 'tsserver' path in the 'node_modules' directory.
+     * @param {string} [tsServer=""] - The path to the TypeScript Server executable. If not provided, the
+     *                                  TypeScript of the `workspaceRoot` instance option is used, and without a
+     *                                  workspace TypeScript the one bundled with this package.
+     * @param {Object} [launchOptions] - Optional. Command line options for tsserver.
+     * @param {string} [launchOptions.locale] - The locale of diagnostic messages, e.g. 'de' (`--locale`).
+     * @param {string} [launchOptions.logFile] - The file tsserver writes its own log to (`--logFile`).
+     * @param {string} [launchOptions.logVerbosity] - The detail of the tsserver log: 'terse', 'normal',
+     *                                  'requestTime' or 'verbose' (`--logVerbosity`).
+     * @param {string} [launchOptions.traceDirectory] - The directory tsserver writes performance traces to
+     *                                  (`--traceDirectory`).
+     * @param {number} [launchOptions.maxNodeOldSpaceSize] - The heap limit in megabytes of the Node.js process
+     *                                  running tsserver (`--max-old-space-size`).
+     * @param {boolean} [launchOptions.disableAutomaticTypingAcquisition] - Do not download type definitions for
+     *                                  JavaScript dependencies (`--disableAutomaticTypingAcquisition`).
+     * @param {string[]} [launchOptions.globalPlugins] - Names of language service plugins loaded for every
+     *                                  project (`--globalPlugins`).
+     * @param {string[]} [launchOptions.pluginProbeLocations] - Directories searched for global plugins
+     *                                  (`--pluginProbeLocations`).
+     * @param {boolean} [launchOptions.allowLocalPluginLoads] - Allow projects to load plugins from their own
+     *                                  `node_modules` (`--allowLocalPluginLoads`).
+     * @param {string} [launchOptions.npmLocation] - The npm executable used to install type definitions
+     *                                  (`--npmLocation`).
+     * @param {boolean} [launchOptions.noGetErrOnBackgroundUpdate] - Do not send diagnostics of open files after
+     *                                  a background project update (`--noGetErrOnBackgroundUpdate`).
      * @returns {Promise<void>} A promise that resolves when the TypeScript Server is ready,
-     *                          or rejects if there is an error or timeout.
+     *                          or rejects if there is an error or timeout. It rejects with a `TypeError` if a
+     *                          launch option is unknown or invalid, and with an `Error` if no TypeScript is found.
+     *                          Calling `init` again after `exitServer` starts
+     *                          a new process with the files that are still open and the settings sent with
+     *                          `configure`.
+     *
+     * Example usage:
+     * ```
+     * await tsServer.init('', '', {locale: 'de', maxNodeOldSpaceSize: 4096, disableAutomaticTypingAcquisition: true});
+     * ```
      */
-    function initTSServer(node = "", tsServer = "") {
+    function initTSServer(node = "", tsServer = "", launchOptions = {}) {
+        let args;
+        let typeAcquisitionArgs;
+        try {
+            args = buildLaunchArguments(launchOptions);
+            typeAcquisitionArgs = buildTypeAcquisitionArguments(typeAcquisition, node || 'node');
+            if (typeAcquisition && typeAcquisition.offline && launchOptions.npmLocation !== undefined) {
+                throw new TypeError(`Type acquisition option 'offline' cannot be combined with the launch option `
+                    + `'npmLocation'`);
+            }
+            typescriptInfo = tsServer
+                ? {tsServerPath: tsServer, version: readTypeScriptVersion(tsServer), source: 'custom'}
+                : resolveTypeScript(workspaceRoot);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        logger.info('Starting tsserver', {...typescriptInfo});
+        launchArguments = {
+            node,
+            tsServer: typescriptInfo.tsServerPath,
+            nodeArgs: args.nodeArgs,
+            serverArgs: [...typeAcquisitionArgs.serverArgs, ...args.serverArgs],
+            env: typeAcquisitionArgs.env,
+            launchOptions
+        };
+        activeServerMode = serverMode;
+        stopRequested = false;
+        restarting = false;
+        restartAttempt = 0;
+        clearTimeout(restartTimer);
+        // After exitServer or killServer, the files that are still open are re-opened on the new process.
+        const started = startServerProcess().then(replayServerState).then(detectTypeScriptVersion);
+        if (syntaxServer) {
+            return Promise.all([started, initSyntaxServer(node, typescriptInfo.tsServerPath, launchOptions)])
+                .then(() => undefined);
+        }
+        return started;
+    }
+
+    /**
+     * Asks a tsserver that is not part of a TypeScript package, such as a custom build, for its version.
+     * @returns {Promise<void>} A promise that resolves when the version is known or could not be found out.
+     */
+    function detectTypeScriptVersion() {
+        if (typescriptInfo.version) {
+            return Promise.resolve();
+        }
+        const info = typescriptInfo;
+        return status()
+            .then((response) => {
+                info.version = response.body && response.body.version;
+            })
+            .catch((error) => logger.warn('Could not detect the TypeScript version of tsserver', {error}));
+    }
+
+    /**
+     * Spawns Node.js running tsserver with the arguments given to `initTSServer`.
+     * @returns {ChildProcess} The tsserver process.
+     */
+    function spawnServerProcess() {
+        const {node, tsServer, nodeArgs, serverArgs, env} = launchArguments;
+        const nodePath = (!node) ? 'node' : node;
+        // tsserver cancels request <seq> while a file named <prefix><seq> exists, see cancelRequest
+        cancellationPipePrefix = path.join(os.tmpdir(),
+            `tscancellation-${process.pid}-${crypto.randomBytes(8).toString('hex')}.tmp`);
+        return spawn(nodePath, [
+            ...nodeArgs,
+            tsServer,
+            (inferredProject) ? '--useInferredProjectPerProjectRoot' : "",
+            (useWatchEvents && supports('watchChange')) ? '--canUseWatchEvents' : "",
+            '--cancellationPipeName', `${cancellationPipePrefix}*`,
+            '--serverMode', activeServerMode,
+            ...serverArgs
+        ], {env});
+    }
+
+    /**
+     * Starts a worker running tsserver on the virtual file system, for the 'worker' backend.
+     * @returns {Object} The worker, wrapped to look like a tsserver process, see `workerProcess.js`.
+     */
+    function startServerWorker() {
+        const {tsServer, nodeArgs, serverArgs} = launchArguments;
+        // A worker has no cancellation pipe, aborted requests are only rejected locally.
+        cancellationPipePrefix = null;
+        const heapArgument = nodeArgs.find((arg) => arg.startsWith('--max-old-space-size='));
+        return startWorkerProcess({
+            typescriptPath: resolveTypeScriptLibrary(tsServer),
+            inferredProject,
+            serverMode: activeServerMode,
+            args: serverArgs,
+            files: Object.fromEntries(virtualFiles),
+            fileSystemModule,
+            fileSystemOptions
+        }, {createWorker, maxOldGenerationSizeMb: heapArgument ? getHeapSize() : undefined});
+    }
+
+    /**
+     * Starts tsserver with the arguments given to `initTSServer`, as a process or in a worker.
+     * @returns {Promise<void>} A promise that resolves when the new process is ready.
+     */
+    function startServerProcess() {
         return new Promise((resolve, reject) => {
-            const __dirname = path.dirname(fileURLToPath(import.meta.url));
-            const tsserverPath = (tsServer) ? tsServer : path.join(__dirname, '..', '..', 'node_modules', 'typescript', 'bin', 'tsserver');
-            const nodePath = (!node) ? 'node' : node;
-            tsserverProcess = spawn(nodePath, [tsserverPath, (inferredProject) ? '--useInferredProjectPerProjectRoot' : ""]);
-            tsserverProcess.stdout.setEncoding('utf8');
-
-            pendingCommands.set(CONNECT_MESSAGE_KEY, {resolve, reject});
-            tsserverProcess.stdout.on('data', (data) => {
-                onData(data);
+            const {nodeArgs} = launchArguments;
+            const child = backend === 'worker' ? startServerWorker() : spawnServerProcess();
+            tsserverProcess = child;
+            serverStartTime = Date.now();
+            restoringState = true;
+            requestQueue.pause();
+            if (recorder) {
+                recorder.record('start', {
+                    pid: child.pid,
+                    inferredProject,
+                    serverMode: activeServerMode,
+                    nodeArgs,
+                    launchOptions: launchArguments.launchOptions
+                });
+            }
+            messageParser.reset();
+            let ready = false;
+
+            // Add a timeout for server initialization
+            const timeoutId = setTimeout(() => {
+                if (pendingCommands.has(CONNECT_MESSAGE_KEY)) {
+                    pendingCommands.delete(CONNECT_MESSAGE_KEY);
+                    reject(new Error('Timeout waiting for tsserver to be ready'));
+                }
+            }, 10000); // 10 seconds timeout
+            pendingCommands.set(CONNECT_MESSAGE_KEY, {
+                resolve: () => {
+                    ready = true;
+                    clearTimeout(timeoutId);
+                    startMemoryWatchdog(child);
+                    resolve();
+                },
+                reject: (error) => {
+                    clearTimeout(timeoutId);
+                    reject(error);
+                }
+            });
+
+            child.stdout.on('data', (data) => {
+                if (child === tsserverProcess) {
+                    messageParser.feed(data);
+                }
             });
 
-            tsserverProcess.stderr.on('data', (data) => {
-                console.error(`stderr: ${data}`);
+            child.stderr.on('data', (data) => {
+                logger.warn('tsserver stderr output', {stderr: `${data}`});
             });
 
-            tsserverProcess.on('close', (code) => {
-                console.log(`tsserver process exited with code ${code}`);
+            child.on('error', (error) => {
+                logger.error('tsserver process error', {error});
             });
 
-            // Add a timeout for server initialization
-            setTimeout(() => {
-                reject(new Error('Timeout waiting for tsserver to be ready'));
-            }, 10000); // 10 seconds timeout
+            child.on('close', (code, signal) => {
+                onServerExit(child, ready, code, signal);
+            });
+
+            // tsserver answers requests once it is ready. It also sends the typingsInstallerPid event then, but not
+            // without automatic typing acquisition, in a worker or when the typings installer cannot be started.
+            const statusRequest = {seq: CONNECT_MESSAGE_KEY, type: 'request', command: 'status'};
+            writeMessage(child, statusRequest);
         });
     }
 
     /**
-     * Handles incoming data from the TypeScript Server.
-     * @param {string} rawData - Raw data received from tsserver.
+     * Resolves the `init` or restart promise waiting for tsserver to be ready.
+     */
+    function markServerReady() {
+        if (pendingCommands.has(CONNECT_MESSAGE_KEY)) {
+            const {resolve} = pendingCommands.get(CONNECT_MESSAGE_KEY);
+            pendingCommands.delete(CONNECT_MESSAGE_KEY);
+            resolve();
+        }
+    }
+
+    /**
+     * Handles the exit of a tsserver process. Pending commands can never be answered by the exited process and
+     * are rejected right away. If the exit was not requested through `exitServer` or `killServer`, a `crashed`
+     * event is emitted and a restart is scheduled.
+     *
+     * @param {ChildProcess} child - The process that exited.
+     * @param {boolean} wasReady - Whether the process had finished starting up.
+     * @param {number|null} code - The exit code of the process.
+     * @param {string|null} signal - The signal that terminated the process.
+     */
+    function onServerExit(child, wasReady, code, signal) {
+        logger.info('tsserver process exited', {code, signal});
+        if (child !== tsserverProcess) {
+            // The process was already stopped or replaced, the pending commands were handled then.
+            return;
+        }
+        tsserverProcess = null;
+        messageParser.reset();
+        clearAllCancellations();
+        hostWatcher.closeAll();
+        // The replay after a restart sends the current text, which includes the buffered edits.
+        discardPendingChanges();
+        if (stopRequested) {
+            rejectAllPending(new Error('tsserver was stopped'));
+            return;
+        }
+        rejectAllPending(new Error(`tsserver exited unexpectedly with code ${code}`));
+        emitSyntheticEvent('crashed', {code, signal});
+        if (wasReady || restarting) {
+            scheduleRestart();
+        }
+    }
+
+    /**
+     * Rejects every command and diagnostics request still waiting for tsserver.
+     * @param {Error} error - The error to reject them with.
+     */
+    function rejectAllPending(error) {
+        requestQueue.clear();
+        replayedRequests.clear();
+        for (const seq of [...pendingCommands.keys()]) {
+            const pending = seq === CONNECT_MESSAGE_KEY ? pendingCommands.get(seq)
+                : settlePendingCommand(seq, 'failed');
+            pendingCommands.delete(seq);
+            pending.reject(error);
+        }
+        for (const seq of [...diagnosticCollectors.keys()]) {
+            settleDiagnosticCollector(seq, 'failed').reject(error);
+        }
+    }
+
+    /**
+     * Schedules a restart of a crashed tsserver with exponential backoff.
+     */
+    function scheduleRestart() {
+        if (!autoRestart) {
+            return;
+        }
+        if (Date.now() - serverStartTime > RESTART_RESET_WINDOW) {
+            restartAttempt = 0;
+        }
+        if (restartAttempt >= maxRestarts) {
+            restarting = false;
+            logger.error('tsserver crashed too many times in a row, giving up restarting it',
+                {attempts: restartAttempt});
+            emitSyntheticEvent('restartFailed', {attempts: restartAttempt});
+            return;
+        }
+        const delay = Math.min(restartDelay * Math.pow(2, restartAttempt), maxRestartDelay);
+        restartAttempt++;
+        restarting = true;
+        restartTimer = setTimeout(restartServer, delay);
+    }
+
+    /**
+     * Starts a new tsserver after a crash and restores the state the previous process had.
+     * @param {string} [reason='crash'] - Why the server is restarted, 'crash' or 'memoryPressure'.
+     */
+    function restartServer(reason = 'crash') {
+        const attempt = restartAttempt;
+        startServerProcess()
+            .then(() => {
+                restarting = false;
+                replayServerState();
+                emitSyntheticEvent('restarted', {attempt, reason});
+            })
+            .catch((error) => {
+                logger.error('Error restarting tsserver', {error, attempt});
+                // A process that never became ready is killed, its exit schedules the next attempt.
+                if (tsserverProcess) {
+                    tsserverProcess.kill();
+                }
+            });
+    }
+
+    /**
+     * Samples the resident memory of a tsserver process every `memoryCheckInterval` milliseconds until the process
+     * exits or is replaced.
+     * @param {ChildProcess} child - The tsserver process.
+     */
+    function startMemoryWatchdog(child) {
+        // A worker shares the memory of this process.
+        if (!memoryCheckInterval || !child.pid) {
+            return;
+        }
+        let aboveThreshold = false;
+        let sampling = false;
+        const timer = setInterval(() => {
+            if (child !== tsserverProcess) {
+                clearInterval(timer);
+                return;
+            }
+            if (sampling) {
+                return;
+            }
+            sampling = true;
+            readMemory(child.pid).then((rss) => {
+                sampling = false;
+                if (rss === undefined || child !== tsserverProcess) {
+                    return;
+                }
+                const rssMegabytes = Math.round(rss / (1024 * 1024));
+                if (rssMegabytes < memoryThreshold) {
+                    aboveThreshold = false;
+                } else if (!aboveThreshold) {
+                    aboveThreshold = true;
+                    onMemoryPressure(child, rssMegabytes);
+                }
+            });
+        }, memoryCheckInterval);
+        // The watchdog alone does not keep the process alive.
+        timer.unref();
+    }
+
+    /**
+     * @returns {number} The heap limit of the running tsserver in megabytes.
+     */
+    function getHeapSize() {
+        const heapArgument = launchArguments.nodeArgs.find((arg) => arg.startsWith('--max-old-space-size='));
+        return heapArgument ? Number(heapArgument.split('=')[1]) : DEFAULT_OLD_SPACE_SIZE;
+    }
+
+    /**
+     * Emits a `memoryPressure` event and restarts tsserver with more memory or in partialSemantic mode if the
+     * instance is configured to.
+     * @param {ChildProcess} child - The tsserver process above the threshold.
+     * @param {number} rss - Its resident memory in megabytes.
+     */
+    function onMemoryPressure(child, rss) {
+        const heapSize = getHeapSize();
+        let action = 'none';
+        if (memoryPressureAction === 'increaseHeap' && heapSize < maxHeapSize) {
+            action = 'increaseHeap';
+        } else if (memoryPressureAction === 'partialSemantic' && activeServerMode === 'semantic') {
+            action = 'partialSemantic';
+        }
+        logger.warn('tsserver memory above threshold', {pid: child.pid, rss, threshold: memoryThreshold, action});
+        emitSyntheticEvent('memoryPressure', {pid: child.pid, rss, threshold: memoryThreshold, action});
+        if (action === 'none' || child !== tsserverProcess) {
+            return;
+        }
+        if (action === 'increaseHeap') {
+            launchArguments.nodeArgs = [
+                ...launchArguments.nodeArgs.filter((arg) => !arg.startsWith('--max-old-space-size=')),
+                `--max-old-space-size=${Math.min(heapSize * 2, maxHeapSize)}`
+            ];
+        } else {
+            activeServerMode = 'partialSemantic';
+        }
+        // The old process is replaced right away, its exit is not treated as a crash.
+        tsserverProcess = null;
+        messageParser.reset();
+        clearAllCancellations();
+        hostWatcher.closeAll();
+        discardPendingChanges();
+        rejectAllPending(new Error('tsserver was restarted because it used too much memory'));
+        child.kill();
+        restarting = true;
+        restartServer('memoryPressure');
+    }
+
+    /**
+     * Re-applies the host configuration and the inferred project options and re-opens every open file with its
+     * current text and file configuration on a freshly started tsserver. Requests made while the process started
+     * are held in the request queue until the replay is written, so that tsserver knows the files they are for.
+     */
+    function replayServerState() {
+        // The replay sends the current text, which includes the buffered edits.
+        discardPendingChanges();
+        if (tsserverProcess) {
+            if (Object.keys(hostConfiguration).length) {
+                writeReplayedRequest({command: 'configure', arguments: hostConfiguration},
+                    'Error restoring the host configuration');
+            }
+            for (const [projectRootPath, compilerOptions] of inferredProjectOptions) {
+                writeReplayedRequest({
+                    command: 'compilerOptionsForInferredProjects',
+                    arguments: {options: compilerOptions, projectRootPath: projectRootPath || undefined}
+                }, 'Error restoring inferred project options');
+            }
+            for (const document of documentStore.list()) {
+                writeMessage(tsserverProcess, {
+                    command: 'open',
+                    arguments: {
+                        file: document.filePath,
+                        fileContent: document.text,
+                        scriptKindName: document.scriptKindName,
+                        projectRootPath: document.projectRootPath
+                    }
+                });
+            }
+            for (const [file, configuration] of fileConfigurations) {
+                writeReplayedRequest({command: 'configure', arguments: {...configuration, file}},
+                    'Error restoring the file configuration', {file});
+            }
+        }
+        restoringState = false;
+        requestQueue.resume();
+    }
+
+    /**
+     * Writes a request of `replayServerState` ahead of the held requests. Nobody waits for its response, a failure
+     * is logged.
+     * @param {Object} command - The command and arguments of the request.
+     * @param {string} errorMessage - The message logged if tsserver answers with `success: false`.
+     * @param {Object} [fields] - Structured fields logged with the message.
+     */
+    function writeReplayedRequest(command, errorMessage, fields = {}) {
+        const seq = ++seqNumber;
+        replayedRequests.set(seq, {errorMessage, fields});
+        writeMessage(tsserverProcess, {...command, seq, type: 'request'});
+    }
+
+    /**
+     * Writes a command that tsserver does not answer, if the server is running. Queued requests are written first,
+     * so that they are answered for the file content they were made for. While a new process waits for the replay
+     * of the open files, their 'open', 'change', 'close' and 'updateOpen' commands are left out, the replay sends
+     * the current state instead.
+     * @param {Object} command - The command object to send.
+     * @returns {boolean} True if the command was written, or left out because the replay covers it.
+     */
+    function writeToServer(command) {
+        if (!tsserverProcess || !tsserverProcess.stdin.writable) {
+            return false;
+        }
+        if (restoringState && DOCUMENT_SYNC_COMMANDS.has(command.command)) {
+            return true;
+        }
+        requestQueue.flush();
+        logger.debug('tsserver command sent', {command: command.command});
+        writeMessage(tsserverProcess, command);
+        return true;
+    }
+
+    /**
+     * Writes a message to a tsserver process and records it with `recordFile`.
+     * @param {ChildProcess} child - The tsserver process.
+     * @param {Object} message - The message.
+     */
+    function writeMessage(child, message) {
+        if (recorder) {
+            recorder.record('send', message);
+        }
+        child.stdin.write(`${JSON.stringify(message)}\n`);
+    }
+
+    /**
+     * Emits an event that originates from this instance rather than from tsserver, such as `crashed`.
+     * @param {string} eventName - The name of the event.
+     * @param {Object} body - The event body.
+     */
+    function emitSyntheticEvent(eventName, body) {
+        emitEvent(eventName, body, {type: 'event', event: eventName, body});
+    }
+
+    /**
+     * Processes a complete message from tsserver.
+     * @param {string} message - A complete message in JSON format.
+     */
+    function processMessage(message) {
+        try {
+            const response = JSON.parse(message);
+            if (recorder) {
+                recorder.record('receive', response);
+            }
+            if (response.type === 'event') {
+                logger.trace('tsserver event received', {event: response.event});
+                if (response.event === 'typingsInstallerPid') {
+                    // Server is ready
+                    markServerReady();
+                }
+                hostWatcher.handleEvent(response);
+                collectDiagnostics(response);
+                emitEvent(response.event, response.body, response);
+                if (response.event === 'endInstallTypes' && response.body && response.body.success === false) {
+                    reportMissingTypings(response.body.packages);
+                }
+                return;
+            }
+
+            if (response.request_seq === CONNECT_MESSAGE_KEY) {
+                markServerReady();
+                return;
+            }
+            if (replayedRequests.has(response.request_seq)) {
+                const {errorMessage, fields} = replayedRequests.get(response.request_seq);
+                replayedRequests.delete(response.request_seq);
+                if (response.success === false) {
+                    logger.error(errorMessage, {...fields, error: response.message});
+                }
+                return;
+            }
+            clearCancellation(response.request_seq);
+            if (response.request_seq !== undefined && pendingCommands.has(response.request_seq)) {
+                const {resolve, reject, startTime} = settlePendingCommand(response.request_seq,
+                    response.success === false ? 'error' : 'success', response);
+                logger.debug('tsserver response received', {
+                    seq: response.request_seq,
+                    command: response.command,
+                    success: response.success,
+                    duration: Date.now() - startTime
+                });
+                if (rejectOnError && response.success === false) {
+                    reject(new TSServerError(response.command, response.request_seq, response.message, response));
+                    return;
+                }
+                resolve(response);
+            }
+        } catch (e) {
+            logger.error('Error parsing message from tsserver', {error: e});
+        }
+    }
+
+    /**
+     * Emits a `missingTypings` event for `@types` packages that automatic type acquisition could not install.
+     * @param {string[]} packages - The packages as the typings installer asked npm for them, with the dist tag of
+     *                              the TypeScript version, e.g. '@types/lodash@ts5.4'. The event lists them without.
+     */
+    function reportMissingTypings(packages) {
+        const packageNames = (packages || []).map((packageName) => packageName.replace(/(.)@[^@/]*$/, '$1'));
+        logger.warn('Type definitions could not be acquired', {packages: packageNames});
+        emitSyntheticEvent('missingTypings', {packages: packageNames});
+    }
+
+    /**
+     * Feeds diagnostic and `requestCompleted` events to the pending diagnostic collectors created by
+     * `sendDiagnosticsCommand`. tsserver does not tag diagnostic events with the request that caused them,
+     * so a diagnostic event is handed to every pending collector that asked for that file.
+     * @param {Object} event - The event message received from tsserver.
+     */
+    function collectDiagnostics(event) {
+        if (event.event === 'requestCompleted') {
+            const requestSeq = event.body && event.body.request_seq;
+            clearCancellation(requestSeq);
+            const collector = settleDiagnosticCollector(requestSeq, 'success');
+            if (collector) {
+                collector.resolve(collector.diagnostics);
+            }
+            return;
+        }
+        const kind = DIAGNOSTIC_EVENTS[event.event];
+        if (!kind || !event.body) {
+            return;
+        }
+        const file = event.body.file;
+        for (const collector of diagnosticCollectors.values()) {
+            if (collector.files && !collector.files.has(file)) {
+                continue;
+            }
+            if (!collector.diagnostics[file]) {
+                collector.diagnostics[file] = {syntactic: [], semantic: [], suggestion: []};
+            }
+            collector.diagnostics[file][kind] = event.body.diagnostics;
+            if (collector.onFileDiagnostics) {
+                try {
+                    collector.onFileDiagnostics(file, collector.diagnostics[file], kind);
+                } catch (e) {
+                    logger.error('Error in onFileDiagnostics callback', {error: e, file});
+                }
+            }
+        }
+    }
+
+    /**
+     * Sends a 'geterr' or 'geterrForProject' command and collects the diagnostic events it triggers.
+     * The returned promise resolves once tsserver sends the `requestCompleted` event for the command.
+     *
+     * @param {Object} command - The geterr or geterrForProject command object to send.
+     * @param {string[]|null} files - The files diagnostics are expected for, or null to accept any file.
+     * @param {Object} options - Collection options.
+     * @param {function(string, Object, string)} [options.onFileDiagnostics] - Called every time diagnostics
+     *                                  for a file arrive.
+     * @param {number} [options.timeout] - The timeout in milliseconds to wait for `requestCompleted`. Defaults to
+     *                                  the entry for the command in the `timeouts` instance option, else its
+     *                                  `default` entry, else 60000.
+     * @param {AbortSignal} [options.signal] - Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} A promise that resolves with the diagnostics collected per file.
+     */
+    function sendDiagnosticsCommand(command, files, options) {
+        return new Promise((resolve, reject) => {
+            if (!tsserverProcess || !tsserverProcess.stdin.writable) {
+                reject(new Error('tsserver is not initialized'));
+                return;
+            }
+            const {signal} = options;
+            if (signal && signal.aborted) {
+                reject(getAbortReason(signal));
+                return;
+            }
+            flushPendingChanges();
+            command.seq = ++seqNumber;
+            command.type = 'request';
+            const timeout = getCommandTimeout(command.command, options.timeout, DEFAULT_DIAGNOSTICS_TIMEOUT);
+            const timeoutId = setTimeout(() => {
+                if (settleDiagnosticCollector(command.seq, 'timeout')) {
+                    reject(new Error('tsserver diagnostics timeout'));
+                }
+            }, timeout);
+            const key = getCoalescingKey(command);
+            supersedeRequest(key);
+            diagnosticCollectors.set(command.seq, {
+                files: files ? new Set(files) : null,
+                diagnostics: {},
+                onFileDiagnostics: options.onFileDiagnostics,
+                timeoutId,
+                removeAbortListener: listenForAbort(signal, () => {
+                    const written = !requestQueue.isQueued(command.seq);
+                    if (settleDiagnosticCollector(command.seq, 'cancelled')) {
+                        if (written) {
+                            requestCancellation(command.seq);
+                        }
+                        reject(getAbortReason(signal));
+                    }
+                }),
+                command,
+                key,
+                startTime: Date.now(),
+                resolve,
+                reject
+            });
+            trackLatestRequest(key, command.seq);
+            requestQueue.enqueue(command.seq, REQUEST_PRIORITIES[command.command] || 'normal');
+        });
+    }
+
+    /**
+     * Removes a pending diagnostic collector and releases its timeout and abort listener.
+     * @param {number} seq - The sequence number of the geterr request.
+     * @param {string} outcome - How the request ended, see `recordRequest`.
+     * @returns {Object|undefined} The removed collector, or undefined if it was not pending.
+     */
+    function settleDiagnosticCollector(seq, outcome) {
+        const collector = diagnosticCollectors.get(seq);
+        if (!collector) {
+            return undefined;
+        }
+        diagnosticCollectors.delete(seq);
+        clearTimeout(collector.timeoutId);
+        collector.removeAbortListener();
+        requestQueue.settle(seq);
+        forgetLatestRequest(collector.key, seq);
+        recordRequest(collector, outcome);
+        return collector;
+    }
+
+    /**
+     * Calls every handler registered for an event. A handler that throws does not prevent the remaining handlers
+     * from being called.
+     * @param {string} eventName - The name of the event, e.g. 'semanticDiag'.
+     * @param {Object} body - The body of the event as sent by tsserver.
+     * @param {Object} event - The complete event message.
+     */
+    function emitEvent(eventName, body, event) {
+        const handlers = eventHandlers.get(eventName);
+        if (!handlers) {
+            return;
+        }
+        for (const handler of [...handlers]) {
+            try {
+                handler(body, event);
+            } catch (e) {
+                logger.error('Error in tsserver event handler', {error: e, event: eventName});
+            }
+        }
+    }
+
+    /**
+     * Registers a handler for an event pushed by the TypeScript Server. tsserver sends events such as
+     * `syntaxDiag`, `semanticDiag`, `suggestionDiag`, `projectLoadingStart`, `projectLoadingFinish`,
+     * `configFileDiag`, `projectsUpdatedInBackground`, `requestCompleted` and `largeFileReferenced`
+     * without being asked for them.
+     *
+     * @param {string} eventName - The name of the tsserver event to listen for.
+     * @param {function(Object, Object)} handler - Called with the event body and the complete event message.
+     * @returns {function()} A function that unregisters the handler when called.
+     *
+     * Example usage:
+     * ```
+     * const unsubscribe = on('semanticDiag', (body) => {
+     *   console.log('Semantic errors for', body.file, body.diagnostics);
+     * });
+     * ```
+     */
+    function on(eventName, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Event handler must be a function');
+        }
+        if (!eventHandlers.has(eventName)) {
+            eventHandlers.set(eventName, new Set());
+        }
+        eventHandlers.get(eventName).add(handler);
+        return () => off(eventName, handler);
+    }
+
+    /**
+     * Unregisters a handler previously registered with `on`. If no handler is given, all handlers
+     * for the event are removed.
+     *
+     * @param {string} eventName - The name of the tsserver event.
+     * @param {function(Object, Object)} [handler] - The handler to remove.
+     */
+    function off(eventName, handler) {
+        const handlers = eventHandlers.get(eventName);
+        if (!handlers) {
+            return;
+        }
+        if (handler) {
+            handlers.delete(handler);
+        } else {
+            handlers.clear();
+        }
+        if (!handlers.size) {
+            eventHandlers.delete(eventName);
+        }
+    }
+
+    /**
+     * Registers a one time abort listener on a signal.
+     * @param {AbortSignal} [signal] - The signal to listen to.
+     * @param {function()} onAbort - Called when the signal is aborted.
+     * @returns {function()} A function that removes the listener.
+     */
+    function listenForAbort(signal, onAbort) {
+        if (!signal) {
+            return () => {};
+        }
+        signal.addEventListener('abort', onAbort, {once: true});
+        return () => signal.removeEventListener('abort', onAbort);
+    }
+
+    /**
+     * @param {AbortSignal} signal - An aborted signal.
+     * @returns {Error} The reason given when the signal was aborted, or a generic AbortError.
+     */
+    function getAbortReason(signal) {
+        if (signal.reason instanceof Error) {
+            return signal.reason;
+        }
+        return createAbortError('tsserver request cancelled');
+    }
+
+    /**
+     * @param {string} message - The error message.
+     * @returns {Error} An error named AbortError.
+     */
+    function createAbortError(message) {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Asks tsserver to cancel a request by creating the per request cancellation file it polls for.
+     * The file is removed again once the response for the request arrives, see `clearCancellation`.
+     * @param {number} seq - The sequence number of the request to cancel.
+     */
+    function requestCancellation(seq) {
+        if (!cancellationPipePrefix) {
+            return;
+        }
+        try {
+            fs.writeFileSync(`${cancellationPipePrefix}${seq}`, '');
+            cancelledRequests.add(seq);
+        } catch (e) {
+            logger.error('Could not cancel tsserver request', {error: e, seq});
+        }
+    }
+
+    /**
+     * Removes the cancellation file of a request, if the request was cancelled.
+     * @param {number} seq - The sequence number of the request.
+     */
+    function clearCancellation(seq) {
+        if (!cancelledRequests.has(seq)) {
+            return;
+        }
+        cancelledRequests.delete(seq);
+        fs.rm(`${cancellationPipePrefix}${seq}`, {force: true}, () => {});
+    }
+
+    /**
+     * Removes all cancellation files that are still around, e.g. when the server goes away.
+     */
+    function clearAllCancellations() {
+        for (const seq of [...cancelledRequests]) {
+            clearCancellation(seq);
+        }
+    }
+
+    /**
+     * Removes a pending command and releases its timeout and abort listener.
+     * @param {number} seq - The sequence number of the command.
+     * @param {string} outcome - How the request ended, see `recordRequest`.
+     * @param {Object} [response] - The response of tsserver, if it answered.
+     * @returns {Object|undefined} The removed entry with its `resolve` and `reject` functions.
+     */
+    function settlePendingCommand(seq, outcome, response) {
+        const pending = pendingCommands.get(seq);
+        if (!pending) {
+            return undefined;
+        }
+        pendingCommands.delete(seq);
+        clearTimeout(pending.timeoutId);
+        pending.removeAbortListener();
+        requestQueue.settle(seq);
+        forgetLatestRequest(pending.key, seq);
+        recordRequest(pending, outcome, response);
+        return pending;
+    }
+
+    /**
+     * Records the timing of a completed request for `getMetrics` and passes it to the `onRequestCompleted` hook.
+     * @param {Object} pending - The pending command or diagnostic collector of the request.
+     * @param {string} outcome - 'success', 'error', 'timeout', 'cancelled' or 'failed'.
+     * @param {Object} [response] - The response of tsserver, if it answered.
+     */
+    function recordRequest(pending, outcome, response) {
+        const now = Date.now();
+        const timing = {
+            seq: pending.command.seq,
+            command: pending.command.command,
+            outcome,
+            duration: now - pending.startTime,
+            queueTime: (pending.writeTime || now) - pending.startTime,
+            performanceData: response && response.performanceData
+        };
+        requestMetrics.record(timing);
+        if (onRequestCompleted) {
+            try {
+                onRequestCompleted(timing);
+            } catch (e) {
+                logger.error('Error in onRequestCompleted callback', {error: e, command: timing.command});
+            }
+        }
+    }
+
+    /**
+     * Returns latency statistics per command for the requests made through this instance, e.g. to find out which
+     * requests are slow for users. Durations are measured from the call to the answer, including the time spent in
+     * the request queue.
+     *
+     * @returns {Object} The statistics per command name. Every entry has the `count` of requests, the number of
+     *                   requests per outcome as `success`, `error`, `timeout`, `cancelled` and `failed`, the `p50`,
+     *                   `p95`, `p99` and `max` duration in milliseconds, and `performanceData` with the `count`,
+     *                   `total` and `max` of every field tsserver reported, such as `updateGraphDurationMs` and
+     *                   `createAutoImportProviderProgramDurationMs`. With `useSyntaxServer`, the statistics of the
+     *                   syntax server are under the `syntaxServer` key.
+     *
+     * Example usage:
+     * ```
+     * const {completionInfo} = getMetrics();
+     * console.log(`completions: p95 ${completionInfo.p95}ms, ${completionInfo.timeout} timeouts`);
+     * ```
+     */
+    function getMetrics() {
+        const metrics = requestMetrics.getMetrics();
+        if (syntaxServer) {
+            metrics.syntaxServer = syntaxServer.getMetrics();
+        }
+        return metrics;
+    }
+
+    /**
+     * Clears the statistics returned by `getMetrics`.
+     */
+    function resetMetrics() {
+        requestMetrics.reset();
+        if (syntaxServer) {
+            syntaxServer.resetMetrics();
+        }
+    }
+
+    /**
+     * Reports the TypeScript that `init` started.
+     *
+     * @returns {Object|undefined} Undefined before `init`, else the `tsServerPath` of the started script, the
+     *                             TypeScript `version`, undefined if it could not be found out, and the `source`:
+     *                             'workspace' for the `node_modules/typescript` of the `workspaceRoot`, 'yarnSdk' for
+     *                             the SDK of a Yarn Plug'n'Play workspace, 'bundled' for the TypeScript of this
+     *                             package and 'custom' for a tsserver path passed to `init`.
+     *
+     * Example usage:
+     * ```
+     * const {version, source} = getTypeScriptInfo();
+     * statusBar.setText(`TypeScript ${version}${source === 'bundled' ? ' (bundled)' : ''}`);
+     * ```
+     */
+    function getTypeScriptInfo() {
+        return typescriptInfo ? {...typescriptInfo} : undefined;
+    }
+
+    /**
+     * Tells whether the running tsserver has a command. Requests for commands that were added in a later
+     * TypeScript version than the one started are rejected with an `UnsupportedCommandError` without being sent.
+     *
+     * @param {string} commandName - The name of the tsserver command, e.g. 'linkedEditingRange'.
+     * @returns {boolean} False if the command was introduced in a later TypeScript version than the running one.
+     *                    True for commands that every supported version has, and while the version is unknown.
+     *
+     * Example usage:
+     * ```
+     * if (supports('linkedEditingRange')) {
+     *   const ranges = await getLinkedEditingRange(filePath, line, offset);
+     * }
+     * ```
+     */
+    function supports(commandName) {
+        return isCommandSupported(commandName, typescriptInfo ? typescriptInfo.version : undefined);
+    }
+
+    /**
+     * @param {string} commandName - The name of the command.
+     * @param {number} [timeout] - The timeout passed to the call, if any.
+     * @param {number} [fallback=DEFAULT_TIMEOUT] - The timeout if neither the call nor the `timeouts` instance option
+     *                                  give one.
+     * @returns {number} The timeout in milliseconds to use for the command.
+     */
+    function getCommandTimeout(commandName, timeout, fallback = DEFAULT_TIMEOUT) {
+        if (timeout !== undefined) {
+            return timeout;
+        }
+        if (timeouts[commandName] !== undefined) {
+            return timeouts[commandName];
+        }
+        return timeouts.default !== undefined ? timeouts.default : fallback;
+    }
+
+    /**
+     * @param {Object} command - The command object.
+     * @returns {string|undefined} The key under which a newer request supersedes this one, or undefined if the
+     *                             request is never superseded.
+     */
+    function getCoalescingKey(command) {
+        if (!coalesceRequests || !COALESCED_COMMANDS.has(command.command)) {
+            return undefined;
+        }
+        const args = command.arguments || {};
+        const file = args.files ? args.files.join('\n') : args.file;
+        return `${command.command}\n${file || ''}`;
+    }
+
+    /**
+     * Remembers a request as the latest one for its coalescing key.
+     * @param {string|undefined} key - The coalescing key of the request.
+     * @param {number} seq - The sequence number of the request.
+     */
+    function trackLatestRequest(key, seq) {
+        if (key !== undefined) {
+            latestRequests.set(key, seq);
+        }
+    }
+
+    /**
+     * Forgets a settled request, unless a newer request took its place already.
+     * @param {string|undefined} key - The coalescing key of the request.
+     * @param {number} seq - The sequence number of the request.
      */
-    function onData(rawData) {
-        buffer += rawData;
-        // Check if we have received the complete message based on Content-Length
-        while (hasCompleteMessage()) {
-            const headerEndIndex = buffer.indexOf('\r\n\r\n') + 4; // +4 to move past the \r\n\r\n
-            const message = buffer.substring(headerEndIndex, headerEndIndex + expectedLength);
-            buffer = buffer.substring(headerEndIndex + expectedLength);
-            expectedLength = 0; // Reset for the next message
-            processMessage(message);
+    function forgetLatestRequest(key, seq) {
+        if (key !== undefined && latestRequests.get(key) === seq) {
+            latestRequests.delete(key);
         }
     }
 
     /**
-     * Processes a complete message from tsserver.
-     * @param {string} message - A complete message in JSON format.
+     * Rejects the pending request for a coalescing key because a newer request replaces it. The request is dropped
+     * from the queue or, if it was written already, cancelled on the server.
+     * @param {string|undefined} key - The coalescing key of the newer request.
      */
-    function processMessage(message) {
-        try {
-            console.log("++++++++++", message);
-            const response = JSON.parse(message);
-            if (response.type === 'event' && response.event === 'typingsInstallerPid') {
-                // Server is ready
-                const {resolve} = pendingCommands.get(CONNECT_MESSAGE_KEY);
-                pendingCommands.delete(CONNECT_MESSAGE_KEY);
-                resolve();
-                return;
-            }
-
-            if (response.request_seq !== undefined && pendingCommands.has(response.request_seq)) {
-                const {resolve} = pendingCommands.get(response.request_seq);
-                pendingCommands.delete(response.request_seq);
-                resolve(response);
-            }
-        } catch (e) {
-            console.error('Error parsing message from tsserver:', e);
+    function supersedeRequest(key) {
+        const seq = key === undefined ? undefined : latestRequests.get(key);
+        if (seq === undefined) {
+            return;
+        }
+        const written = !requestQueue.isQueued(seq);
+        const pending = settlePendingCommand(seq, 'cancelled') || settleDiagnosticCollector(seq, 'cancelled');
+        if (!pending) {
+            return;
         }
+        logger.debug('tsserver request superseded', {seq, command: pending.command.command});
+        if (written) {
+            requestCancellation(seq);
+        }
+        pending.reject(createAbortError('tsserver request superseded by a newer request'));
     }
 
     /**
-     * Checks if the buffer has a complete message based on Content-Length.
-     * @returns {boolean} True if a complete message is present in the buffer.
+     * Writes a queued request to tsserver once the request queue lets it through.
+     * @param {number} seq - The sequence number of the request.
      */
-    function hasCompleteMessage() {
-        if (!expectedLength) {
-            const headerEndIndex = buffer.indexOf('\r\n\r\n');
-            if (headerEndIndex !== -1) {
-                const header = buffer.substring(0, headerEndIndex);
-                const contentLengthMatch = header.match(/Content-Length: (\d+)/);
-                if (contentLengthMatch) {
-                    expectedLength = parseInt(contentLengthMatch[1], 10);
-                }
+    function dispatchRequest(seq) {
+        const pending = pendingCommands.get(seq) || diagnosticCollectors.get(seq);
+        if (!pending) {
+            requestQueue.settle(seq);
+            return;
+        }
+        if (!tsserverProcess || !tsserverProcess.stdin.writable) {
+            const failed = settlePendingCommand(seq, 'failed') || settleDiagnosticCollector(seq, 'failed');
+            failed.reject(new Error('tsserver stdin not writable'));
+            return;
+        }
+        logger.debug('tsserver request sent', {seq, command: pending.command.command});
+        pending.writeTime = Date.now();
+        writeMessage(tsserverProcess, pending.command);
+        if (EVENT_ONLY_COMMANDS.has(pending.command.command)) {
+            // tsserver answers other requests between the steps of a geterr, so it does not hold a slot.
+            requestQueue.settle(seq);
+            if (pendingCommands.has(seq)) {
+                settlePendingCommand(seq, 'success').resolve();
             }
         }
-        return buffer.length >= expectedLength + buffer.indexOf('\r\n\r\n') + 4; // +4 for header's \r\n\r\n
     }
 
-
     /**
      * Sends a command to the TypeScript Server.
      * Special handling for 'open' command as it does not receive a response.
+     * Requests wait in the request queue until tsserver is free for them, see the `maxInFlightRequests` and
+     * `coalesceRequests` instance options.
+     * With `useSyntaxServer`, syntactic commands such as 'navtree' or 'format' go to the syntax server while it
+     * is running.
      * @param {Object} command - The command object to send.
-     * @param {number} [timeout=5000] - The timeout in milliseconds for the command.
-     * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
+     * @param {number} [timeout] - The timeout in milliseconds for the command, including the time spent in the queue.
+     *                             Defaults to the entry for the command in the `timeouts` instance option.
+     * @param {AbortSignal} [signal] - Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} A promise that resolves with the response from tsserver. Unless the instance was
+     *                            created with `rejectOnError: false`, the promise rejects with a `TSServerError`
+     *                            when tsserver answers with `success: false`. It rejects with an
+     *                            `UnsupportedCommandError` if the running TypeScript does not have the command yet,
+     *                            see `supports`.
      */
-    function sendCommand(command, timeout = 5000) {
-        if (command.command === "open" || command.command === "geterr" || command.command === "geterrForProject"
-            || command.command === "saveto" || command.command === "reloadProjects") {
+    function sendCommand(command, timeout = undefined, signal = undefined) {
+        if (!supports(command.command)) {
+            return Promise.reject(new UnsupportedCommandError(command.command, COMMAND_VERSIONS[command.command],
+                typescriptInfo.version));
+        }
+        if (syntaxServerReady && SYNTAX_SERVER_COMMANDS.has(command.command)) {
+            return syntaxServer.sendCommand(command, timeout, signal);
+        }
+        flushPendingChanges();
+        if (command.command === "open" || command.command === "saveto" || command.command === "reloadProjects") {
             // For 'open' command, resolve immediately as no response is expected
-            // geterr and geterrForProject returns result as events so resolve geterr and wait for response in events
             // saveTo command also does not return any response
-            tsserverProcess.stdin.write(`${JSON.stringify(command)}\n`);
+            if (!writeToServer(command)) {
+                return Promise.reject(new Error('tsserver is not initialized'));
+            }
             return Promise.resolve();
         }
         return new Promise((resolve, reject) => {
@@ -139,44 +1506,116 @@ function createTSServerInstance(inferredProject = true) {
                 reject(new Error('tsserver is not initialized'));
                 return;
             }
+            if (signal && signal.aborted) {
+                reject(getAbortReason(signal));
+                return;
+            }
 
             command.seq = ++seqNumber;
             command.type = 'request';
-            pendingCommands.set(command.seq, {resolve, reject});
 
+            const startTime = Date.now();
             const timeoutId = setTimeout(() => {
-                if (pendingCommands.has(command.seq)) {
-                    pendingCommands.delete(command.seq);
+                if (settlePendingCommand(command.seq, 'timeout')) {
+                    logger.warn('tsserver response timeout',
+                        {seq: command.seq, command: command.command, duration: Date.now() - startTime});
                     reject(new Error('tsserver response timeout'));
                 }
-            }, timeout);
-
-            if (tsserverProcess.stdin.writable) {
-                console.log(command);
-                tsserverProcess.stdin.write(`${JSON.stringify(command)}\n`);
-            } else {
-                clearTimeout(timeoutId);
-                reject(new Error('tsserver stdin not writable'));
-            }
+            }, getCommandTimeout(command.command, timeout));
+            const removeAbortListener = listenForAbort(signal, () => {
+                const written = !requestQueue.isQueued(command.seq);
+                if (settlePendingCommand(command.seq, 'cancelled')) {
+                    logger.debug('tsserver request cancelled',
+                        {seq: command.seq, command: command.command, duration: Date.now() - startTime});
+                    if (written) {
+                        requestCancellation(command.seq);
+                    }
+                    reject(getAbortReason(signal));
+                }
+            });
+            const key = getCoalescingKey(command);
+            supersedeRequest(key);
+            pendingCommands.set(command.seq,
+                {resolve, reject, timeoutId, removeAbortListener, startTime, command, key});
+            trackLatestRequest(key, command.seq);
+            // geterr and geterrForProject return their result as events, they resolve once written
+            requestQueue.enqueue(command.seq, REQUEST_PRIORITIES[command.command] || 'normal');
         });
     }
 
     /**
      * Sends an 'open file' command to the TypeScript Server.
+     *
+     * Without `fileContent` tsserver reads the file from disk. Pass the content of the editor buffer to work with
+     * unsaved changes. Buffers that have no file on disk, such as untitled tabs, are opened with a path starting
+     * with `^`, e.g. `^/untitled/ts-nul-authority/Untitled-1`, see `getUntitledFilePath`. Such files are never read
+     * from disk and belong to an inferred project.
+     *
      * @param {string} filePath - The path to the TypeScript file to open.
      * @param {number} timeout - The timeout in milliseconds for the command.
-     * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
+     * @param {Object} [openOptions] - Optional settings for the opened file.
+     * @param {string} [openOptions.fileContent] - The content of the file. Defaults to the content on disk, or to
+     *                                  an empty text for `^` paths.
+     * @param {string} [openOptions.scriptKindName] - The kind of script: 'TS', 'JS', 'TSX' or 'JSX'. Defaults to
+     *                                  the kind matching the file extension, and to 'TS' for paths without one.
+     * @param {string} [openOptions.projectRootPath] - The root folder of the workspace the file belongs to. tsserver
+     *                                  does not look for a tsconfig.json above it, and with an inferred project per
+     *                                  project root the file joins the inferred project of that folder.
+     * @returns {Promise<Object>} A promise that resolves with the response from tsserver. It rejects with a
+     *                            `TypeError` if `scriptKindName` is not one of the supported kinds.
+     *
+     * Example usage:
+     * ```
+     * const untitled = getUntitledFilePath(1);
+     * await openFile(untitled, undefined, {fileContent: 'const greeting = "hi";', scriptKindName: 'TS'});
+     * ```
      */
-    function openFile(filePath, timeout = 5000) {
+    function openFile(filePath, timeout = 5000, openOptions = {}) {
+        const {fileContent, scriptKindName, projectRootPath} = openOptions;
+        if (scriptKindName !== undefined && !SCRIPT_KIND_NAMES.includes(scriptKindName)) {
+            return Promise.reject(new TypeError(`Unknown scriptKindName '${scriptKindName}', expected one of `
+                + SCRIPT_KIND_NAMES.join(', ')));
+        }
+        flushPendingChanges();
         const command = {
             command: 'open',
-            arguments: {file: filePath}
+            arguments: {file: filePath, fileContent, scriptKindName, projectRootPath}
         };
+        if (fileContent === undefined && isInMemoryPath(filePath)) {
+            // tsserver cannot read such a file from disk, it needs the content with the open command.
+            command.arguments.fileContent = '';
+        }
+        documentStore.open(filePath, command.arguments.fileContent !== undefined ? command.arguments.fileContent
+            : readDocumentText(filePath), {scriptKindName, projectRootPath});
+        mirrorToSyntaxServer((server) => server.openFile(filePath, timeout, openOptions));
         return sendCommand(command, timeout);
     }
 
+    /**
+     * Returns a path for a buffer that has no file on disk, such as an untitled editor tab. Files opened under this
+     * path are kept in memory by tsserver, see `openFile`.
+     *
+     * @param {number|string} id - Identifies the buffer, e.g. the number of the untitled tab.
+     * @param {string} [extension=''] - Optional. A file extension such as '.tsx'. Without an extension, pass a
+     *                                   `scriptKindName` when opening the file.
+     * @returns {string} A path like `^/untitled/ts-nul-authority/Untitled-1`.
+     */
+    function getUntitledFilePath(id, extension = '') {
+        return `^/untitled/ts-nul-authority/Untitled-${id}${extension}`;
+    }
+
+    /**
+     * @param {string} filePath - A file path.
+     * @returns {boolean} True for paths starting with `^`, which tsserver treats as files without a copy on disk.
+     */
+    function isInMemoryPath(filePath) {
+        return filePath.startsWith('^');
+    }
+
     /**
      * Sends a 'change' command to the TypeScript Server.
+     * With `batchChanges`, the edit of an open file is buffered and sent later with the other buffered edits,
+     * see `flushPendingChanges`.
      * @param {string} filePath - The path to the file.
      * @param {Object} start - The start position of the change (line and offset).
      * @param {Object} end - The end position of the change (line and offset).
@@ -194,10 +1633,50 @@ function createTSServerInstance(inferredProject = true) {
                 insertString: newText
             }
         };
+        if (batchChanges && documentStore.has(filePath) && !pendingChanges.has(filePath)) {
+            pendingChanges.set(filePath, documentStore.get(filePath).text);
+        }
+        documentStore.applyChange(filePath, start, end, newText);
+        mirrorToSyntaxServer((server) => server.sendChange(filePath, start, end, newText));
+        if (pendingChanges.has(filePath)) {
+            clearTimeout(pendingChangesTimer);
+            pendingChangesTimer = setTimeout(flushPendingChanges, batchDelay);
+            return;
+        }
         // The 'change' command does not require a response from the server
-        if (tsserverProcess && tsserverProcess.stdin.writable) {
-            tsserverProcess.stdin.write(`${JSON.stringify(command)}\n`);
+        writeToServer(command);
+    }
+
+    /**
+     * Sends the edits buffered with `batchChanges` as one 'updateOpen' command. The edits of a file are sent as a
+     * single text change that turns the text tsserver has into the current text of the document store.
+     */
+    function flushPendingChanges() {
+        clearTimeout(pendingChangesTimer);
+        if (!pendingChanges.size) {
+            return;
+        }
+        const changedFiles = [];
+        for (const [filePath, serverText] of pendingChanges) {
+            const document = documentStore.get(filePath);
+            const textChange = document && computeTextChange(serverText, document.text);
+            if (textChange) {
+                changedFiles.push({fileName: filePath, textChanges: [textChange]});
+            }
         }
+        pendingChanges.clear();
+        if (changedFiles.length) {
+            // The response carries no information, so the command is written without waiting for it.
+            writeToServer({command: 'updateOpen', arguments: {changedFiles}});
+        }
+    }
+
+    /**
+     * Drops the edits buffered with `batchChanges`, e.g. when the server they were meant for is gone.
+     */
+    function discardPendingChanges() {
+        clearTimeout(pendingChangesTimer);
+        pendingChanges.clear();
     }
 
     /**
@@ -211,10 +1690,199 @@ function createTSServerInstance(inferredProject = true) {
                 file: filePath
             }
         };
+        flushPendingChanges();
+        documentStore.close(filePath);
+        fileConfigurations.delete(filePath);
+        mirrorToSyntaxServer((server) => server.closeFile(filePath));
         // The 'close' command does not require a response from the server
-        if (tsserverProcess && tsserverProcess.stdin.writable) {
-            tsserverProcess.stdin.write(`${JSON.stringify(command)}\n`);
+        writeToServer(command);
+    }
+
+    /**
+     * Reads the content of a file the way tsserver does when a file is opened without content.
+     * @param {string} filePath - The path of the file.
+     * @returns {string} The content without a byte order mark, or an empty string if the file cannot be read or
+     *                   only exists in memory.
+     */
+    function readDocumentText(filePath) {
+        if (isInMemoryPath(filePath)) {
+            return '';
+        }
+        try {
+            return fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+        } catch (e) {
+            logger.warn('Could not read opened file, tracking it as empty', {file: filePath, error: e});
+            return '';
+        }
+    }
+
+    /**
+     * Returns the text and version of a file opened with `openFile` or `updateOpen`. The text is kept in sync with
+     * the edits sent with `sendChange`, `updateOpen` and `reload`, so it is the content tsserver works with.
+     *
+     * @param {string} filePath - The path of the file.
+     * @returns {Object|undefined} A snapshot with `filePath`, `text`, `version`, `scriptKindName` and
+     *                             `projectRootPath`, or undefined if the file is not open. The version starts at 1
+     *                             when the file is opened and increases with every edit.
+     */
+    function getDocument(filePath) {
+        return documentStore.get(filePath);
+    }
+
+    /**
+     * @returns {Object[]} Snapshots of all open files in the order they were opened, see `getDocument`.
+     */
+    function listOpenDocuments() {
+        return documentStore.list();
+    }
+
+    /**
+     * Returns a converter between tsserver locations, LSP positions, editor positions and absolute offsets for the
+     * current text of an open file, see `createPositionConverter` in `positions.js`. The converter is bound to the
+     * text at the time of the call, get a new one after the file changed.
+     *
+     * @param {string} filePath - The path of an open file.
+     * @param {Object} [options] - Optional. Converter settings such as `positionEncoding`.
+     * @returns {Object|undefined} The converter, or undefined if the file is not open.
+     *
+     * Example usage:
+     * ```
+     * const converter = getPositionConverter(filePath);
+     * const {line, offset} = converter.convert({line: cursor.line, ch: cursor.ch}, 'editor', 'tsserver');
+     * const quickInfo = await getQuickInfo(filePath, line, offset);
+     * ```
+     */
+    function getPositionConverter(filePath, options) {
+        const document = documentStore.get(filePath);
+        return document ? createPositionConverter(document.text, options) : undefined;
+    }
+
+    /**
+     * Applies the edits of a tsserver response, such as the `changes` of a code fix, a refactoring or
+     * 'organizeImports', or the `edits` of 'getEditsForRefactor'. Edits to files opened with `openFile` or
+     * `updateOpen` change the document and are sent to tsserver with 'updateOpen'. Other files are edited on disk,
+     * and new files, e.g. of the 'Move to a new file' refactoring, are created. The edits of every file are applied
+     * from the bottom to the top, and nothing is changed if any edit is invalid.
+     *
+     * @param {Object[]} fileCodeEdits - The edits per file, each with `fileName`, `textChanges` and optionally
+     *                                   `isNewFile`.
+     * @returns {Promise<Object>} A promise that resolves with an undo record for `undoEdits` once all edits are
+     *                            made. It rejects if edits overlap, a file to edit does not exist or a file to
+     *                            create already exists.
+     *
+     * Example usage:
+     * ```
+     * const fixes = await getCodeFixes(filePath, 3, 1, 3, 10, [2304]);
+     * const undoRecord = await applyFileCodeEdits(fixes.body[0].changes);
+     * // later
+     * await undoEdits(undoRecord);
+     * ```
+     */
+    function applyFileCodeEdits(fileCodeEdits) {
+        return editApplier.applyFileCodeEdits(fileCodeEdits);
+    }
+
+    /**
+     * Applies edits to a single file, e.g. the response of a 'format' request, see `applyFileCodeEdits`.
+     *
+     * @param {string} filePath - The path of the file.
+     * @param {Object[]} codeEdits - The edits, each with `start`, `end` and `newText`.
+     * @returns {Promise<Object>} A promise that resolves with an undo record for `undoEdits`.
+     */
+    function applyCodeEdits(filePath, codeEdits) {
+        return editApplier.applyFileCodeEdits([{fileName: filePath, textChanges: codeEdits}]);
+    }
+
+    /**
+     * Renames all locations returned by a 'rename' request, including the prefix and suffix text tsserver asks for
+     * in shorthand properties and imports, see `applyFileCodeEdits`.
+     *
+     * @param {Object} renameBody - The `body` of the response of `rename`.
+     * @param {string} newName - The new name.
+     * @returns {Promise<Object>} A promise that resolves with an undo record for `undoEdits`. It rejects if
+     *                            tsserver reported that the symbol cannot be renamed.
+     */
+    async function applyRename(renameBody, newName) {
+        return editApplier.applyFileCodeEdits(renameLocationsToFileCodeEdits(renameBody, newName));
+    }
+
+    /**
+     * Reverts edits made with `applyFileCodeEdits`, `applyCodeEdits` or `applyRename`. Files created by the edits
+     * are deleted again.
+     *
+     * @param {Object} undoRecord - The undo record the edits resolved with.
+     * @returns {Promise<void>} A promise that resolves once the edits are reverted. It rejects without changing
+     *                          anything if one of the files was changed after the edits.
+     */
+    function undoEdits(undoRecord) {
+        return editApplier.undo(undoRecord);
+    }
+
+    /**
+     * Calls a function of the virtual file system in the worker.
+     * @param {string} method - 'readFile', 'writeFile' or 'deleteFile'.
+     * @param {...*} args - The arguments of the call.
+     * @returns {Promise<*>} A promise that resolves with the result of the call.
+     */
+    function callVirtualFileSystem(method, ...args) {
+        if (backend !== 'worker') {
+            return Promise.reject(new Error('The virtual file system is only available with the worker backend'));
+        }
+        if (!tsserverProcess) {
+            return Promise.resolve(method === 'readFile' ? virtualFiles.get(args[0]) : undefined);
+        }
+        return tsserverProcess.callFileSystem(method, ...args);
+    }
+
+    /**
+     * Reads a file of the virtual file system of the worker backend.
+     *
+     * @param {string} filePath - The absolute path of the file.
+     * @returns {Promise<string|undefined>} A promise that resolves with the text of the file, or undefined if it does
+     *                                      not exist. It rejects with the process backend.
+     */
+    function readVirtualFile(filePath) {
+        return callVirtualFileSystem('readFile', filePath);
+    }
+
+    /**
+     * Creates or replaces a file of the virtual file system of the worker backend. tsserver picks up the change like
+     * it picks up changes on disk, e.g. projects that import the file are updated. Open files are changed with
+     * `sendChange` or `updateOpen` instead. The files written through the instance are kept for the worker started
+     * after a crash.
+     *
+     * @param {string} filePath - The absolute path of the file.
+     * @param {string} text - The new text of the file.
+     * @returns {Promise<void>} A promise that resolves once the file is written. It rejects with the process backend.
+     *
+     * Example usage:
+     * ```
+     * const server = createTSServerInstance(true, {backend: 'worker'});
+     * await server.init();
+     * await server.writeVirtualFile('/project/tsconfig.json', '{"compilerOptions": {"strict": true}}');
+     * await server.openFile('/project/src/main.ts', undefined, {fileContent: 'export const answer = 42;'});
+     * ```
+     */
+    function writeVirtualFile(filePath, text) {
+        if (backend === 'worker') {
+            virtualFiles.set(filePath, text);
+            mirrorToSyntaxServer((server) => server.writeVirtualFile(filePath, text));
+        }
+        return callVirtualFileSystem('writeFile', filePath, text);
+    }
+
+    /**
+     * Deletes a file of the virtual file system of the worker backend, if it exists.
+     *
+     * @param {string} filePath - The absolute path of the file.
+     * @returns {Promise<void>} A promise that resolves once the file is deleted. It rejects with the process backend.
+     */
+    function deleteVirtualFile(filePath) {
+        if (backend === 'worker') {
+            virtualFiles.delete(filePath);
+            mirrorToSyntaxServer((server) => server.deleteVirtualFile(filePath));
         }
+        return callVirtualFileSystem('deleteFile', filePath);
     }
 
     /**
@@ -222,9 +1890,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the file.
      * @param {number} line - The line number of the position.
      * @param {number} offset - The offset in the line of the position.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function getDefinition(filePath, line, offset) {
+    function getDefinition(filePath, line, offset, signal) {
         const command = {
             command: "definition",
             arguments: {
@@ -233,7 +1902,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -241,9 +1910,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the file.
      * @param {number} line - The line number of the position.
      * @param {number} offset - The offset in the line of the position.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function getQuickInfo(filePath, line, offset) {
+    function getQuickInfo(filePath, line, offset, signal) {
         const command = {
             command: "quickinfo",
             arguments: {
@@ -252,7 +1922,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
 
@@ -265,6 +1935,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the TypeScript file.
      * @param {number} line - The line number where the symbol is located.
      * @param {number} offset - The character offset (position) in the line where the symbol is located.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object[]>} A promise that resolves with an array of reference items.
      * Each item represents a reference to the symbol and includes:
@@ -284,7 +1955,7 @@ function createTSServerInstance(inferredProject = true) {
      * This function is crucial for understanding how and where symbols are used in a project,
      * facilitating code comprehension and refactoring.
      */
-    function findReferences(filePath, line, offset) {
+    function findReferences(filePath, line, offset, signal) {
         const command = {
             command: "references",
             arguments: {
@@ -293,7 +1964,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -305,6 +1976,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the TypeScript file.
      * @param {number} line - The line number where the symbol whose definition is to be found is located.
      * @param {number} offset - The character offset within the line where the symbol is located.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the location information of the symbol's
      *                            source definition. The response object typically includes:
@@ -324,7 +1996,7 @@ function createTSServerInstance(inferredProject = true) {
      * This function is essential for developers in complex TypeScript projects, providing a means to
      * quickly navigate to the original declaration of symbols, enhancing code understanding and navigation.
      */
-    function findSourceDefinition(filePath, line, offset) {
+    function findSourceDefinition(filePath, line, offset, signal) {
         const command = {
             command: "findSourceDefinition",
             arguments: {
@@ -333,7 +2005,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -341,9 +2013,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the file.
      * @param {number} line - The line number of the position.
      * @param {number} offset - The offset in the line of the position.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function getCompletionInfo(filePath, line, offset) {
+    function getCompletionInfo(filePath, line, offset, signal) {
         const command = {
             command: "completionInfo",
             arguments: {
@@ -352,7 +2025,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -361,9 +2034,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} line - The line number of the position.
      * @param {number} offset - The offset in the line of the position.
      * @param {string} entryName - The name of the completion entry.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function getCompletionDetails(filePath, line, offset, entryName) {
+    function getCompletionDetails(filePath, line, offset, entryName, signal) {
         const command = {
             command: "completionEntryDetails",
             arguments: {
@@ -373,22 +2047,23 @@ function createTSServerInstance(inferredProject = true) {
                 entryNames: [entryName]
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
      * Sends a 'compileOnSaveAffectedFileList' request to the TypeScript Server.
      * @param {string} filePath - The path to the file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function getCompileOnSaveAffectedFileList(filePath) {
+    function getCompileOnSaveAffectedFileList(filePath, signal) {
         const command = {
             command: "compileOnSaveAffectedFileList",
             arguments: {
                 file: filePath
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -397,6 +2072,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {boolean} [forced=false] - Force emit even if there are errors.
      * @param {boolean} [includeLinePosition=false] - Include line position in the response.
      * @param {boolean} [richResponse=false] - If true, returns response as an object with detailed emit results.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<boolean | EmitResult>} A promise that resolves with a boolean indicating success
      *          or an EmitResult object containing detailed information about the emit process.
      *          - If a boolean: true if the emit was successful, false otherwise.
@@ -414,7 +2090,8 @@ function createTSServerInstance(inferredProject = true) {
      *              - `end`: The ending position of the diagnostic message (line and character).
      *              - `text`: The text of the diagnostic message.
      */
-    function compileOnSaveEmitFile(filePath, forced = false, includeLinePosition = false, richResponse = false) {
+    function compileOnSaveEmitFile(filePath, forced = false, includeLinePosition = false, richResponse = false,
+        signal = undefined) {
         const command = {
             command: "compileOnSaveEmitFile",
             arguments: {
@@ -424,7 +2101,7 @@ function createTSServerInstance(inferredProject = true) {
                 richResponse: richResponse
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -432,9 +2109,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the file.
      * @param {number} line - The line number of the position.
      * @param {number} offset - The offset in the line of the position.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function getDefinitionAndBoundSpan(filePath, line, offset) {
+    function getDefinitionAndBoundSpan(filePath, line, offset, signal) {
         const command = {
             command: "definitionAndBoundSpan",
             arguments: {
@@ -443,7 +2121,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -451,9 +2129,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the file.
      * @param {number} line - The line number of the position.
      * @param {number} offset - The offset in the line of the position.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function getImplementations(filePath, line, offset) {
+    function getImplementations(filePath, line, offset, signal) {
         const command = {
             command: "implementation",
             arguments: {
@@ -462,7 +2141,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -473,9 +2152,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} endLine - The ending line number of the format range.
      * @param {number} endOffset - The ending offset in the end line.
      * @param {object} [formatOptions] - Optional formatting options.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function format(filePath, startLine, startOffset, endLine, endOffset, formatOptions = {}) {
+    function format(filePath, startLine, startOffset, endLine, endOffset, formatOptions = {}, signal) {
         const command = {
             command: "format",
             arguments: {
@@ -487,7 +2167,7 @@ function createTSServerInstance(inferredProject = true) {
                 options: formatOptions
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -495,13 +2175,19 @@ function createTSServerInstance(inferredProject = true) {
      * @function exitServer
      */
     function exitServer() {
-        if (tsserverProcess && tsserverProcess.stdin.writable) {
-            const command = {
-                command: "exit"
-            };
-            tsserverProcess.stdin.write(`${JSON.stringify(command)}\n`);
-        }
+        mirrorToSyntaxServer((server) => server.exitServer());
+        syntaxServerReady = false;
+        stopRequested = true;
+        clearTimeout(restartTimer);
+        discardPendingChanges();
+        const command = {
+            command: "exit"
+        };
+        writeToServer(command);
         tsserverProcess = null;
+        clearAllCancellations();
+        hostWatcher.closeAll();
+        rejectAllPending(new Error('tsserver was stopped'));
     }
 
     /**
@@ -527,6 +2213,7 @@ function createTSServerInstance(inferredProject = true) {
      *                                   include settings like tab size, indent size,
      *                                   whether to insert spaces, and so on.
      *                                   Example: { tabSize: 4, indentSize: 4, insertSpace: true }
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      *                            The response typically includes an array of code edits
@@ -534,7 +2221,7 @@ function createTSServerInstance(inferredProject = true) {
      *                            desired formatting. Each edit suggests changes like
      *                            text insertions, deletions, or replacements.
      */
-    function formatOnKey(filePath, line, offset, key, formatOptions = {}) {
+    function formatOnKey(filePath, line, offset, key, formatOptions = {}, signal) {
         const command = {
             command: "formatonkey",
             arguments: {
@@ -545,7 +2232,7 @@ function createTSServerInstance(inferredProject = true) {
                 options: formatOptions
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -555,16 +2242,26 @@ function createTSServerInstance(inferredProject = true) {
      * for asynchronously obtaining diagnostic information like errors and warnings from the server.
      *
      * @param {string[]} filePaths - An array of paths to the files for which to get errors. Each path should
-     *                               be either absolute or relative to the TypeScript server's current working directory.
+     *                               be either absolute or relative to the TypeScript server's current working
+     *                               directory.
      * @param {number} delay - The delay in milliseconds to wait before the server processes the request.
      *                         This delay can be used to batch or throttle error requests, especially when dealing
      *                         with a large number of file changes or edits.
+     * @param {Object} [options] - Optional settings.
+     * @param {boolean} [options.collect=false] - Wait for the diagnostics and resolve with them.
+     * @param {function(string, Object, string)} [options.onFileDiagnostics] - In collect mode, called with the file,
+     *                                  its diagnostics so far and the kind that just arrived ('syntactic',
+     *                                  'semantic' or 'suggestion') every time diagnostics for a file arrive.
+     * @param {number} [options.timeout] - In collect mode, the timeout in milliseconds for the whole request, see
+     *                                  the `timeouts` instance option.
+     * @param {AbortSignal} [options.signal] - In collect mode, aborting it cancels the request on the server and
+     *                                  rejects the promise.
      *
-     * @returns {Promise<void>} A promise that resolves when the command has been sent to the server. The resolution
-     *                          of this promise indicates that the request was successfully dispatched, but it does not
-     *                          imply that the errors have been received. The actual errors (diagnostics) will be sent
-     *                          back by the server asynchronously as separate events or messages, which should be handled
-     *                          separately in the client's message handling logic.
+     * @returns {Promise<void|Object>} A promise that resolves when the command has been sent to the server. The
+     *                          resolution of this promise indicates that the request was successfully dispatched, but
+     *                          it does not imply that the errors have been received. The actual errors (diagnostics)
+     *                          will be sent back by the server asynchronously as separate events or messages, which
+     *                          should be handled separately in the client's message handling logic.
      *
      * Example usage:
      * ```
@@ -574,8 +2271,20 @@ function createTSServerInstance(inferredProject = true) {
      * ```
      * Note: The client should implement additional logic to listen for and handle the diagnostic events
      *       or messages sent by the server in response to this request.
+     *
+     * When `options.collect` is true, the returned promise instead waits for the server to finish and resolves
+     * with the diagnostics for every requested file, keyed by file path:
+     * `{ [file]: { syntactic: Object[], semantic: Object[], suggestion: Object[] } }`.
+     * ```
+     * getErrors(['path/to/file1.ts'], 0, {
+     *   collect: true,
+     *   onFileDiagnostics: (file, diagnostics, kind) => console.log(kind, 'diagnostics for', file)
+     * }).then(diagnostics => {
+     *   console.log('All diagnostics:', diagnostics);
+     * });
+     * ```
      */
-    function getErrors(filePaths, delay) {
+    function getErrors(filePaths, delay, options = {}) {
         const command = {
             command: "geterr",
             arguments: {
@@ -583,13 +2292,16 @@ function createTSServerInstance(inferredProject = true) {
                 delay: delay
             }
         };
+        if (options.collect) {
+            return sendDiagnosticsCommand(command, filePaths, options);
+        }
         return sendCommand(command);
     }
 
     /**
      * Sends a 'geterrForProject' request to the TypeScript Server. This command instructs the server to compute and
-     * return errors (diagnostics) for all files in a specific project. The diagnostics are not returned directly by this
-     * function but are instead sent back by the server as separate events or messages. This function is useful
+     * return errors (diagnostics) for all files in a specific project. The diagnostics are not returned directly by
+     * this function but are instead sent back by the server as separate events or messages. This function is useful
      * for asynchronously obtaining a comprehensive diagnostic overview of an entire project.
      *
      * @param {string} filePath - The path to any file within the project. The server uses this file to identify
@@ -598,12 +2310,21 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} delay - The delay in milliseconds before the server processes the request.
      *                         This delay can be used to batch or throttle diagnostic requests, especially useful
      *                         when dealing with large projects or numerous file changes.
+     * @param {Object} [options] - Optional settings, see `getErrors`.
+     * @param {boolean} [options.collect=false] - Wait for the diagnostics and resolve with them.
+     * @param {function(string, Object, string)} [options.onFileDiagnostics] - In collect mode, called every time
+     *                                  diagnostics for a file arrive.
+     * @param {number} [options.timeout] - In collect mode, the timeout in milliseconds for the whole request, see
+     *                                  the `timeouts` instance option.
+     * @param {AbortSignal} [options.signal] - In collect mode, aborting it cancels the request on the server and
+     *                                  rejects the promise.
      *
-     * @returns {Promise<void>} A promise that resolves when the command has been sent to the server. The resolution
-     *                          of this promise indicates that the request was successfully dispatched, but it does not
-     *                          imply that the errors have been received. The actual errors (diagnostics) for the entire
-     *                          project will be sent back by the server asynchronously as separate events or messages,
-     *                          which should be handled separately in the client's message handling logic.
+     * @returns {Promise<void|Object>} A promise that resolves when the command has been sent to the server. The
+     *                          resolution of this promise indicates that the request was successfully dispatched, but
+     *                          it does not imply that the errors have been received. The actual errors (diagnostics)
+     *                          for the entire project will be sent back by the server asynchronously as separate
+     *                          events or messages, which should be handled separately in the client's message
+     *                          handling logic.
      *
      * Example usage:
      * ```
@@ -614,8 +2335,11 @@ function createTSServerInstance(inferredProject = true) {
      * Note: The client should implement additional logic to listen for and handle the diagnostic events
      *       or messages sent by the server in response to this request. These diagnostics will cover
      *       the entire scope of the project associated with the provided file path.
+     *
+     * When `options.collect` is true, the returned promise waits for the server to finish and resolves with the
+     * diagnostics of every file in the project, in the same shape as `getErrors` in collect mode.
      */
-    function getErrorsForProject(filePath, delay) {
+    function getErrorsForProject(filePath, delay, options = {}) {
         const command = {
             command: "geterrForProject",
             arguments: {
@@ -623,6 +2347,9 @@ function createTSServerInstance(inferredProject = true) {
                 delay: delay
             }
         };
+        if (options.collect) {
+            return sendDiagnosticsCommand(command, null, options);
+        }
         return sendCommand(command);
     }
 
@@ -639,6 +2366,7 @@ function createTSServerInstance(inferredProject = true) {
      *                                                and character position information for each diagnostic.
      *                                                This is useful for integrations that require precise
      *                                                location data, such as IDEs or advanced text editors.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the semantic diagnostics response from tsserver.
      *                            The response includes an array of diagnostic objects, each representing a
@@ -666,7 +2394,7 @@ function createTSServerInstance(inferredProject = true) {
      *       state of the file at the time of the request.
      */
     // TODO: Revisit find working usecase
-    function getSemanticDiagnosticsSync(filePath, includeLinePosition = false) {
+    function getSemanticDiagnosticsSync(filePath, includeLinePosition = false, signal) {
         const command = {
             command: "semanticDiagnosticsSync",
             arguments: {
@@ -674,7 +2402,7 @@ function createTSServerInstance(inferredProject = true) {
                 includeLinePosition: includeLinePosition
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -689,6 +2417,7 @@ function createTSServerInstance(inferredProject = true) {
      *                                                position information in the diagnostics. When set to true,
      *                                                each diagnostic includes detailed position information,
      *                                                which is useful for displaying errors directly in an editor.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver containing syntactic
      *                            diagnostics. The response is an array of diagnostic objects. Each diagnostic object
@@ -708,7 +2437,7 @@ function createTSServerInstance(inferredProject = true) {
      * ```
      */
     // TODO: Revisit find working usecase
-    function getSyntacticDiagnosticsSync(filePath, includeLinePosition = false) {
+    function getSyntacticDiagnosticsSync(filePath, includeLinePosition = false, signal) {
         const command = {
             command: "syntacticDiagnosticsSync",
             arguments: {
@@ -716,7 +2445,7 @@ function createTSServerInstance(inferredProject = true) {
                 includeLinePosition: includeLinePosition
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -731,6 +2460,7 @@ function createTSServerInstance(inferredProject = true) {
      *                                                position information in the diagnostics. When set to true,
      *                                                each diagnostic includes detailed position information,
      *                                                which is useful for displaying suggestions directly in an editor.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver containing
      *                            suggestion diagnostics. The response is typically an array of diagnostic
@@ -752,7 +2482,7 @@ function createTSServerInstance(inferredProject = true) {
      * providing an opportunity to present potential code improvements or best practices to the developer.
      */
     // TODO: Revisit find working usecase
-    function getSuggestionDiagnosticsSync(filePath, includeLinePosition = false) {
+    function getSuggestionDiagnosticsSync(filePath, includeLinePosition = false, signal) {
         const command = {
             command: "suggestionDiagnosticsSync",
             arguments: {
@@ -760,7 +2490,7 @@ function createTSServerInstance(inferredProject = true) {
                 includeLinePosition: includeLinePosition
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -772,6 +2502,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the TypeScript file for which the navigation
      *                            bar information is requested. The path should be absolute
      *                            or relative to the TypeScript server's current working directory.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver containing
      *                            the navigation bar information. The response is typically an array
@@ -780,8 +2511,10 @@ function createTSServerInstance(inferredProject = true) {
      *                            - `text`: The name of the code construct (e.g., class name, function name).
      *                            - `kind`: The kind of code construct (e.g., 'class', 'function').
      *                            - `kindModifiers`: Modifiers applied to the code construct (e.g., 'public', 'static').
-     *                            - `spans`: An array of span objects indicating the location of the construct in the file.
-     *                            - `childItems`: An array of child items, following the same structure, representing nested constructs.
+     *                            - `spans`: An array of span objects indicating the location of the construct in the
+     *                              file.
+     *                            - `childItems`: An array of child items, following the same structure, representing
+     *                              nested constructs.
      *
      * Example usage:
      * ```
@@ -792,14 +2525,14 @@ function createTSServerInstance(inferredProject = true) {
      * This function is particularly useful for tools and editors integrating TypeScript support,
      * providing an opportunity to present a structured outline or overview of a code file to the developer.
      */
-    function getNavBar(filePath) {
+    function getNavBar(filePath, signal) {
         const command = {
             command: "navbar",
             arguments: {
                 file: filePath
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -813,9 +2546,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {boolean} [currentFileOnly=false] - When true, limits search to the current file.
      * @param {number} [maxResultCount] - Optional limit on the number of items to return.
      * @param {string} [projectFileName] - Optional name of the project file (absolute pathname required).
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object[]>} A promise that resolves with an array of navigation items.
      */
-    function navTo(searchValue, file, currentFileOnly = false, maxResultCount, projectFileName) {
+    function navTo(searchValue, file, currentFileOnly = false, maxResultCount, projectFileName, signal) {
         const command = {
             command: "navto",
             arguments: {
@@ -826,7 +2560,7 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -841,6 +2575,7 @@ function createTSServerInstance(inferredProject = true) {
      *                                     Providing this path helps the TypeScript server correctly resolve the
      *                                     file's context within a specific project, especially useful in workspaces
      *                                     with multiple TypeScript projects.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the navigation tree from the TypeScript server.
      *                            The tree is a hierarchical object with nodes representing various code constructs.
@@ -848,7 +2583,8 @@ function createTSServerInstance(inferredProject = true) {
      *                            - `text`: The name of the construct (e.g., class or function name).
      *                            - `kind`: The kind of construct (e.g., 'class', 'function').
      *                            - `spans`: Array of location spans indicating where the construct appears in the file.
-     *                            - `childItems`: Array of child nodes for nested constructs (following the same structure).
+     *                            - `childItems`: Array of child nodes for nested constructs (following the same
+     *                              structure).
      *
      * Example usage:
      * ```
@@ -859,7 +2595,7 @@ function createTSServerInstance(inferredProject = true) {
      * The returned navigation tree is especially valuable in development environments where a visual outline
      * or structure of the code file is beneficial for navigation and code comprehension.
      */
-    function getNavTree(filePath, projectFileName) {
+    function getNavTree(filePath, projectFileName, signal) {
         const command = {
             command: "navtree",
             arguments: {
@@ -867,7 +2603,7 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -882,14 +2618,16 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The absolute path to the TypeScript file for which the full navigation
      *                            tree is requested. This path is essential for the TypeScript server to locate
      *                            and analyze the file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the full navigation tree from the TypeScript server.
-     *                            The tree is represented as an object with a hierarchical structure. Each node in the tree
-     *                            includes:
+     *                            The tree is represented as an object with a hierarchical structure. Each node in the
+     *                            tree includes:
      *                            - `text`: The name of the item (e.g., a class or function name).
      *                            - `kind`: The kind of item (e.g., 'class', 'function').
      *                            - `spans`: An array of span objects indicating the location of the item in the file.
-     *                            - `childItems`: An array of child nodes representing nested declarations and structures.
+     *                            - `childItems`: An array of child nodes representing nested declarations and
+     *                              structures.
      *                            Each child node follows the same structure.
      *
      * Example usage:
@@ -899,14 +2637,14 @@ function createTSServerInstance(inferredProject = true) {
      * });
      * ```
      */
-    function getNavTreeFull(filePath) {
+    function getNavTreeFull(filePath, signal) {
         const command = {
             command: "navtree-full",
             arguments: {
                 file: filePath
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
 
@@ -923,6 +2661,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} [projectFileName] - Optional. The name of the project file (absolute pathname required)
      *                                     that contains the TypeScript file. Providing this helps to
      *                                     accurately resolve symbols in the context of the given project.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object[]>} A promise that resolves with an array of document highlight objects.
      * Each object represents a file with highlight instances and includes:
@@ -934,7 +2673,8 @@ function createTSServerInstance(inferredProject = true) {
      *
      * Example usage:
      * ```
-     * documentHighlights('path/to/file.ts', 10, 5, ['path/to/file1.ts', 'path/to/file2.ts'], 'path/to/project.tsconfig.json')
+     * documentHighlights('path/to/file.ts', 10, 5, ['path/to/file1.ts', 'path/to/file2.ts'],
+     *     'path/to/project.tsconfig.json')
      *   .then(highlights => {
      *     console.log('Document highlights:', highlights);
      *   });
@@ -942,7 +2682,7 @@ function createTSServerInstance(inferredProject = true) {
      * This function is essential for features like symbol search in development environments,
      * where highlighting symbol occurrences enhances code understanding and navigation.
      */
-    function documentHighlights(filePath, line, offset, filesToSearch, projectFileName = "") {
+    function documentHighlights(filePath, line, offset, filesToSearch, projectFileName = "", signal) {
         const command = {
             command: "documentHighlights",
             arguments: {
@@ -953,7 +2693,7 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -990,6 +2730,13 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
+        flushPendingChanges();
+        if (documentStore.has(filePath)) {
+            documentStore.setText(filePath, readDocumentText(tempFilePath));
+            // The syntax server does not support 'reload', it gets the new content by re-opening the file instead.
+            const fileContent = documentStore.get(filePath).text;
+            mirrorToSyntaxServer((server) => server.updateOpen([{file: filePath, fileContent}], [], []));
+        }
         return sendCommand(command);
     }
 
@@ -1004,6 +2751,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} offset - The character offset (position) in the line where the symbol is located.
      * @param {boolean} [findInComments=false] - Whether to find/change the text in comments.
      * @param {boolean} [findInStrings=false] - Whether to find/change the text in strings.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the rename information from tsserver.
      *                            The response object includes:
@@ -1030,7 +2778,7 @@ function createTSServerInstance(inferredProject = true) {
      * across a project, including their occurrences in comments and strings if required.
      */
     //TODO: check multi file rename and functional object rename for js without config
-    function rename(filePath, line, offset, findInComments = false, findInStrings = false) {
+    function rename(filePath, line, offset, findInComments = false, findInStrings = false, signal) {
         const command = {
             command: "rename",
             arguments: {
@@ -1041,7 +2789,7 @@ function createTSServerInstance(inferredProject = true) {
                 findInStrings: findInStrings
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1083,8 +2831,11 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} line - The line number where the function or method is invoked.
      * @param {number} offset - The character offset in the line where the invocation occurs.
      * @param {Object} [triggerReason] - The reason why signature help was invoked, with properties:
-     *                                   - `kind`: The type of trigger reason ('invoked', 'characterTyped', 'retrigger').
-     *                                   - `triggerCharacter`: The character that triggered the help (for 'characterTyped').
+     *                                   - `kind`: The type of trigger reason ('invoked', 'characterTyped',
+     *                                     'retrigger').
+     *                                   - `triggerCharacter`: The character that triggered the help (for
+     *                                     'characterTyped').
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the signature help information, which includes:
      *                            - `items`: Array of objects representing each signature. Each object includes:
@@ -1093,10 +2844,13 @@ function createTSServerInstance(inferredProject = true) {
      *                              - `parameters`: Array of parameter information objects, each with:
      *                                - `label`: The parameter name.
      *                                - `documentation`: Optional documentation for the parameter.
-     *                            - `applicableSpan`: Object representing the span for which signature help is applicable.
+     *                            - `applicableSpan`: Object representing the span for which signature help is
+     *                              applicable.
      *                            - `selectedItemIndex`: Number indicating the default selected signature.
-     *                            - `argumentIndex`: Number indicating the index of the argument where the cursor is located.
-     *                            - `argumentCount`: Number indicating the total number of arguments in the function call.
+     *                            - `argumentIndex`: Number indicating the index of the argument where the cursor is
+     *                              located.
+     *                            - `argumentCount`: Number indicating the total number of arguments in the function
+     *                              call.
      *
      * Example usage:
      * ```
@@ -1104,10 +2858,11 @@ function createTSServerInstance(inferredProject = true) {
      *   console.log('Signature help:', help);
      * });
      * ```
-     * This function is essential for providing inline function/method signature information in development environments.
+     * This function is essential for providing inline function/method signature information in development
+     * environments.
      */
     //TODO: experiment usecases with different trigger reason
-    function signatureHelp(filePath, line, offset, triggerReason) {
+    function signatureHelp(filePath, line, offset, triggerReason, signal) {
         const command = {
             command: "signatureHelp",
             arguments: {
@@ -1117,7 +2872,7 @@ function createTSServerInstance(inferredProject = true) {
                 triggerReason: triggerReason
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1126,6 +2881,7 @@ function createTSServerInstance(inferredProject = true) {
      * include details such as the server's version, the number of projects currently loaded,
      * and any ongoing operations.
      *
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the status information from tsserver.
      *                            The response typically includes details about the server's state,
      *                            including its version and the status of loaded projects.
@@ -1138,11 +2894,11 @@ function createTSServerInstance(inferredProject = true) {
      * ```
      * This function is useful for monitoring the TypeScript server and diagnosing issues with its operation.
      */
-    function status() {
+    function status(signal) {
         const command = {
             command: "status"
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1154,6 +2910,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the TypeScript file.
      * @param {number} line - The line number where the symbol is located.
      * @param {number} offset - The character offset (position) in the line where the symbol is located.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the location of the symbol's type definition.
      *                            The response typically includes:
@@ -1169,7 +2926,7 @@ function createTSServerInstance(inferredProject = true) {
      * ```
      * This function is crucial for understanding and navigating to the types used in a TypeScript codebase.
      */
-    function typeDefinition(filePath, line, offset) {
+    function typeDefinition(filePath, line, offset, signal) {
         const command = {
             command: "typeDefinition",
             arguments: {
@@ -1178,7 +2935,7 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1190,6 +2947,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {boolean} needFileNameList - Indicates whether the list of file names in the project is needed.
      * @param {string} [projectFileName] - Optional. The name of the project file (absolute pathname required)
      *                                     that contains the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the project information, which includes:
      *                            - `configFileName`: A string representing the path to the project's
@@ -1208,7 +2966,7 @@ function createTSServerInstance(inferredProject = true) {
      * This function is useful for tools and IDEs to gain insights into the structure and configuration
      * of a TypeScript project.
      */
-    function projectInfo(filePath, needFileNameList = false, projectFileName = "") {
+    function projectInfo(filePath, needFileNameList = false, projectFileName = "", signal) {
         const command = {
             command: "projectInfo",
             arguments: {
@@ -1217,7 +2975,7 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1259,8 +3017,8 @@ function createTSServerInstance(inferredProject = true) {
      *                           - `options`: The compiler options for the project.
      *                           - `typeAcquisition`: Optional type acquisition settings for the project.
      *
-     * @returns {Promise<Object>} A promise that resolves when the server has acknowledged the opening of the external project.
-     *                            The response object contains standard response fields such as:
+     * @returns {Promise<Object>} A promise that resolves when the server has acknowledged the opening of the external
+     *                            project. The response object contains standard response fields such as:
      *                            - `success`: A boolean indicating whether the request was successful.
      *                            - `request_seq`: The sequence number of the request.
      *                            - `command`: The command requested.
@@ -1370,13 +3128,15 @@ function createTSServerInstance(inferredProject = true) {
      * view of files with the current state in the development environment.
      *
      * @param {Object[]} openFiles - Array of objects for newly opened files. Each object includes:
-     *                               - `fileName`: The file name.
+     *                               - `file`: The file name.
      *                               - `fileContent`: (Optional) The current content of the file.
      *                               - `scriptKindName`: (Optional) The kind of script ('TS', 'JS', 'TSX', 'JSX').
      *                               - `projectRootPath`: (Optional) Root path for project configuration file search.
      * @param {Object[]} changedFiles - Array of objects for changed files. Each object includes:
      *                                  - `fileName`: The file name.
      *                                  - `textChanges`: Array of changes, each with `start`, `end`, and `newText`.
+     *                                    All locations refer to the content before the changes, so the changes
+     *                                    must not overlap. They are sent to tsserver in document order.
      * @param {string[]} closedFiles - Array of file names that should be closed.
      *
      * @returns {Promise<void>} A promise that resolves when the server has processed the update.
@@ -1384,42 +3144,81 @@ function createTSServerInstance(inferredProject = true) {
      * Example usage:
      * ```
      * updateOpen(
-     *   [{ fileName: 'path/to/openedFile.ts', fileContent: 'file content', scriptKindName: 'TS' }],
-     *   [{ fileName: 'path/to/changedFile.ts', textChanges: [{ start: { line: 1, offset: 1 }, end: { line: 1, offset: 10 }, newText: 'updated content' }] }],
+     *   [{ file: 'path/to/openedFile.ts', fileContent: 'file content', scriptKindName: 'TS' }],
+     *   [{ fileName: 'path/to/changedFile.ts', textChanges: [
+     *     { start: { line: 1, offset: 1 }, end: { line: 1, offset: 10 }, newText: 'updated content' }
+     *   ] }],
      *   ['path/to/closedFile.ts']
      * ).then(() => {
      *   console.log('Open files updated');
      * });
      * ```
-     * This function is crucial for keeping the TypeScript server in sync with the file changes in the development environment.
+     * This function is crucial for keeping the TypeScript server in sync with the file changes in the development
+     * environment.
      */
-    // TODO: write working test case and figure out the behavior
     function updateOpen(openFiles, changedFiles, closedFiles) {
+        // The positions in changedFiles refer to the text including the buffered edits.
+        flushPendingChanges();
+        // tsserver applies the changes of a file from the last to the first.
+        const sortedChangedFiles = changedFiles && changedFiles.map((changedFile) => ({
+            ...changedFile,
+            textChanges: sortTextChanges(changedFile.textChanges)
+        }));
+        trackUpdateOpen(openFiles, sortedChangedFiles, closedFiles);
+        mirrorToSyntaxServer((server) => server.updateOpen(openFiles, sortedChangedFiles, closedFiles));
+        if (tsserverProcess && restoringState) {
+            // The replay of the starting process sends the files with their updated text.
+            return Promise.resolve();
+        }
         const command = {
             command: "updateOpen",
             arguments: {
                 openFiles,
-                changedFiles,
+                changedFiles: sortedChangedFiles,
                 closedFiles
             }
         };
         return sendCommand(command);
     }
 
+    /**
+     * Records the files opened, changed and closed through `updateOpen` in the document store.
+     * @param {Object[]} [openFiles] - The `openFiles` argument of `updateOpen`.
+     * @param {Object[]} [changedFiles] - The `changedFiles` argument of `updateOpen`.
+     * @param {string[]} [closedFiles] - The `closedFiles` argument of `updateOpen`.
+     */
+    function trackUpdateOpen(openFiles, changedFiles, closedFiles) {
+        for (const openedFile of openFiles || []) {
+            const {file, fileContent, ...openOptions} = openedFile;
+            documentStore.open(file, fileContent !== undefined ? fileContent : readDocumentText(file), openOptions);
+        }
+        for (const changedFile of changedFiles || []) {
+            documentStore.applyChanges(changedFile.fileName, changedFile.textChanges);
+        }
+        for (const closedFile of closedFiles || []) {
+            documentStore.close(closedFile);
+            fileConfigurations.delete(closedFile);
+        }
+    }
+
     /**
      * Sends a 'getOutliningSpans' request to the TypeScript Server. This command retrieves outlining spans
      * (code folding regions) for a specified file. These spans help editors to create collapsible regions,
      * enhancing code readability and navigation, especially in large files.
      *
      * @param {string} fileName - The name of the file for which outlining spans are requested.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object[]>} A promise that resolves with an array of outlining span objects.
      *                              Each outlining span object includes:
      *                              - `textSpan`: The span of the document to collapse, with start and end locations.
-     *                              - `hintSpan`: The span to display as a hint when the user hovers over the collapsed span.
+     *                              - `hintSpan`: The span to display as a hint when the user hovers over the collapsed
+     *                                span.
      *                              - `bannerText`: The text to display in the editor for the collapsed region.
-     *                              - `autoCollapse`: Indicates whether the region should automatically collapse in certain conditions.
-     *                              - `kind`: The kind of outlining span, such as 'comment', 'region', 'code', or 'imports'.
+     *                              - `autoCollapse`: Indicates whether the region should automatically collapse in
+     *                                certain conditions.
+     *                              - `kind`: The kind of outlining span, such as 'comment', 'region', 'code', or
+     *                                'imports'.
      *
      * Example usage:
      * ```
@@ -1430,12 +3229,12 @@ function createTSServerInstance(inferredProject = true) {
      * This function is vital for code editors, providing the necessary information for code folding features,
      * helping developers manage visibility in large code files.
      */
-    function getOutliningSpans(fileName) {
+    function getOutliningSpans(fileName, signal) {
         const command = {
             command: "getOutliningSpans",
             arguments: {file: fileName}
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1447,6 +3246,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {Object[]} descriptors - Array of descriptors for TODO comments. Each descriptor includes:
      *                                 - `text`: The text of the TODO comment (e.g., 'TODO', 'FIXME').
      *                                 - `priority`: The priority level of the comment.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object[]>} A promise that resolves with an array of TODO comment objects.
      *                              Each object includes:
@@ -1463,7 +3263,7 @@ function createTSServerInstance(inferredProject = true) {
      * ```
      * This function is useful for identifying and listing TODO comments and other annotations in the code.
      */
-    function todoComments(fileName, descriptors) {
+    function todoComments(fileName, descriptors, signal) {
         const command = {
             command: "todoComments",
             arguments: {
@@ -1471,7 +3271,7 @@ function createTSServerInstance(inferredProject = true) {
                 descriptors: descriptors
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1490,10 +3290,12 @@ function createTSServerInstance(inferredProject = true) {
      *                             - `convertTabsToSpaces`: Whether to convert tabs to spaces.
      *                             - `indentStyle`: The style of indentation ('None', 'Block', 'Smart').
      *                             - `trimTrailingWhitespace`: Whether to trim trailing whitespace.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the indentation result, including:
      *                            - `position`: The base position in the document for the indent.
-     *                            - `indentation`: The number of columns for the indent relative to the position's column.
+     *                            - `indentation`: The number of columns for the indent relative to the position's
+     *                              column.
      *
      * Example usage:
      * ```
@@ -1504,7 +3306,7 @@ function createTSServerInstance(inferredProject = true) {
      * ```
      * This function assists in automating code formatting in development environments.
      */
-    function indentation(fileName, line, offset, options) {
+    function indentation(fileName, line, offset, options, signal) {
         const command = {
             command: "indentation",
             arguments: {
@@ -1514,16 +3316,18 @@ function createTSServerInstance(inferredProject = true) {
                 options: options
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
      * Sends a 'docCommentTemplate' request to the TypeScript Server. This command generates a JSDoc comment template
-     * at a specified line and character offset in a file. It's useful for quickly inserting standardized documentation comments.
+     * at a specified line and character offset in a file. It's useful for quickly inserting standardized documentation
+     * comments.
      *
      * @param {string} fileName - The absolute path of the file in which to generate the comment template.
      * @param {number} line - The line number (1-based) where the template should be generated.
      * @param {number} offset - The character offset (1-based) on the line for the template.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with the generated comment template. The result includes:
      *                            - `newText`: The text of the generated documentation comment.
@@ -1537,7 +3341,7 @@ function createTSServerInstance(inferredProject = true) {
      * ```
      * This function assists developers in maintaining consistent documentation standards in their codebase.
      */
-    function docCommentTemplate(fileName, line, offset) {
+    function docCommentTemplate(fileName, line, offset, signal) {
         const command = {
             command: "docCommentTemplate",
             arguments: {
@@ -1546,22 +3350,117 @@ function createTSServerInstance(inferredProject = true) {
                 offset: offset
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
+    }
+
+    /**
+     * Sends a 'configure' request to the TypeScript Server. This command sets host information, formatting options
+     * and user preferences, either for every file or for one open file. Preferences control many features, for
+     * example inlay hints are only returned by `provideInlayHints` when the `includeInlayParameterNameHints`,
+     * `includeInlayVariableTypeHints` or similar preferences are enabled.
+     *
+     * Like tsserver, the instance merges `formatOptions` and `preferences` into the settings sent before, while the
+     * other settings replace their previous value. The merged settings are re-sent when tsserver is restarted, and
+     * are available through `getConfiguration`. The settings of a file are dropped when the file is closed.
+     *
+     * @param {Object} configuration - The settings to apply. Settings that are left out keep their current value.
+     * @param {string} [configuration.hostInfo] - A description of the host, e.g. 'phoenix-code'.
+     * @param {string} [configuration.file] - Apply `formatOptions` and `preferences` to this open file only.
+     * @param {Object} [configuration.formatOptions] - Formatting options such as `tabSize`, `indentSize`,
+     *                                  `convertTabsToSpaces` and `insertSpaceAfterCommaDelimiter`.
+     * @param {Object} [configuration.preferences] - User preferences such as `quotePreference`,
+     *                                  `includeCompletionsForModuleExports` and `includeInlayParameterNameHints`.
+     * @param {Object[]} [configuration.extraFileExtensions] - Additional file extensions to include in projects,
+     *                                  each with `extension`, `isMixedContent` and optionally `scriptKind`.
+     * @param {Object} [configuration.watchOptions] - How tsserver watches files and directories, e.g.
+     *                                  `{watchFile: 'useFsEvents', synchronousWatchDirectory: true}`.
+     * @returns {Promise<Object>} A promise that resolves with the response from tsserver. It rejects with a
+     *                            `TypeError` if the configuration contains an unknown setting.
+     *
+     * Example usage:
+     * ```
+     * await configure({
+     *   hostInfo: 'phoenix-code',
+     *   formatOptions: {tabSize: 4, indentSize: 4, convertTabsToSpaces: true},
+     *   preferences: {quotePreference: 'single', includeInlayParameterNameHints: 'all'}
+     * });
+     * await configure({file: 'path/to/file.ts', formatOptions: {tabSize: 2, indentSize: 2}});
+     * ```
+     */
+    function configure(configuration) {
+        if (typeof configuration !== 'object' || configuration === null) {
+            return Promise.reject(new TypeError('configure expects a configuration object'));
+        }
+        const unknownSettings = Object.keys(configuration).filter((key) => !CONFIGURE_ARGUMENTS.includes(key));
+        if (unknownSettings.length) {
+            return Promise.reject(new TypeError(`Unknown configure settings: ${unknownSettings.join(', ')}, `
+                + `expected one of ${CONFIGURE_ARGUMENTS.join(', ')}`));
+        }
+        const {file, ...settings} = configuration;
+        if (file) {
+            // tsserver applies only these two settings to a single file
+            fileConfigurations.set(file, mergeConfiguration(fileConfigurations.get(file),
+                {formatOptions: settings.formatOptions, preferences: settings.preferences}));
+        } else {
+            hostConfiguration = mergeConfiguration(hostConfiguration, settings);
+        }
+        mirrorToSyntaxServer((server) => server.configure(configuration));
+        return sendConfigure(configuration);
+    }
+
+    /**
+     * Sends a 'configure' command after the requests already queued, see `configure`.
+     * @param {Object} configuration - The arguments of the command.
+     * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
+     */
+    function sendConfigure(configuration) {
+        requestQueue.flush();
+        return sendCommand({command: 'configure', arguments: configuration});
+    }
+
+    /**
+     * Merges settings into the settings sent before the way tsserver does: `formatOptions` and `preferences` are
+     * merged, every other setting is replaced.
+     * @param {Object} [previous] - The settings sent before.
+     * @param {Object} settings - The new settings.
+     * @returns {Object} The merged settings.
+     */
+    function mergeConfiguration(previous = {}, settings) {
+        const merged = {...previous};
+        for (const [key, value] of Object.entries(settings)) {
+            if (value === undefined) {
+                continue;
+            }
+            merged[key] = key === 'formatOptions' || key === 'preferences' ? {...merged[key], ...value} : value;
+        }
+        return merged;
+    }
+
+    /**
+     * Returns the settings sent with `configure`, as they are merged by tsserver.
+     * @param {string} [filePath] - Optional. Return the settings of this file instead of the host settings. Only
+     *                              `formatOptions` and `preferences` set for the file itself are included.
+     * @returns {Object} A copy of the settings, e.g. `{hostInfo, formatOptions, preferences}`.
+     */
+    function getConfiguration(filePath) {
+        const configuration = filePath ? fileConfigurations.get(filePath) || {} : hostConfiguration;
+        return JSON.parse(JSON.stringify(configuration));
     }
 
     /**
      * Sends a 'compilerOptionsForInferredProjects' request to the TypeScript Server. This command sets the compiler
      * options for inferred projects. An inferred project is created when a loose file, not part of any other project,
-     * is opened. These projects are grouped based on their root directory if 'useInferredProjectPerProjectRoot' is enabled.
+     * is opened. These projects are grouped based on their root directory if 'useInferredProjectPerProjectRoot' is
+     * enabled.
      *
-     * When 'useInferredProjectPerProjectRoot' is enabled, the TypeScript server creates a separate inferred project for each
-     * directory root. This allows for isolated handling of files in different folders, each treated as a distinct project
-     * with its own settings. This setting is crucial for large workspaces or monorepos where different directories may have
-     * different TypeScript configurations.
+     * When 'useInferredProjectPerProjectRoot' is enabled, the TypeScript server creates a separate inferred project for
+     * each directory root. This allows for isolated handling of files in different folders, each treated as a distinct
+     * project with its own settings. This setting is crucial for large workspaces or monorepos where different
+     * directories may have different TypeScript configurations.
      *
      * @param {Object} options - Compiler options for inferred projects, similar to tsconfig.json settings.
-     * @param {string} [projectRootPath] - Optional root path to scope the compiler options. Required if the server is started
-     *                                    with 'useInferredProjectPerProjectRoot' enabled.
+     * @param {string} [projectRootPath] - Optional root path to scope the compiler options. Required if the server is
+     *                                    started with 'useInferredProjectPerProjectRoot' enabled.
      *
      * @returns {Promise<void>} A promise that resolves when the server acknowledges the update.
      *
@@ -1583,6 +3482,7 @@ function createTSServerInstance(inferredProject = true) {
      */
 
     function setCompilerOptionsForInferredProjects(options, projectRootPath) {
+        inferredProjectOptions.set(projectRootPath || '', options);
         const command = {
             command: "compilerOptionsForInferredProjects",
             arguments: {
@@ -1604,6 +3504,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} endLine - The ending line number of the range (1-based).
      * @param {number} endOffset - The ending character offset on the end line (1-based).
      * @param {number[]} errorCodes - Array of error codes to get fixes for.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      *
      * @returns {Promise<Object>} A promise that resolves with an array of code fix objects. Each object may include
      *                            file changes and optional commands for applying these changes.
@@ -1619,7 +3520,7 @@ function createTSServerInstance(inferredProject = true) {
      */
 
     // TODO: Find a working use case
-    function getCodeFixes(fileName, startLine, startOffset, endLine, endOffset, errorCodes) {
+    function getCodeFixes(fileName, startLine, startOffset, endLine, endOffset, errorCodes, signal) {
         const command = {
             command: "getCodeFixes",
             arguments: {
@@ -1631,7 +3532,7 @@ function createTSServerInstance(inferredProject = true) {
                 errorCodes: errorCodes
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1643,6 +3544,7 @@ function createTSServerInstance(inferredProject = true) {
      *                         object depends on the types of fixes needed.
      * @param {Object} scope - The scope object defining the range or extent of the code for which fixes are sought.
      *                         Typically includes the file name and other contextual information.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the combined code fix actions. The resolved object
      *                            typically includes changes to be made to files and optional commands.
      * @throws {Error} Thrown if the request to the TypeScript server fails.
@@ -1658,7 +3560,7 @@ function createTSServerInstance(inferredProject = true) {
      *   });
      */
     // ToDo: revisit
-    function getCombinedCodeFix(fixId, scope) {
+    function getCombinedCodeFix(fixId, scope, signal) {
         const command = {
             command: "getCombinedCodeFix",
             arguments: {
@@ -1666,7 +3568,7 @@ function createTSServerInstance(inferredProject = true) {
                 fixId: fixId
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1674,7 +3576,9 @@ function createTSServerInstance(inferredProject = true) {
      * codes that have associated code fixes available. It's useful to identify which errors in the code can be
      * automatically fixed by the server.
      * @param {string} file - fully path of a file in the project to query for code fixes
-     * @returns {Promise<string[]>} A promise that resolves with an array of error code strings supported by the server for code fixes.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<string[]>} A promise that resolves with an array of error code strings supported by the server
+     *                              for code fixes.
      *
      * @example
      * getSupportedCodeFixes("file.ts")
@@ -1685,17 +3589,18 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error getting supported code fixes:', error);
      *   });
      */
-    function getSupportedCodeFixes(file) {
+    function getSupportedCodeFixes(file, signal) {
         const command = {
             command: "getSupportedCodeFixes",
             arguments: {file: file} // Optional arguments based on Partial<FileRequestArgs>
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a 'getApplicableRefactors' request to the TypeScript Server. This command retrieves a list of potential refactoring actions
-     * applicable at a specific position or selection area in a TypeScript file. Each refactoring action is grouped under a parent refactoring.
+     * Sends a 'getApplicableRefactors' request to the TypeScript Server. This command retrieves a list of potential
+     * refactoring actions applicable at a specific position or selection area in a TypeScript file. Each refactoring
+     * action is grouped under a parent refactoring.
      *
      * @param {string} filePath - The path to the TypeScript file.
      * @param {number} line - The 1-based line number in the file.
@@ -1703,7 +3608,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} [triggerReason] - The reason for triggering the refactor, either 'implicit' or 'invoked'.
      * @param {string} [kind] - The kind of refactoring to apply.
      * @param {boolean} [includeInteractiveActions] - Include refactor actions that require additional arguments.
-     * @returns {Promise<Object[]>} A promise that resolves with an array of applicable refactorings. Each object in the array represents a refactoring action and contains properties like `name`, `description`, `inlineable`, and `actions`.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object[]>} A promise that resolves with an array of applicable refactorings. Each object in the
+     *                              array represents a refactoring action and contains properties like `name`,
+     *                              `description`, `inlineable`, and `actions`.
      * @example
      * getApplicableRefactors('path/to/file.ts', 10, 15, 'invoked', null, true)
      *   .then(refactors => {
@@ -1713,7 +3621,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error getting applicable refactors:', error);
      *   });
      */
-    function getApplicableRefactors(filePath, line, offset, triggerReason, kind, includeInteractiveActions) {
+    function getApplicableRefactors(filePath, line, offset, triggerReason, kind, includeInteractiveActions, signal) {
         const command = {
             command: "getApplicableRefactors",
             arguments: {
@@ -1725,7 +3633,7 @@ function createTSServerInstance(inferredProject = true) {
                 includeInteractiveActions: includeInteractiveActions
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1736,13 +3644,13 @@ function createTSServerInstance(inferredProject = true) {
      *
      * @param {string} filePath - The absolute path to the TypeScript file where the refactoring will be applied.
      * @param {string} refactor - The programmatic name of the refactoring. This should match one of the refactoring
-     *                            names received from the TypeScript server in response to a 'getApplicableRefactors' request.
-     *                            Examples of refactor names could include 'Extract Method', 'Extract Function',
-     *                            'Move to a new file', etc.
+     *                            names received from the TypeScript server in response to a 'getApplicableRefactors'
+     *                            request. Examples of refactor names could include 'Extract Method', 'Extract
+     *                            Function', 'Move to a new file', etc.
      * @param {string} action - The specific refactoring action to apply. This corresponds to one of the action names
-     *                          provided by the TypeScript server within a particular refactoring category. Each refactoring
-     *                          can have multiple actions, and this parameter should specify which one to apply.
-     *                          For example, under the 'Extract Method' refactoring, there could be actions like
+     *                          provided by the TypeScript server within a particular refactoring category. Each
+     *                          refactoring can have multiple actions, and this parameter should specify which one to
+     *                          apply. For example, under the 'Extract Method' refactoring, there could be actions like
      *                          'Extract to inner function in function 'x'' or 'Extract to method in class 'Y''.
      * @param {number} startLine - The 1-based line number in the file where the refactoring range starts.
      * @param {number} startOffset - The 1-based character offset on the start line for the refactoring range.
@@ -1752,6 +3660,7 @@ function createTSServerInstance(inferredProject = true) {
      *                               This parameter is optional for FileLocationRequestArgs.
      * @param {Object} [interactiveRefactorArguments] - Optional. Arguments for interactive refactor actions,
      *                                                  providing additional information needed for these actions.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the edits necessary to implement the refactoring.
      *                            The structure of the returned object depends on the TypeScript server's response
      *                            format for refactoring edits.
@@ -1766,7 +3675,8 @@ function createTSServerInstance(inferredProject = true) {
      *   });
      */
     //TODO: Write working use case with editor
-    function getEditsForRefactor(filePath, refactor, action, startLine, startOffset, endLine, endOffset, interactiveRefactorArguments) {
+    function getEditsForRefactor(filePath, refactor, action, startLine, startOffset, endLine, endOffset,
+        interactiveRefactorArguments, signal) {
         const args = endLine !== undefined && endOffset !== undefined
             ? {startLine, startOffset, endLine, endOffset} // FileRangeRequestArgs
             : {line: startLine, offset: startOffset}; // FileLocationRequestArgs
@@ -1781,20 +3691,23 @@ function createTSServerInstance(inferredProject = true) {
                 interactiveRefactorArguments: interactiveRefactorArguments
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
      * Sends a 'GetMoveToRefactoringFileSuggestions' request to the TypeScript Server. This command retrieves a list of
      * existing file paths as suggestions for moving a specific piece of code as part of a refactoring process.
-     * The function handles both single-location requests (FileLocationRequestArgs) and range-based requests (FileRangeRequestArgs).
+     * The function handles both single-location requests (FileLocationRequestArgs) and range-based requests
+     * (FileRangeRequestArgs).
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} startLine - The starting line number of the range or location (1-based).
      * @param {number} startOffset - The starting character offset on the start line (1-based).
      * @param {number} [endLine] - The ending line number of the range (1-based). Optional for single location.
-     * @param {number} [endOffset] - The ending character offset on the end line (1-based). Optional for single location.
+     * @param {number} [endOffset] - The ending character offset on the end line (1-based). Optional for single
+     *                               location.
      * @param {string} [kind] - Optional. The kind of refactoring to apply.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with a list of file paths suggested for the refactoring.
      * @example
      * // Example usage for a range in a file
@@ -1806,7 +3719,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error getting file suggestions for refactoring:', error);
      *   });
      */
-    function getMoveToRefactoringFileSuggestions(filePath, startLine, startOffset, endLine, endOffset, kind) {
+    function getMoveToRefactoringFileSuggestions(filePath, startLine, startOffset, endLine, endOffset, kind, signal) {
         const args = endLine !== undefined && endOffset !== undefined
             ? {startLine, startOffset, endLine, endOffset} // FileRangeRequestArgs
             : {line: startLine, offset: startOffset}; // FileLocationRequestArgs
@@ -1819,20 +3732,26 @@ function createTSServerInstance(inferredProject = true) {
                 kind: kind
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends an 'organizeImports' request to the TypeScript Server. This command organizes the imports in a TypeScript file by:
+     * Sends an 'organizeImports' request to the TypeScript Server. This command organizes the imports in a TypeScript
+     * file by:
      *   1) Removing unused imports.
      *   2) Coalescing imports from the same module.
      *   3) Sorting imports.
-     * The scope of the request is limited to a single file. The function allows specifying the mode of import organization.
+     * The scope of the request is limited to a single file. The function allows specifying the mode of import
+     * organization.
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
-     * @param {string} [mode] - The mode of import organization, which can be 'All', 'SortAndCombine', or 'RemoveUnused'. Default is 'All'.
-     * @param {string} [projectFileName] - Optional. The name of the project that contains the file (e.g., path to 'tsconfig.json').
-     * @returns {Promise<Object>} A promise that resolves with an array of file code edits suggested by the TypeScript server. Each edit includes the file name and an array of text changes.
+     * @param {string} [mode] - The mode of import organization, which can be 'All', 'SortAndCombine', or
+     *                          'RemoveUnused'. Default is 'All'.
+     * @param {string} [projectFileName] - Optional. The name of the project that contains the file (e.g., path to
+     *                                     'tsconfig.json').
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} A promise that resolves with an array of file code edits suggested by the TypeScript
+     *                            server. Each edit includes the file name and an array of text changes.
      * @example
      * // Organizing imports in a file with all modes
      * organizeImports('/path/to/file.ts', 'All', '/path/to/project/tsconfig.json')
@@ -1843,7 +3762,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error organizing imports:', error);
      *   });
      */
-    function organizeImports(filePath, mode = 'All', projectFileName) {
+    function organizeImports(filePath, mode = 'All', projectFileName, signal) {
         const command = {
             command: "organizeImports",
             arguments: {
@@ -1854,7 +3773,7 @@ function createTSServerInstance(inferredProject = true) {
                 mode: mode
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1864,6 +3783,7 @@ function createTSServerInstance(inferredProject = true) {
      *
      * @param {string} oldFilePath - The original path of the file before renaming.
      * @param {string} newFilePath - The new path of the file after renaming.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise} A promise that resolves with an array of file code edits. Each element in the array
      *                    is an object containing the file name and an array of text changes. Each text change
      *                    is an object with 'start', 'end', and 'newText' properties indicating how the text
@@ -1877,7 +3797,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error getting edits for file rename:', error);
      *   });
      */
-    function getEditsForFileRename(oldFilePath, newFilePath) {
+    function getEditsForFileRename(oldFilePath, newFilePath, signal) {
         const command = {
             command: "getEditsForFileRename",
             arguments: {
@@ -1885,7 +3805,7 @@ function createTSServerInstance(inferredProject = true) {
                 newFilePath: newFilePath
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1928,6 +3848,7 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The path to the TypeScript file.
      * @param {Array} locations - An array of locations in the file. Each location should be an object
      *                            with 'line' and 'offset' properties indicating the position in the file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise} A promise that resolves with an array of selection range information for each
      *                    location provided. Each element in the array is an object representing the
      *                    selection range for that location.
@@ -1941,7 +3862,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error getting selection ranges:', error);
      *   });
      */
-    function selectionRange(filePath, locations) {
+    function selectionRange(filePath, locations, signal) {
         const command = {
             command: "selectionRange",
             arguments: {
@@ -1949,7 +3870,7 @@ function createTSServerInstance(inferredProject = true) {
                 locations: locations
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1960,9 +3881,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} endLine - The ending line number for the range (1-based).
      * @param {number} endOffset - The ending character offset on the end line (1-based).
      * @param {string} [projectFileName] - Optional. The name of the project that contains the file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function toggleLineComment(filePath, startLine, startOffset, endLine, endOffset, projectFileName) {
+    function toggleLineComment(filePath, startLine, startOffset, endLine, endOffset, projectFileName, signal) {
         const command = {
             command: "toggleLineComment",
             arguments: {
@@ -1974,7 +3896,7 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -1988,9 +3910,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} endLine - The ending line number for the range (1-based).
      * @param {number} endOffset - The ending character offset on the end line (1-based).
      * @param {string} [projectFileName] - Optional. The name of the project that contains the file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function toggleMultilineComment(filePath, startLine, startOffset, endLine, endOffset, projectFileName) {
+    function toggleMultilineComment(filePath, startLine, startOffset, endLine, endOffset, projectFileName, signal) {
         const command = {
             command: "toggleMultilineComment",
             arguments: {
@@ -2002,12 +3925,13 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
      * Comments a selected range in a TypeScript file.
-     * This function sends a `CommentSelectionRequest` to `tsserver` to add line comments (//) to the specified range of the file.
+     * This function sends a `CommentSelectionRequest` to `tsserver` to add line comments (//) to the specified range of
+     * the file.
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} startLine - The starting line number for the selection (1-based).
@@ -2015,9 +3939,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} endLine - The ending line number for the selection (1-based).
      * @param {number} endOffset - The ending character offset on the end line (1-based).
      * @param {string} [projectFileName] - Optional. The name of the project that contains the file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function commentSelection(filePath, startLine, startOffset, endLine, endOffset, projectFileName) {
+    function commentSelection(filePath, startLine, startOffset, endLine, endOffset, projectFileName, signal) {
         const command = {
             command: "commentSelection",
             arguments: {
@@ -2029,12 +3954,13 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
      * Uncomments a selected range in a TypeScript file.
-     * This function sends an `UncommentSelectionRequest` to `tsserver` to remove line comments (//) from the specified range of the file.
+     * This function sends an `UncommentSelectionRequest` to `tsserver` to remove line comments (//) from the specified
+     * range of the file.
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} startLine - The starting line number for the selection (1-based).
@@ -2042,9 +3968,10 @@ function createTSServerInstance(inferredProject = true) {
      * @param {number} endLine - The ending line number for the selection (1-based).
      * @param {number} endOffset - The ending character offset on the end line (1-based).
      * @param {string} [projectFileName] - Optional. The name of the project that contains the file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the response from tsserver.
      */
-    function uncommentSelection(filePath, startLine, startOffset, endLine, endOffset, projectFileName) {
+    function uncommentSelection(filePath, startLine, startOffset, endLine, endOffset, projectFileName, signal) {
         const command = {
             command: "uncommentSelection",
             arguments: {
@@ -2056,13 +3983,14 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a request to the TypeScript Server (`tsserver`) to prepare call hierarchy information at a specific location in a TypeScript file.
-     * This feature is useful in IDEs and code editors for navigating through code and understanding
-     * call relationships within the codebase, such as finding all calls to a particular function or method.
+     * Sends a request to the TypeScript Server (`tsserver`) to prepare call hierarchy information at a specific
+     * location in a TypeScript file. This feature is useful in IDEs and code editors for navigating through code and
+     * understanding call relationships within the codebase, such as finding all calls to a particular function or
+     * method.
      *
      * The function constructs and sends a `prepareCallHierarchy` command to `tsserver`. The command includes
      * the file path and the position (line and offset) within the file where the call hierarchy analysis should start.
@@ -2071,7 +3999,9 @@ function createTSServerInstance(inferredProject = true) {
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} line - The 1-based line number in the file where the call hierarchy preparation should start.
      * @param {number} offset - The 1-based character offset on the specified line.
-     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., `tsconfig.json`) that contains the TypeScript file.
+     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., `tsconfig.json`) that contains
+     *                                     the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} A promise that resolves with the call hierarchy information from `tsserver`.
      *
      * @example
@@ -2084,7 +4014,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error in preparing call hierarchy:', error);
      *   });
      */
-    function prepareCallHierarchy(filePath, line, offset, projectFileName) {
+    function prepareCallHierarchy(filePath, line, offset, projectFileName, signal) {
         const command = {
             command: "prepareCallHierarchy",
             arguments: {
@@ -2094,22 +4024,26 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a request to the TypeScript Server to retrieve incoming call hierarchy information for a specific location in a TypeScript file.
-     * This function is utilized to identify all the calls leading to a particular symbol (function or method) at the given position.
+     * Sends a request to the TypeScript Server to retrieve incoming call hierarchy information for a specific location
+     * in a TypeScript file. This function is utilized to identify all the calls leading to a particular symbol
+     * (function or method) at the given position.
      *
-     * The function sends a request to `tsserver` with the file path and position details (line and offset). The response from `tsserver` includes
-     * details about each incoming call such as the caller's location and the span of the call in the source file.
+     * The function sends a request to `tsserver` with the file path and position details (line and offset). The
+     * response from `tsserver` includes details about each incoming call such as the caller's location and the span of
+     * the call in the source file.
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} line - The 1-based line number in the file where the symbol is located.
      * @param {number} offset - The 1-based character offset on the specified line.
-     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., `tsconfig.json`) that contains the TypeScript file.
-     * @returns {Promise<Object>} - A promise that resolves to an object containing an array of incoming call information.
-     *                              Each element in this array represents an incoming call and includes:
+     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., `tsconfig.json`) that contains
+     *                                     the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} - A promise that resolves to an object containing an array of incoming call
+     *                              information. Each element in this array represents an incoming call and includes:
      *                              - `from`: An object representing the caller. This includes properties like:
      *                                - `name`: Name of the caller.
      *                                - `kind`: Kind of the caller (e.g., function, method).
@@ -2117,7 +4051,8 @@ function createTSServerInstance(inferredProject = true) {
      *                                - `span`: Object representing the span of the call in the caller's file.
      *                                - `selectionSpan`: Object representing the span of the symbol being called.
      *                                - Additional properties as per the `CallHierarchyItem` interface.
-     *                              - `fromSpans`: An array of objects, each representing the span of the call in the caller's source file.
+     *                              - `fromSpans`: An array of objects, each representing the span of the call in the
+     *                                caller's source file.
      * @example
      * // How to use provideCallHierarchyIncomingCalls function:
      * provideCallHierarchyIncomingCalls('/path/to/yourFile.ts', 10, 15, '/path/to/tsconfig.json')
@@ -2129,7 +4064,7 @@ function createTSServerInstance(inferredProject = true) {
      *   });
      */
 
-    function provideCallHierarchyIncomingCalls(filePath, line, offset, projectFileName) {
+    function provideCallHierarchyIncomingCalls(filePath, line, offset, projectFileName, signal) {
         const command = {
             command: "provideCallHierarchyIncomingCalls",
             arguments: {
@@ -2139,32 +4074,40 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a request to the TypeScript Server to retrieve outgoing call hierarchy information for a specific location in a TypeScript file.
-     * This function is used to identify all the calls made from a particular symbol (function or method) at the given position.
+     * Sends a request to the TypeScript Server to retrieve outgoing call hierarchy information for a specific location
+     * in a TypeScript file. This function is used to identify all the calls made from a particular symbol (function or
+     * method) at the given position.
      *
-     * The function constructs a command object with the file path, line number, character offset, and optional project file name, and sends it
-     * to `tsserver`. The server then responds with details about each outgoing call from the specified symbol. These details include the callee's
-     * location and the text spans of the call in the source file.
+     * The function constructs a command object with the file path, line number, character offset, and optional project
+     * file name, and sends it to `tsserver`. The server then responds with details about each outgoing call from the
+     * specified symbol. These details include the callee's location and the text spans of the call in the source file.
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} line - The 1-based line number in the file where the symbol is located.
      * @param {number} offset - The 1-based character offset on the specified line.
-     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., `tsconfig.json`) that contains the TypeScript file.
-     * @returns {Promise<Object>} A promise that resolves to an object containing an array of outgoing call information. Each element in this array
-     *                            is an object representing an outgoing call and includes:
+     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., `tsconfig.json`) that contains
+     *                                     the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} A promise that resolves to an object containing an array of outgoing call information.
+     *                            Each element in this array is an object representing an outgoing call and includes:
      *                            - `to`: An object representing the callee, detailed as:
      *                              - `name`: String. The name of the callee.
-     *                              - `kind`: String. The kind of the callee, as per ScriptElementKind (e.g., 'function', 'method', 'class').
-     *                              - `kindModifiers`: String. Optional. Modifiers of the callee kind (e.g., 'public', 'static').
+     *                              - `kind`: String. The kind of the callee, as per ScriptElementKind (e.g.,
+     *                                'function', 'method', 'class').
+     *                              - `kindModifiers`: String. Optional. Modifiers of the callee kind (e.g., 'public',
+     *                                'static').
      *                              - `file`: String. The file path where the callee is located.
-     *                              - `span`: TextSpan. The text span representing the span of the callee's declaration in its file.
+     *                              - `span`: TextSpan. The text span representing the span of the callee's declaration
+     *                                in its file.
      *                              - `selectionSpan`: TextSpan. The text span representing the symbol's selection span.
-     *                              - `containerName`: String. Optional. The name of the container (e.g., class or namespace) of the callee.
-     *                            - `fromSpans`: Array of TextSpan. Each TextSpan represents the span of the call in the source file.
+     *                              - `containerName`: String. Optional. The name of the container (e.g., class or
+     *                                namespace) of the callee.
+     *                            - `fromSpans`: Array of TextSpan. Each TextSpan represents the span of the call in the
+     *                              source file.
      * @example
      * // Example usage of provideCallHierarchyOutgoingCalls function:
      * provideCallHierarchyOutgoingCalls('/path/to/yourFile.ts', 10, 15, '/path/to/tsconfig.json')
@@ -2175,7 +4118,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error in getting outgoing call hierarchy:', error);
      *   });
      */
-    function provideCallHierarchyOutgoingCalls(filePath, line, offset, projectFileName) {
+    function provideCallHierarchyOutgoingCalls(filePath, line, offset, projectFileName, signal) {
         const command = {
             command: "provideCallHierarchyOutgoingCalls",
             arguments: {
@@ -2185,29 +4128,44 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
      * Sends a request to the TypeScript Server to provide inlay hints for a specific range within a TypeScript file.
      * Inlay hints are annotations displayed inline in the code, providing additional information such as type hints,
-     * parameter names, or enum values. This function enhances code readability by revealing implicit code aspects directly in the editor.
+     * parameter names, or enum values. This function enhances code readability by revealing implicit code aspects
+     * directly in the editor.
      *
-     * The function constructs a command object specifying the file path, start position, and span length for which inlay hints are desired.
-     * The request is sent to `tsserver`, and the server's response includes an array of inlay hints, each detailing the hint's content and location.
+     * The function constructs a command object specifying the file path, start position, and span length for which
+     * inlay hints are desired. The request is sent to `tsserver`, and the server's response includes an array of inlay
+     * hints, each detailing the hint's content and location.
+     *
+     * Which hints tsserver returns depends on the preferences sent with `configure`, e.g.
+     * `includeInlayParameterNameHints: 'all'` or `includeInlayVariableTypeHints: true`. Without such preferences
+     * the response contains no hints.
      *
      * @param {string} filePath - The absolute path to the TypeScript file for which inlay hints are requested.
-     * @param {number} start - The start position in the file (character count from the beginning) for the range to retrieve hints.
+     * @param {number} start - The start position in the file (character count from the beginning) for the range to
+     *                         retrieve hints.
      * @param {number} length - The length of the range (in characters) for which hints should be provided.
-     * @param {string} [projectFileName] - Optional. The path to the project file (e.g., `tsconfig.json`) associated with the TypeScript file.
+     * @param {string} [projectFileName] - Optional. The path to the project file (e.g., `tsconfig.json`) associated
+     *                                     with the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<Object>} - A promise that resolves to an object containing:
-     *                              - `body`: An array of objects, each representing an inlay hint with the following properties:
+     *                              - `body`: An array of objects, each representing an inlay hint with the following
+     *                                properties:
      *                                - `text`: The text of the inlay hint (string).
-     *                                - `position`: The position within the file where the hint is located, specified as an object with line and character properties.
-     *                                - `kind`: The kind of the inlay hint (string), such as 'Type', 'Parameter', or 'Enum'.
-     *                                - `whitespaceBefore`: Optional boolean indicating if whitespace should precede the hint.
-     *                                - `whitespaceAfter`: Optional boolean indicating if whitespace should follow the hint.
-     *                                - `displayParts`: Optional array of objects representing additional parts of the hint, each with `text` and optionally `span`.
+     *                                - `position`: The position within the file where the hint is located, specified as
+     *                                  an object with line and character properties.
+     *                                - `kind`: The kind of the inlay hint (string), such as 'Type', 'Parameter', or
+     *                                  'Enum'.
+     *                                - `whitespaceBefore`: Optional boolean indicating if whitespace should precede the
+     *                                  hint.
+     *                                - `whitespaceAfter`: Optional boolean indicating if whitespace should follow the
+     *                                  hint.
+     *                                - `displayParts`: Optional array of objects representing additional parts of the
+     *                                  hint, each with `text` and optionally `span`.
      * @example
      * // Example usage of provideInlayHints function:
      * provideInlayHints('/path/to/yourFile.ts', 0, 500, '/path/to/tsconfig.json')
@@ -2218,8 +4176,7 @@ function createTSServerInstance(inferredProject = true) {
      *     console.error('Error in getting inlay hints:', error);
      *   });
      */
-    //TODO : figure out how to make it work
-    function provideInlayHints(filePath, start, length, projectFileName) {
+    function provideInlayHints(filePath, start, length, projectFileName, signal) {
         const command = {
             command: "provideInlayHints",
             arguments: {
@@ -2229,30 +4186,52 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a watch change request to the TypeScript Server.
-     * This function is used to notify the server about file changes.
-     *
-     * @param {number} id - The identifier for the watch request.
-     * @param {string} path - The path to the file that has changed.
-     * @param {"create" | "delete" | "update"} eventType - The type of change event.
+     * Writes file changes to tsserver as 'watchChange' notifications, which tsserver does not answer. TypeScript 5.5
+     * and newer take the changes of all watchers at once, older versions one changed path per notification.
+     * @param {Object[]} changes - The changes per watcher: its `id` and the `created`, `deleted` and `updated` paths.
      */
-    // TODO see why unknown json command response is returned from server
-    function sendWatchChangeRequest(id, path, eventType) {
-        const command = {
-            command: "watchChange",
-            arguments: {
-                id: id,
-                path: path,
-                eventType: eventType
+    function sendWatchChanges(changes) {
+        const version = typescriptInfo && typescriptInfo.version;
+        if (!version || compareVersions(version, BATCHED_WATCH_CHANGE_VERSION) >= 0) {
+            writeToServer({command: 'watchChange', arguments: changes});
+            return;
+        }
+        for (const {id, created, deleted, updated} of changes) {
+            for (const [paths, eventType] of [[created, 'create'], [deleted, 'delete'], [updated, 'update']]) {
+                for (const changedPath of paths) {
+                    writeToServer({command: 'watchChange', arguments: {id, path: changedPath, eventType}});
+                }
             }
-        };
+        }
+    }
 
-        // Assuming sendCommand is a function that sends a command to tsserver
-        return sendCommand(command);
+    /**
+     * Tells tsserver that a file or folder it watches changed. tsserver only watches through the host when it runs
+     * with `--canUseWatchEvents`, see the `useWatchEvents` instance option. The instance reports the changes it sees
+     * itself, this is for hosts that learn about changes in other ways, e.g. from the file events of an editor.
+     *
+     * @param {number} id - The `id` of the `createFileWatcher` or `createDirectoryWatcher` event the change is for.
+     * @param {string} filePath - The path of the file or folder that changed.
+     * @param {"create" | "delete" | "update"} eventType - The type of change event.
+     * @returns {Promise<void>} A promise that resolves once the notification is written, tsserver does not answer
+     *                          it. It rejects with an `UnsupportedCommandError` before TypeScript 5.3.
+     */
+    function sendWatchChangeRequest(id, filePath, eventType) {
+        if (!supports('watchChange')) {
+            return Promise.reject(new UnsupportedCommandError('watchChange', COMMAND_VERSIONS.watchChange,
+                typescriptInfo.version));
+        }
+        sendWatchChanges([{
+            id,
+            created: eventType === 'create' ? [filePath] : [],
+            deleted: eventType === 'delete' ? [filePath] : [],
+            updated: eventType === 'update' ? [filePath] : []
+        }]);
+        return Promise.resolve();
     }
 
     /**
@@ -2261,16 +4240,19 @@ function createTSServerInstance(inferredProject = true) {
      * automates the process of closing tag insertion.
      *
      * The function returns a promise. When resolved successfully, the promise provides an object with details about the
-     * inserted closing tag. This object contains the `newText` (the closing tag text) and `caretOffset` (the position where
-     * the caret should be placed after insertion). If the request fails, the promise is rejected with the error details.
+     * inserted closing tag. This object contains the `newText` (the closing tag text) and `caretOffset` (the position
+     * where the caret should be placed after insertion). If the request fails, the promise is rejected with the error
+     * details.
      *
      * @param {string} filePath - The absolute path to the JSX/TSX file where the closing tag will be inserted.
-     * @param {number} line - The 1-based line number in the file where the closing tag should be inserted. Typically, this
-     *                        is the line with the corresponding opening JSX tag.
+     * @param {number} line - The 1-based line number in the file where the closing tag should be inserted. Typically,
+     *                        this is the line with the corresponding opening JSX tag.
      * @param {number} offset - The 1-based character offset on the specified line for the closing tag insertion.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
      * @returns {Promise<{newText: string, caretOffset: number}>} A promise that resolves with an object containing:
      *                   - `newText`: String. The text of the inserted JSX closing tag.
-     *                   - `caretOffset`: Number. The position in the newText where the caret should be placed after insertion.
+     *                   - `caretOffset`: Number. The position in the newText where the caret should be placed after
+     *                     insertion.
      *                   If the operation fails, the promise is rejected with an error.
      *
      * @example
@@ -2279,7 +4261,7 @@ function createTSServerInstance(inferredProject = true) {
      *   .then(response => console.log('JSX Closing Tag Inserted:', response))
      *   .catch(error => console.error('Error inserting JSX Closing Tag:', error));
      */
-    function jsxClosingTag(filePath, line, offset) {
+    function jsxClosingTag(filePath, line, offset, signal) {
         const command = {
             command: "jsxClosingTag",
             arguments: {
@@ -2290,23 +4272,27 @@ function createTSServerInstance(inferredProject = true) {
         };
 
         // Return the promise created by sendCommand
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a request to the TypeScript Server to obtain linked editing ranges for a specific location in a JSX/TSX file.
-     * Linked editing ranges are useful for scenarios like editing paired tags, where changing one tag automatically updates the corresponding tag.
+     * Sends a request to the TypeScript Server to obtain linked editing ranges for a specific location in a JSX/TSX
+     * file. Linked editing ranges are useful for scenarios like editing paired tags, where changing one tag
+     * automatically updates the corresponding tag.
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} line - The 1-based line number in the file.
      * @param {number} offset - The 1-based character offset in the line.
-     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) that contains the TypeScript file.
-     * @returns {Promise<Object>} A promise that resolves with linked editing range information from the TypeScript server.
+     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) that contains
+     *                                     the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} A promise that resolves with linked editing range information from the TypeScript
+     *                            server.
      * The response includes:
      *  - `ranges`: Array of range objects (each range has `start` and `end` locations).
      *  - `wordPattern`: Optional regular expression pattern describing the allowable contents of the range.
      */
-    function getLinkedEditingRange(filePath, line, offset, projectFileName) {
+    function getLinkedEditingRange(filePath, line, offset, projectFileName, signal) {
         const command = {
             command: "linkedEditingRange",
             arguments: {
@@ -2317,23 +4303,26 @@ function createTSServerInstance(inferredProject = true) {
             }
         };
 
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
 
     /**
      * Sends a "brace" command to the TypeScript Server to find the matching braces in the file at a specified location.
-     * The function expects the absolute path of the file, along with the line number and character offset of the location.
-     * It returns the locations of matching braces found in the file.
+     * The function expects the absolute path of the file, along with the line number and character offset of the
+     * location. It returns the locations of matching braces found in the file.
      *
      * @param {string} filePath - The absolute path to the file.
      * @param {number} line - The 1-based line number in the file.
      * @param {number} offset - The 1-based character offset in the line.
-     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) that contains the TypeScript file.
-     * @returns {Promise<Object>} A promise that resolves with an array of TextSpan objects, each representing a span of text where a matching brace is found.
+     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) that contains
+     *                                     the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} A promise that resolves with an array of TextSpan objects, each representing a span of
+     *                            text where a matching brace is found.
      */
 
-    function braceCommand(filePath, line, offset, projectFileName) {
+    function braceCommand(filePath, line, offset, projectFileName, signal) {
         const command = {
             command: "brace",
             arguments: {
@@ -2344,23 +4333,28 @@ function createTSServerInstance(inferredProject = true) {
             }
         };
 
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a "braceCompletion" command to the TypeScript Server to determine if automatic brace completion is appropriate at a specified location.
-     * This function is particularly useful for editor features like auto-inserting the corresponding closing brace when an opening brace is typed.
+     * Sends a "braceCompletion" command to the TypeScript Server to determine if automatic brace completion is
+     * appropriate at a specified location. This function is particularly useful for editor features like auto-inserting
+     * the corresponding closing brace when an opening brace is typed.
      *
      * @param {string} filePath - The absolute path to the TypeScript file where the opening brace was typed.
      * @param {number} line - The 1-based line number in the file where the opening brace was typed.
      * @param {number} offset - The 1-based character offset in the line just after the opening brace.
-     * @param {string} openingBrace - The kind of opening brace (e.g., '{', '(', '[') for which completion is being requested.
-     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) associated with the TypeScript file.
-     * @returns {Promise<Object>} - A promise that resolves with the server's response. The structure of the response depends on the implementation in TSServer.
-     *                              Typically, it might include a boolean indicating whether the closing brace should be automatically inserted.
+     * @param {string} openingBrace - The kind of opening brace (e.g., '{', '(', '[') for which completion is being
+     *                                requested.
+     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) associated with
+     *                                     the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} - A promise that resolves with the server's response. The structure of the response
+     *                              depends on the implementation in TSServer. Typically, it might include a boolean
+     *                              indicating whether the closing brace should be automatically inserted.
      */
     // TODO: see working and non-working use case
-    function braceCompletion(filePath, line, offset, openingBrace, projectFileName) {
+    function braceCompletion(filePath, line, offset, openingBrace, projectFileName, signal) {
         const command = {
             command: "braceCompletion",
             arguments: {
@@ -2371,21 +4365,28 @@ function createTSServerInstance(inferredProject = true) {
                 projectFileName: projectFileName
             }
         };
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
-     * Sends a request to the TypeScript Server to determine if the caret is inside a comment, and if so, retrieves the span of the enclosing comment.
-     * The function checks for comments at a specific location in a TypeScript file and returns the comment span if found.
+     * Sends a request to the TypeScript Server to determine if the caret is inside a comment, and if so, retrieves the
+     * span of the enclosing comment. The function checks for comments at a specific location in a TypeScript file and
+     * returns the comment span if found.
      *
      * @param {string} filePath - The absolute path to the TypeScript file.
      * @param {number} line - The 1-based line number in the file where the caret is located.
      * @param {number} offset - The 1-based character offset (column number) in the line where the caret is located.
-     * @param {boolean} onlyMultiLine - If true, the function requires that the enclosing span be a multi-line comment. Otherwise, the request returns undefined.
-     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) that contains the TypeScript file.
-     * @returns {Promise<Object>} A promise that resolves with an object containing the span of the enclosing comment. The object has properties 'start' and 'end', each an object with 'line' and 'offset'. If no enclosing comment is found, or if the comment is not multi-line when 'onlyMultiLine' is true, the result is undefined.
+     * @param {boolean} onlyMultiLine - If true, the function requires that the enclosing span be a multi-line comment.
+     *                                  Otherwise, the request returns undefined.
+     * @param {string} [projectFileName] - Optional. The name of the project file (e.g., tsconfig.json) that contains
+     *                                     the TypeScript file.
+     * @param {AbortSignal} [signal] - Optional. Aborting it cancels the request on the server and rejects the promise.
+     * @returns {Promise<Object>} A promise that resolves with an object containing the span of the enclosing comment.
+     *                            The object has properties 'start' and 'end', each an object with 'line' and 'offset'.
+     *                            If no enclosing comment is found, or if the comment is not multi-line when
+     *                            'onlyMultiLine' is true, the result is undefined.
      */
-    function getSpanOfEnclosingComment(filePath, line, offset, onlyMultiLine, projectFileName) {
+    function getSpanOfEnclosingComment(filePath, line, offset, onlyMultiLine, projectFileName, signal) {
         const command = {
             command: "getSpanOfEnclosingComment",
             arguments: {
@@ -2397,7 +4398,7 @@ function createTSServerInstance(inferredProject = true) {
             }
         };
 
-        return sendCommand(command);
+        return sendCommand(command, undefined, signal);
     }
 
     /**
@@ -2407,18 +4408,44 @@ function createTSServerInstance(inferredProject = true) {
      * @function killTSServer
      */
     function killTSServer() {
+        mirrorToSyntaxServer((server) => server.killServer());
+        syntaxServerReady = false;
+        stopRequested = true;
+        clearTimeout(restartTimer);
+        discardPendingChanges();
         if (tsserverProcess) {
             tsserverProcess.kill();
             tsserverProcess = null;
-            console.log('tsserver  terminated');
+            clearAllCancellations();
+            hostWatcher.closeAll();
+            rejectAllPending(new Error('tsserver was stopped'));
+            logger.info('tsserver terminated');
         }
     }
 
     return {
         init: initTSServer,
+        on,
+        off,
+        sendCommand,
         openFile,
+        getUntitledFilePath,
         sendChange,
         closeFile,
+        getDocument,
+        listOpenDocuments,
+        getPositionConverter,
+        getMetrics,
+        resetMetrics,
+        getTypeScriptInfo,
+        supports,
+        applyFileCodeEdits,
+        applyCodeEdits,
+        applyRename,
+        undoEdits,
+        readVirtualFile,
+        writeVirtualFile,
+        deleteVirtualFile,
         killServer: killTSServer,
         getDefinition,
         findReferences,
@@ -2459,6 +4486,8 @@ function createTSServerInstance(inferredProject = true) {
         todoComments,
         docCommentTemplate,
         setCompilerOptionsForInferredProjects,
+        configure,
+        getConfiguration,
         getCodeFixes,
         getCombinedCodeFix,
         getSupportedCodeFixes,
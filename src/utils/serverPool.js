@@ -0,0 +1,455 @@
+import fs from 'fs';
+import path from 'path';
+import createTSServerInstance from './server.js';
+import {normalizeLogger, withLogFields} from './logger.js';
+
+const GROUP_BY_OPTIONS = ['workspaceRoot', 'project'];
+
+const PROJECT_CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// Instance methods that work without a running tsserver: they only read or update the state the instance keeps,
+// which is sent to tsserver when it starts again. Every other method is a request that needs a running tsserver.
+const LOCAL_METHODS = new Set([
+    'on',
+    'off',
+    'sendChange',
+    'closeFile',
+    'getUntitledFilePath',
+    'getDocument',
+    'listOpenDocuments',
+    'getPositionConverter',
+    'getConfiguration',
+    'getMetrics',
+    'resetMetrics',
+    'getTypeScriptInfo',
+    'supports'
+]);
+
+/**
+ * @param {string} root - A folder.
+ * @param {string} filePath - A file path.
+ * @returns {boolean} True if the file is inside the folder.
+ */
+function isInside(root, filePath) {
+    const relative = path.relative(root, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * @param {string} directory - A folder.
+ * @returns {boolean} True if the folder contains a tsconfig.json or jsconfig.json.
+ */
+function hasProjectConfig(directory) {
+    return PROJECT_CONFIG_FILES.some((name) => fs.existsSync(path.join(directory, name)));
+}
+
+/**
+ * Finds the folder of the tsconfig.json or jsconfig.json closest to a file.
+ * @param {string} filePath - The file path.
+ * @param {string} [stopAt] - Optional. The folder above which the search stops.
+ * @returns {string|undefined} The folder containing the config file, or undefined if there is none.
+ */
+function findProjectRoot(filePath, stopAt) {
+    let directory = path.dirname(filePath);
+    for (;;) {
+        if (hasProjectConfig(directory)) {
+            return directory;
+        }
+        const parent = path.dirname(directory);
+        if (parent === directory || directory === stopAt) {
+            return undefined;
+        }
+        directory = parent;
+    }
+}
+
+// @INCLUDE_IN_API_DOCS
+/**
+ * Creates a pool of TypeScript Server instances, one per workspace root or per project, so that a large project
+ * does not slow down the requests for unrelated projects. Files are mapped to a server by the longest workspace
+ * root containing them, or with `groupBy: 'project'` by their closest tsconfig.json or jsconfig.json. Files outside
+ * all workspace roots share a server per folder.
+ *
+ * The pool hands out one handle per server with the methods of `createTSServerInstance` except `init`. A server
+ * that was not used for `idleTimeout` milliseconds is stopped, and started again with its open files on the next
+ * request made through the handle. When `maxServers` servers are running, the least recently used idle server is
+ * stopped before another one starts, and the start waits until a server becomes idle if all of them are busy.
+ * A server that crashed is restarted by its instance, or with `autoRestart: false` by the next request.
+ *
+ * @param {Object} [poolOptions] - Optional pool settings.
+ * @param {string[]} [poolOptions.workspaceRoots=[]] - The root folders of the open workspaces.
+ * @param {string} [poolOptions.groupBy='workspaceRoot'] - 'workspaceRoot' for one server per workspace root,
+ *                                  'project' for one server per tsconfig.json or jsconfig.json.
+ * @param {function(string): string} [poolOptions.resolveRoot] - Optional. Maps a file path to the root folder of
+ *                                  its server, replacing the mapping described above.
+ * @param {number} [poolOptions.maxServers=4] - The number of tsserver instances running at the same time.
+ * @param {number} [poolOptions.idleTimeout=600000] - The time in milliseconds without requests after which a server
+ *                                  is stopped. 0 keeps servers running.
+ * @param {boolean} [poolOptions.inferredProject=true] - Passed to `createTSServerInstance`.
+ * @param {Object} [poolOptions.instanceOptions] - Passed to `createTSServerInstance`. The logger receives the
+ *                                  root of the server as the `root` field, and the root is the `workspaceRoot` of
+ *                                  the server, so every server starts the TypeScript of its own root.
+ * @param {string} [poolOptions.node=""] - Passed to `init`.
+ * @param {string} [poolOptions.tsServer=""] - Passed to `init`.
+ * @param {Object} [poolOptions.launchOptions] - Passed to `init`. A `logFile` gets the number of the server
+ *                                  appended to its name, so that every server writes its own log.
+ * @param {function(boolean, Object): Object} [poolOptions.createInstance] - Optional. Creates the instances,
+ *                                  `createTSServerInstance` by default.
+ * @returns {Object} The pool.
+ *
+ * Example usage:
+ * ```
+ * const pool = createTSServerPool({workspaceRoots: ['/work/app', '/work/monorepo'], maxServers: 2});
+ * const server = pool.getServer('/work/app/src/main.ts');
+ * await server.openFile('/work/app/src/main.ts');
+ * const quickInfo = await server.getQuickInfo('/work/app/src/main.ts', 3, 7);
+ * ```
+ */
+function createTSServerPool(poolOptions = {}) {
+    const {
+        workspaceRoots = [],
+        groupBy = 'workspaceRoot',
+        resolveRoot,
+        maxServers = 4,
+        idleTimeout = 600000,
+        inferredProject = true,
+        instanceOptions = {},
+        node = '',
+        tsServer = '',
+        launchOptions = {},
+        createInstance = createTSServerInstance
+    } = poolOptions;
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+        throw new Error(`Unknown groupBy '${groupBy}', expected one of ${GROUP_BY_OPTIONS.join(', ')}`);
+    }
+    if (!Number.isInteger(maxServers) || maxServers < 1) {
+        throw new TypeError('maxServers must be a positive integer');
+    }
+    const logger = normalizeLogger(instanceOptions.logger);
+    const entries = new Map();
+    // Starts waiting for a running server to become idle, see acquireSlot.
+    const slotWaiters = [];
+    let serverCount = 0;
+    let disposed = false;
+
+    /**
+     * Returns the root folder of the server a file belongs to.
+     * @param {string} filePath - The file path.
+     * @returns {string} The root folder.
+     */
+    function getRoot(filePath) {
+        if (resolveRoot) {
+            return resolveRoot(filePath);
+        }
+        const workspaceRoot = workspaceRoots
+            .filter((root) => isInside(root, filePath))
+            .reduce((longest, root) => (!longest || root.length > longest.length ? root : longest), undefined);
+        if (groupBy === 'project') {
+            const projectRoot = findProjectRoot(filePath, workspaceRoot);
+            if (projectRoot && (!workspaceRoot || isInside(workspaceRoot, projectRoot))) {
+                return projectRoot;
+            }
+        }
+        return workspaceRoot || path.dirname(filePath);
+    }
+
+    /**
+     * @param {number} index - The number of the server.
+     * @returns {Object} The launch options of the server, with a log file of its own.
+     */
+    function getLaunchOptions(index) {
+        if (!launchOptions.logFile) {
+            return launchOptions;
+        }
+        const {dir, name, ext} = path.parse(launchOptions.logFile);
+        return {...launchOptions, logFile: path.join(dir, `${name}.${index}${ext}`)};
+    }
+
+    /**
+     * @returns {number} The number of servers that are running or starting.
+     */
+    function getRunningCount() {
+        return [...entries.values()].filter((entry) => entry.state === 'starting' || entry.state === 'running')
+            .length;
+    }
+
+    /**
+     * @param {Object} entry - A pool entry.
+     * @returns {boolean} True if the entry was removed from the pool, e.g. by `removeServer` or `dispose`.
+     */
+    function isRemoved(entry) {
+        return entries.get(entry.root) !== entry;
+    }
+
+    /**
+     * Waits until another server may start and marks the entry as starting. Stops the least recently used idle
+     * server if the pool is full.
+     * @param {Object} entry - The entry of the server that wants to start.
+     * @returns {Promise<void>} A promise that resolves once the server may start.
+     */
+    async function acquireSlot(entry) {
+        for (;;) {
+            if (isRemoved(entry)) {
+                throw new Error(`The tsserver for ${entry.root} was removed from the pool`);
+            }
+            if (getRunningCount() < maxServers) {
+                entry.state = 'starting';
+                return;
+            }
+            const idleEntries = [...entries.values()]
+                .filter((candidate) => candidate.state === 'running' && !candidate.activeRequests)
+                .sort((first, second) => first.lastUsed - second.lastUsed);
+            if (idleEntries.length) {
+                stopEntry(idleEntries[0], 'evicted');
+            } else {
+                await new Promise((resolve) => slotWaiters.push(resolve));
+            }
+        }
+    }
+
+    /**
+     * Lets the starts waiting in `acquireSlot` check again for a free slot.
+     */
+    function releaseSlotWaiters() {
+        for (const resolve of slotWaiters.splice(0)) {
+            resolve();
+        }
+    }
+
+    /**
+     * Starts the server of an entry, or returns the start in progress.
+     * @param {Object} entry - The pool entry.
+     * @returns {Promise<void>} A promise that resolves once the server is ready.
+     */
+    function startEntry(entry) {
+        if (entry.state === 'running') {
+            return Promise.resolve();
+        }
+        if (!entry.startPromise) {
+            entry.state = 'queued';
+            entry.startPromise = acquireSlot(entry)
+                .then(() => {
+                    logger.info('Starting pooled tsserver', {root: entry.root});
+                    return entry.instance.init(node, tsServer, getLaunchOptions(entry.index));
+                })
+                .then(() => {
+                    if (isRemoved(entry)) {
+                        entry.instance.exitServer();
+                        throw new Error(`The tsserver for ${entry.root} was removed from the pool`);
+                    }
+                    entry.state = 'running';
+                    scheduleIdleCheck(entry);
+                })
+                .catch((error) => {
+                    entry.state = 'stopped';
+                    releaseSlotWaiters();
+                    throw error;
+                })
+                .finally(() => {
+                    entry.startPromise = null;
+                });
+        }
+        return entry.startPromise;
+    }
+
+    /**
+     * Stops the server of an entry. The instance keeps its open files for the next start.
+     * @param {Object} entry - The pool entry.
+     * @param {string} reason - Why the server is stopped, for the log.
+     * @param {string} [method='exitServer'] - The instance method that stops the server.
+     */
+    function stopEntry(entry, reason, method = 'exitServer') {
+        clearTimeout(entry.idleTimer);
+        if (entry.state !== 'running') {
+            return;
+        }
+        logger.info('Stopping pooled tsserver', {root: entry.root, reason});
+        entry.state = 'stopped';
+        entry.instance[method]();
+        releaseSlotWaiters();
+    }
+
+    /**
+     * Stops the server of an entry once it was idle for `idleTimeout` milliseconds.
+     * @param {Object} entry - The pool entry.
+     */
+    function scheduleIdleCheck(entry) {
+        clearTimeout(entry.idleTimer);
+        if (!idleTimeout || entry.state !== 'running') {
+            return;
+        }
+        entry.idleTimer = setTimeout(() => {
+            if (!entry.activeRequests) {
+                stopEntry(entry, 'idle');
+            }
+        }, idleTimeout);
+        // The idle check alone does not keep the process alive.
+        entry.idleTimer.unref();
+    }
+
+    /**
+     * Records the start of a request on a server.
+     * @param {Object} entry - The pool entry.
+     */
+    function beginRequest(entry) {
+        entry.activeRequests++;
+        entry.lastUsed = Date.now();
+        clearTimeout(entry.idleTimer);
+    }
+
+    /**
+     * Records the end of a request on a server.
+     * @param {Object} entry - The pool entry.
+     */
+    function endRequest(entry) {
+        entry.activeRequests--;
+        entry.lastUsed = Date.now();
+        if (!entry.activeRequests) {
+            scheduleIdleCheck(entry);
+            releaseSlotWaiters();
+        }
+    }
+
+    /**
+     * Wraps a request method of an instance so that it starts the server if needed and counts as activity.
+     * @param {Object} entry - The pool entry.
+     * @param {function(...*): Promise} method - The instance method.
+     * @returns {function(...*): Promise} The wrapped method.
+     */
+    function wrapRequest(entry, method) {
+        return (...args) => {
+            if (disposed) {
+                return Promise.reject(new Error('The tsserver pool was disposed'));
+            }
+            beginRequest(entry);
+            return startEntry(entry)
+                .then(() => method(...args))
+                .finally(() => endRequest(entry));
+        };
+    }
+
+    /**
+     * Creates the handle of a server, with the methods of its instance.
+     * @param {Object} entry - The pool entry.
+     * @returns {Object} The handle of the server.
+     */
+    function createHandle(entry) {
+        const handle = {root: entry.root};
+        for (const [name, method] of Object.entries(entry.instance)) {
+            // The pool starts the servers itself.
+            if (typeof method !== 'function' || name === 'init') {
+                continue;
+            }
+            if (name === 'exitServer' || name === 'killServer') {
+                // The next request starts the server again.
+                handle[name] = stopEntry.bind(null, entry, 'requested', name);
+            } else if (LOCAL_METHODS.has(name)) {
+                handle[name] = method;
+            } else {
+                handle[name] = wrapRequest(entry, method);
+            }
+        }
+        return handle;
+    }
+
+    /**
+     * Returns the handle of the server a file belongs to, creating the server if needed. The server starts with
+     * the first request made through the handle.
+     *
+     * @param {string} filePath - The path of a file.
+     * @returns {Object} The handle, with the methods of `createTSServerInstance` and the `root` of the server.
+     *                   Requests start a stopped server and resolve once it answered.
+     */
+    function getServer(filePath) {
+        if (disposed) {
+            throw new Error('The tsserver pool was disposed');
+        }
+        const root = getRoot(filePath);
+        if (!entries.has(root)) {
+            const index = ++serverCount;
+            const instance = createInstance(inferredProject,
+                {...instanceOptions, workspaceRoot: root, logger: withLogFields(instanceOptions.logger, {root})});
+            const entry = {
+                root,
+                index,
+                instance,
+                state: 'stopped',
+                startPromise: null,
+                activeRequests: 0,
+                lastUsed: Date.now(),
+                idleTimer: null
+            };
+            entry.handle = createHandle(entry);
+            instance.on('crashed', (body) => {
+                // With autoRestart the instance starts tsserver again itself, else the next request starts it.
+                if (instanceOptions.autoRestart === false && entry.state === 'running'
+                    && (!body || body.server !== 'syntax')) {
+                    logger.warn('Pooled tsserver crashed', {root: entry.root, code: body && body.code});
+                    clearTimeout(entry.idleTimer);
+                    entry.state = 'stopped';
+                    releaseSlotWaiters();
+                }
+            });
+            instance.on('restartFailed', (body) => {
+                // Only a restart of the semantic server frees the slot, the syntax server is part of it.
+                if (!body || body.server !== 'syntax') {
+                    entry.state = 'stopped';
+                    releaseSlotWaiters();
+                }
+            });
+            entries.set(root, entry);
+        }
+        return entries.get(root).handle;
+    }
+
+    /**
+     * @returns {Object[]} The servers of the pool with their `root`, `state` ('stopped', 'queued' while waiting for
+     *                     a free slot, 'starting' or 'running'),
+     *                     `activeRequests` and the time of their last use as `lastUsed`.
+     */
+    function listServers() {
+        return [...entries.values()].map(({root, state, activeRequests, lastUsed}) =>
+            ({root, state, activeRequests, lastUsed}));
+    }
+
+    /**
+     * Stops the server of a root folder and forgets its open files.
+     * @param {string} root - The root folder, see `listServers`.
+     * @returns {boolean} True if the pool had a server for the root.
+     */
+    function removeServer(root) {
+        const entry = entries.get(root);
+        if (!entry) {
+            return false;
+        }
+        stopEntry(entry, 'removed');
+        entries.delete(root);
+        // A server that is still starting is stopped once it is ready.
+        releaseSlotWaiters();
+        return true;
+    }
+
+    /**
+     * Stops all servers. The pool cannot be used afterwards.
+     */
+    function dispose() {
+        disposed = true;
+        for (const root of [...entries.keys()]) {
+            removeServer(root);
+        }
+        releaseSlotWaiters();
+    }
+
+    return {
+        getServer,
+        getRoot,
+        listServers,
+        removeServer,
+        dispose
+    };
+}
+
+export {
+    findProjectRoot,
+    createTSServerPool
+};
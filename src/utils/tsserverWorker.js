@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import {createRequire} from 'module';
+import {fileURLToPath} from 'url';
+import {parentPort} from 'worker_threads';
+import {createMemoryFileSystem, normalizeVirtualPath} from './memoryFileSystem.js';
+import {startWorkerSession} from './workerSession.js';
+import moduleDirectory from './moduleDirectory.cjs';
+
+// The script of the node worker_threads worker started by the worker backend, see `workerProcess.js`. The first
+// message of the instance is a 'start' message with the settings, every later one goes to the session.
+
+/**
+ * Creates a read-only file system on the folders of the disk, used to read the lib.*.d.ts files of TypeScript.
+ * @param {string[]} roots - The folders that may be read.
+ * @returns {Object} The file system, see `memoryFileSystem.js`. Writes are not supported.
+ */
+function createDiskFileSystem(roots) {
+    const normalizedRoots = roots.map(normalizeVirtualPath);
+    const isReadable = (filePath) => normalizedRoots.some((root) => filePath === root
+        || filePath.startsWith(`${root}/`));
+
+    function stat(filePath) {
+        try {
+            return isReadable(filePath) ? fs.statSync(filePath) : undefined;
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    return {
+        readFile: (filePath) => {
+            const stats = stat(filePath);
+            return stats && stats.isFile() ? fs.readFileSync(filePath, 'utf8') : undefined;
+        },
+        fileExists: (filePath) => Boolean(stat(filePath) && stat(filePath).isFile()),
+        directoryExists: (filePath) => Boolean(stat(filePath) && stat(filePath).isDirectory()),
+        getEntries: (directoryPath) => {
+            const entries = {files: [], directories: []};
+            if (!stat(directoryPath)) {
+                return entries;
+            }
+            for (const entry of fs.readdirSync(directoryPath, {withFileTypes: true})) {
+                (entry.isDirectory() ? entries.directories : entries.files).push(entry.name);
+            }
+            return entries;
+        },
+        getModifiedTime: (filePath) => {
+            const stats = stat(filePath);
+            return stats ? stats.mtime : undefined;
+        }
+    };
+}
+
+/**
+ * Loads TypeScript and the file system and starts the session.
+ * @param {Object} start - The 'start' message.
+ * @returns {Promise<Object>} The session.
+ */
+async function startSession(start) {
+    const require = createRequire(path.join(moduleDirectory, 'tsserverWorker.js'));
+    const ts = require(start.typescriptPath);
+    const libDirectory = path.dirname(start.typescriptPath);
+    let fileSystem;
+    if (start.fileSystemModule) {
+        const {createFileSystem} = require(start.fileSystemModule.startsWith('file:')
+            ? fileURLToPath(start.fileSystemModule) : path.resolve(start.fileSystemModule));
+        fileSystem = await createFileSystem(start.fileSystemOptions, start.files);
+    } else {
+        fileSystem = createMemoryFileSystem(start.files, {fallback: createDiskFileSystem([libDirectory])});
+    }
+    return startWorkerSession({
+        ts,
+        fileSystem,
+        libDirectory,
+        postMessage: (message) => parentPort.postMessage(message),
+        inferredProject: start.inferredProject,
+        serverMode: start.serverMode,
+        args: start.args
+    });
+}
+
+let session = null;
+const queuedMessages = [];
+parentPort.on('message', (message) => {
+    if (message.type === 'start') {
+        startSession(message)
+            .then((startedSession) => {
+                session = startedSession;
+                for (const queued of queuedMessages.splice(0)) {
+                    session.handleMessage(queued);
+                }
+            })
+            .catch((error) => {
+                parentPort.postMessage({type: 'stderr', data: `${error.stack || error}\n`});
+                parentPort.postMessage({type: 'exit', code: 1});
+            });
+    } else if (session) {
+        session.handleMessage(message);
+    } else {
+        queuedMessages.push(message);
+    }
+});
@@ -0,0 +1,80 @@
+import path from 'path';
+import moduleDirectory from './moduleDirectory.cjs';
+
+const OFFLINE_NPM_SCRIPT = path.join(moduleDirectory, 'offlineNpm.js');
+
+const TYPE_ACQUISITION_OPTIONS = ['enable', 'cacheDirectory', 'offline'];
+
+/**
+ * Finds the folder below a cache directory that tsserver keeps acquired type definitions in. tsserver picks the
+ * folder by its TypeScript version and the platform, like it picks one below the user cache directory by default:
+ * `<cacheDirectory>/typescript/<major.minor>`, and `<cacheDirectory>/Microsoft/TypeScript/<major.minor>` on
+ * Windows. A build script can fill the folder ahead of time, e.g. by copying it from a machine with network access.
+ *
+ * @param {string} cacheDirectory - The `cacheDirectory` of the `typeAcquisition` instance option.
+ * @param {string} version - The TypeScript version, e.g. '5.4.2', see `getTypeScriptInfo`.
+ * @param {string} [platform=process.platform] - The platform tsserver runs on.
+ * @returns {string} The folder with the `package.json`, `package-lock.json` and `node_modules` of the cache. Its
+ *                   `node_modules/types-registry/index.json` lists the `@types` packages that can be acquired.
+ *
+ * Example usage:
+ * ```
+ * const typingsFolder = getTypingsCacheLocation('/opt/ci/typings', '5.4.2'); // '/opt/ci/typings/typescript/5.4'
+ * ```
+ */
+function getTypingsCacheLocation(cacheDirectory, version, platform = process.platform) {
+    const majorMinor = version.split('.').slice(0, 2).join('.');
+    return platform === 'win32'
+        ? path.join(cacheDirectory, 'Microsoft', 'TypeScript', majorMinor)
+        : path.join(cacheDirectory, 'typescript', majorMinor);
+}
+
+/**
+ * Validates the `typeAcquisition` instance option and turns it into command line arguments and environment
+ * variables for tsserver.
+ *
+ * tsserver 5.x does not take the location of its typings cache on the command line, it derives it from the user
+ * cache directory, `XDG_CACHE_HOME` or `LOCALAPPDATA`. A `cacheDirectory` is therefore passed as both variables.
+ * `offline` points the typings installer to a script that fails every npm command right away.
+ *
+ * @param {Object} [typeAcquisition] - The option, see `createTSServerInstance`.
+ * @param {string} nodePath - The Node.js executable running tsserver, which runs the npm stand-in as well.
+ * @returns {{serverArgs: string[], env: (Object|undefined)}} The arguments for tsserver, and the environment for
+ *          its process, or undefined to keep the environment of this process.
+ * @throws {TypeError} If an option is unknown or has an invalid value.
+ */
+function buildTypeAcquisitionArguments(typeAcquisition = {}, nodePath) {
+    if (typeof typeAcquisition !== 'object' || typeAcquisition === null || Array.isArray(typeAcquisition)) {
+        throw new TypeError('Type acquisition options must be an object');
+    }
+    for (const name of Object.keys(typeAcquisition)) {
+        if (!TYPE_ACQUISITION_OPTIONS.includes(name)) {
+            throw new TypeError(`Unknown type acquisition option '${name}', expected one of `
+                + TYPE_ACQUISITION_OPTIONS.join(', '));
+        }
+    }
+    const {enable = true, cacheDirectory, offline = false} = typeAcquisition;
+    if (typeof enable !== 'boolean' || typeof offline !== 'boolean') {
+        throw new TypeError(`Type acquisition options 'enable' and 'offline' must be booleans`);
+    }
+    if (cacheDirectory !== undefined && (typeof cacheDirectory !== 'string' || !cacheDirectory)) {
+        throw new TypeError(`Type acquisition option 'cacheDirectory' must be a non-empty string`);
+    }
+    const serverArgs = [];
+    if (!enable) {
+        serverArgs.push('--disableAutomaticTypingAcquisition');
+    } else if (offline) {
+        // The typings installer quotes an npm location with spaces, unless it starts with a quote itself.
+        serverArgs.push('--npmLocation', `"${nodePath}" "${OFFLINE_NPM_SCRIPT}"`);
+    }
+    const resolvedCacheDirectory = cacheDirectory && path.resolve(cacheDirectory);
+    const env = resolvedCacheDirectory
+        ? {...process.env, XDG_CACHE_HOME: resolvedCacheDirectory, LOCALAPPDATA: resolvedCacheDirectory}
+        : undefined;
+    return {serverArgs, env};
+}
+
+export {
+    getTypingsCacheLocation,
+    buildTypeAcquisitionArguments
+};
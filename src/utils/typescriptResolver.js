@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import {createRequire} from 'module';
+import moduleDirectory from './moduleDirectory.cjs';
+
+// Where the tsserver of an instance comes from:
+// - 'workspace': `node_modules/typescript` of the workspace or one of its parent folders.
+// - 'yarnSdk': the TypeScript SDK of a Yarn Plug'n'Play workspace, `.yarn/sdks/typescript`.
+// - 'bundled': the TypeScript this package depends on.
+// - 'custom': the tsserver given to `init`.
+const TYPESCRIPT_SOURCES = ['workspace', 'yarnSdk', 'bundled', 'custom'];
+
+// The TypeScript version that introduced a tsserver command wrapped by the instance. Commands that are not listed
+// are older than any TypeScript version the package supports.
+const COMMAND_VERSIONS = {
+    selectionRange: '3.7.0',
+    prepareCallHierarchy: '3.8.0',
+    provideCallHierarchyIncomingCalls: '3.8.0',
+    provideCallHierarchyOutgoingCalls: '3.8.0',
+    provideInlayHints: '4.4.0',
+    findSourceDefinition: '4.7.0',
+    linkedEditingRange: '5.1.0',
+    getMoveToRefactoringFileSuggestions: '5.2.0',
+    watchChange: '5.3.0'
+};
+
+/**
+ * @param {string} version - A version such as '5.4.2' or '5.5.0-beta'.
+ * @returns {number[]|undefined} The major, minor and patch number, or undefined if it is not a version.
+ */
+function parseVersion(version) {
+    const match = /^(\d+)\.(\d+)(?:\.(\d+))?/.exec(version || '');
+    return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : undefined;
+}
+
+/**
+ * Compares two versions by their major, minor and patch number. Pre-release tags are ignored.
+ * @param {string} first - A version.
+ * @param {string} second - Another version.
+ * @returns {number} A negative number if `first` is older, a positive number if it is newer, 0 if both are equal.
+ */
+function compareVersions(first, second) {
+    const left = parseVersion(first) || [0, 0, 0];
+    const right = parseVersion(second) || [0, 0, 0];
+    for (let index = 0; index < 3; index++) {
+        if (left[index] !== right[index]) {
+            return left[index] - right[index];
+        }
+    }
+    return 0;
+}
+
+/**
+ * Tells whether a TypeScript version has a tsserver command.
+ * @param {string} commandName - The name of the command, e.g. 'linkedEditingRange'.
+ * @param {string} [version] - The TypeScript version. An unknown version is assumed to have every command.
+ * @returns {boolean} False if the command was added in a later version.
+ */
+function isCommandSupported(commandName, version) {
+    const requiredVersion = COMMAND_VERSIONS[commandName];
+    return !requiredVersion || !parseVersion(version) || compareVersions(version, requiredVersion) >= 0;
+}
+
+/**
+ * Reads the version of the TypeScript package a tsserver script belongs to, e.g. of
+ * `node_modules/typescript/lib/tsserver.js` or `.yarn/sdks/typescript/lib/tsserver.js`.
+ * @param {string} tsServerPath - The path to the tsserver script.
+ * @returns {string|undefined} The version, or undefined if the script is not part of a TypeScript package.
+ */
+function readTypeScriptVersion(tsServerPath) {
+    let directory = path.dirname(path.resolve(tsServerPath));
+    // The script lives in `lib` or `bin` of the package.
+    for (let level = 0; level < 2; level++) {
+        try {
+            const packageJson = JSON.parse(fs.readFileSync(path.join(directory, 'package.json'), 'utf8'));
+            if (packageJson.name === 'typescript' && parseVersion(packageJson.version)) {
+                // The Yarn SDK reports the version it wraps as e.g. '5.4.2-sdk'.
+                return packageJson.version.replace(/-sdk$/, '');
+            }
+        } catch (e) {
+            // No package.json on this level.
+        }
+        directory = path.dirname(directory);
+    }
+    return undefined;
+}
+
+/**
+ * @param {string} startDirectory - The folder to start in.
+ * @param {string} relativePath - The path to look for below every folder.
+ * @returns {string|undefined} The first existing path, looking in the folder and then in its parent folders.
+ */
+function findUpwards(startDirectory, relativePath) {
+    let directory = path.resolve(startDirectory);
+    for (;;) {
+        const candidate = path.join(directory, relativePath);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+        const parent = path.dirname(directory);
+        if (parent === directory) {
+            return undefined;
+        }
+        directory = parent;
+    }
+}
+
+/**
+ * Finds the tsserver to start for a workspace, like editors pick the TypeScript of the workspace over their own:
+ * `node_modules/typescript` of the workspace or a parent folder, then the TypeScript SDK of a Yarn Plug'n'Play
+ * workspace, and last the TypeScript bundled with this package.
+ *
+ * @param {string} [workspaceRoot] - The root folder of the workspace. Without it, the bundled TypeScript is used.
+ * @returns {{tsServerPath: string, version: (string|undefined), source: string}} The path to the tsserver script,
+ *          the TypeScript version and where it was found, see `TYPESCRIPT_SOURCES`.
+ * @throws {Error} If no TypeScript is found at all.
+ */
+function resolveTypeScript(workspaceRoot) {
+    const candidates = [];
+    if (workspaceRoot) {
+        candidates.push(
+            {source: 'workspace', tsServerPath: findUpwards(workspaceRoot, 'node_modules/typescript/lib/tsserver.js')},
+            {source: 'yarnSdk', tsServerPath: findUpwards(workspaceRoot, '.yarn/sdks/typescript/lib/tsserver.js')}
+        );
+    }
+    candidates.push({source: 'bundled', tsServerPath: findBundledTSServer()});
+    const found = candidates.find((candidate) => candidate.tsServerPath);
+    if (!found) {
+        throw new Error('TypeScript could not be found, install the typescript package or pass the tsserver path');
+    }
+    return {...found, version: readTypeScriptVersion(found.tsServerPath)};
+}
+
+/**
+ * Finds the TypeScript module with the `ts.server` API next to a tsserver script, which the worker backend loads
+ * instead of running the script.
+ * @param {string} tsServerPath - The path to the tsserver script, e.g. `node_modules/typescript/lib/tsserver.js`.
+ * @returns {string} `tsserverlibrary.js` in the same folder, or `typescript.js` for TypeScript versions that merged
+ *                   the two.
+ */
+function resolveTypeScriptLibrary(tsServerPath) {
+    const directory = path.dirname(path.resolve(tsServerPath));
+    const libraryPath = path.join(directory, 'tsserverlibrary.js');
+    return fs.existsSync(libraryPath) ? libraryPath : path.join(directory, 'typescript.js');
+}
+
+/**
+ * @returns {string|undefined} The tsserver script of the TypeScript package this package depends on.
+ */
+function findBundledTSServer() {
+    try {
+        const require = createRequire(path.join(moduleDirectory, 'typescriptResolver.js'));
+        const tsServerPath = path.join(path.dirname(require.resolve('typescript/package.json')), 'lib', 'tsserver.js');
+        return fs.existsSync(tsServerPath) ? tsServerPath : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+export {
+    TYPESCRIPT_SOURCES,
+    COMMAND_VERSIONS,
+    compareVersions,
+    isCommandSupported,
+    readTypeScriptVersion,
+    resolveTypeScript,
+    resolveTypeScriptLibrary
+};
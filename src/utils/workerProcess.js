@@ -0,0 +1,116 @@
+import {EventEmitter} from 'events';
+import path from 'path';
+import {Worker} from 'worker_threads';
+import moduleDirectory from './moduleDirectory.cjs';
+
+const WORKER_SCRIPT = path.join(moduleDirectory, 'tsserverWorker.js');
+
+/**
+ * Starts tsserver in a worker and wraps the worker in the shape of the `ChildProcess` a spawned tsserver has, so
+ * that the instance drives both backends the same way: protocol lines are written to `stdin`, framed messages
+ * arrive as 'data' on `stdout`, errors logged by tsserver as 'data' on `stderr`, and 'close' is emitted once when
+ * the worker ends. The worker has no process of its own, so `pid` is undefined.
+ *
+ * @param {Object} start - The 'start' message for the worker script: the `typescriptPath` to load, the
+ *                         `inferredProject`, `serverMode` and `args` of tsserver, the initial `files` and the
+ *                         `fileSystemModule` and `fileSystemOptions`, see `tsserverWorker.js`.
+ * @param {Object} [options] - Optional settings.
+ * @param {function(): Object} [options.createWorker] - Creates the worker, e.g. a browser Web Worker running a
+ *                         script that calls `startWorkerSession`. It gets the 'start' message like the default
+ *                         worker. Defaults to a node worker_threads worker running `tsserverWorker.js`.
+ * @param {number} [options.maxOldGenerationSizeMb] - The heap limit of the default worker in megabytes.
+ * @returns {Object} The process-like worker, with `callFileSystem(method, ...args)` resolving with the result of
+ *                   a function of the virtual file system.
+ */
+function startWorkerProcess(start, options = {}) {
+    const worker = options.createWorker ? options.createWorker() : new Worker(WORKER_SCRIPT, {
+        resourceLimits: options.maxOldGenerationSizeMb
+            ? {maxOldGenerationSizeMb: options.maxOldGenerationSizeMb} : undefined
+    });
+    const child = new EventEmitter();
+    const pendingCalls = new Map();
+    let callId = 0;
+    let closed = false;
+
+    function post(message) {
+        if (!closed) {
+            worker.postMessage(message);
+        }
+    }
+
+    function close(code, signal) {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        child.stdin.writable = false;
+        for (const {reject} of pendingCalls.values()) {
+            reject(new Error('The tsserver worker exited'));
+        }
+        pendingCalls.clear();
+        worker.terminate();
+        child.emit('close', code, signal);
+    }
+
+    function onMessage(message) {
+        if (message.type === 'output') {
+            child.stdout.emit('data', message.data);
+        } else if (message.type === 'stderr') {
+            child.stderr.emit('data', message.data);
+        } else if (message.type === 'fileSystemResult' && pendingCalls.has(message.id)) {
+            const {resolve, reject} = pendingCalls.get(message.id);
+            pendingCalls.delete(message.id);
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve(message.result);
+            }
+        } else if (message.type === 'exit') {
+            close(message.code, null);
+        }
+    }
+
+    function onError(error) {
+        child.emit('error', error);
+        // A node worker emits 'exit' after an uncaught error, a Web Worker does not.
+        if (!worker.on) {
+            close(1, null);
+        }
+    }
+
+    child.pid = undefined;
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.stdin = {
+        writable: true,
+        write: (data) => post({type: 'input', data})
+    };
+    child.kill = () => {
+        // Like the exit of a process, the close is reported asynchronously.
+        Promise.resolve().then(() => close(null, 'SIGTERM'));
+    };
+    child.callFileSystem = (method, ...args) => new Promise((resolve, reject) => {
+        if (closed) {
+            reject(new Error('The tsserver worker exited'));
+            return;
+        }
+        const id = ++callId;
+        pendingCalls.set(id, {resolve, reject});
+        post({type: 'fileSystem', id, method, args});
+    });
+
+    if (worker.on) {
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        worker.on('exit', (code) => close(code, null));
+    } else {
+        worker.addEventListener('message', (event) => onMessage(event.data));
+        worker.addEventListener('error', onError);
+    }
+    post({type: 'start', ...start});
+    return child;
+}
+
+export {
+    startWorkerProcess
+};
@@ -0,0 +1,234 @@
+import {getParentPath, joinVirtualPath, normalizeVirtualPath} from './memoryFileSystem.js';
+
+// The messages between an instance with the worker backend and its worker:
+// - 'input' (to the worker): `data` holds tsserver protocol lines, as written to the stdin of tsserver.
+// - 'fileSystem' (to the worker): calls `method` of the virtual file system with `args`, answered with a
+//   'fileSystemResult' carrying the same `id` and either the `result` or an `error` message.
+// - 'output' (from the worker): `data` holds `Content-Length` framed messages, as written to the stdout of tsserver.
+// - 'stderr' (from the worker): `data` holds errors logged by tsserver.
+// - 'exit' (from the worker): tsserver exited with the exit `code`, e.g. after an 'exit' request.
+// This module does not use Node.js APIs, so that it runs in a browser Web Worker as well.
+
+// The file system functions the instance may call through 'fileSystem' messages.
+const FILE_SYSTEM_METHODS = new Set(['readFile', 'writeFile', 'deleteFile', 'fileExists']);
+
+const SERVER_MODES = {
+    semantic: 'Semantic',
+    partialSemantic: 'PartialSemantic',
+    syntactic: 'Syntactic'
+};
+
+/**
+ * A `process.hrtime` for environments without it.
+ * @param {number[]} [start] - A previous result to measure the time since.
+ * @returns {number[]} The seconds and nanoseconds.
+ */
+function hrtime(start) {
+    const now = performance.now();
+    let seconds = Math.floor(now / 1000);
+    let nanoseconds = Math.floor((now % 1000) * 1e6);
+    if (start) {
+        seconds -= start[0];
+        nanoseconds -= start[1];
+        if (nanoseconds < 0) {
+            seconds--;
+            nanoseconds += 1e9;
+        }
+    }
+    return [seconds, nanoseconds];
+}
+
+/**
+ * Creates the file and folder watchers of the server host. tsserver watches the files of closed projects through
+ * them, and they fire when the file system is changed through 'fileSystem' messages or by tsserver itself.
+ * @returns {Object} The `watchFile` and `watchDirectory` functions of the host, and `notify(path, eventKind,
+ *                   modifiedTime)` to call after a file changed.
+ */
+function createWatchers() {
+    const fileWatchers = new Map();
+    const directoryWatchers = new Set();
+
+    function watchFile(filePath, callback) {
+        const normalized = normalizeVirtualPath(filePath);
+        if (!fileWatchers.has(normalized)) {
+            fileWatchers.set(normalized, new Set());
+        }
+        fileWatchers.get(normalized).add(callback);
+        return {close: () => fileWatchers.get(normalized).delete(callback)};
+    }
+
+    function watchDirectory(directoryPath, callback, recursive) {
+        const watcher = {path: normalizeVirtualPath(directoryPath), callback, recursive: Boolean(recursive)};
+        directoryWatchers.add(watcher);
+        return {close: () => directoryWatchers.delete(watcher)};
+    }
+
+    function notify(filePath, eventKind, modifiedTime) {
+        for (const callback of [...(fileWatchers.get(filePath) || [])]) {
+            callback(filePath, eventKind, modifiedTime);
+        }
+        const directoryPath = getParentPath(filePath);
+        for (const watcher of [...directoryWatchers]) {
+            if (watcher.path === directoryPath
+                || (watcher.recursive && filePath.startsWith(joinVirtualPath(watcher.path, '')))) {
+                watcher.callback(filePath);
+            }
+        }
+    }
+
+    return {
+        watchFile,
+        watchDirectory,
+        notify
+    };
+}
+
+/**
+ * Runs tsserver inside a worker on a virtual file system. The worker script of the worker backend calls this with
+ * the TypeScript module and the file system, and hands every message of the instance to the returned
+ * `handleMessage`. A browser Web Worker script can do the same, with a bundled TypeScript and a file system that
+ * holds the `lib.*.d.ts` files in `libDirectory`.
+ *
+ * @param {Object} options - The settings of the session.
+ * @param {Object} options.ts - The TypeScript module, `typescript/lib/tsserverlibrary.js` or `typescript.js`.
+ * @param {Object} options.fileSystem - The virtual file system, see `memoryFileSystem.js` for its functions.
+ * @param {string} options.libDirectory - The folder of the file system with the `lib.*.d.ts` files.
+ * @param {function(Object)} options.postMessage - Sends a message to the instance.
+ * @param {boolean} [options.inferredProject=true] - Use an inferred project per project root.
+ * @param {string} [options.serverMode='semantic'] - 'semantic', 'partialSemantic' or 'syntactic'.
+ * @param {string[]} [options.args] - The command line arguments tsserver would have been started with.
+ * @returns {{handleMessage: function(Object)}} Handles an 'input' or 'fileSystem' message of the instance.
+ */
+function startWorkerSession(options) {
+    const {ts, fileSystem, postMessage, inferredProject = true, serverMode = 'semantic', args = []} = options;
+    const libDirectory = normalizeVirtualPath(options.libDirectory);
+    const watchers = createWatchers();
+    const {FileWatcherEventKind} = ts;
+    const encoder = new TextEncoder();
+
+    function writeFile(filePath, text) {
+        const normalized = normalizeVirtualPath(filePath);
+        const existed = fileSystem.fileExists(normalized);
+        fileSystem.writeFile(normalized, text);
+        watchers.notify(normalized, existed ? FileWatcherEventKind.Changed : FileWatcherEventKind.Created,
+            fileSystem.getModifiedTime && fileSystem.getModifiedTime(normalized));
+    }
+
+    function deleteFile(filePath) {
+        const normalized = normalizeVirtualPath(filePath);
+        if (fileSystem.fileExists(normalized)) {
+            fileSystem.deleteFile(normalized);
+            watchers.notify(normalized, FileWatcherEventKind.Deleted);
+        }
+    }
+
+    const host = {
+        args,
+        newLine: '\n',
+        useCaseSensitiveFileNames: true,
+        write: (text) => postMessage({type: 'output', data: text}),
+        writeOutputIsTTY: () => false,
+        readFile: (filePath) => fileSystem.readFile(normalizeVirtualPath(filePath)),
+        getFileSize: (filePath) => encoder.encode(fileSystem.readFile(normalizeVirtualPath(filePath)) || '').length,
+        writeFile: (filePath, text) => writeFile(filePath, text),
+        deleteFile: (filePath) => deleteFile(filePath),
+        fileExists: (filePath) => fileSystem.fileExists(normalizeVirtualPath(filePath)),
+        directoryExists: (directoryPath) => fileSystem.directoryExists(normalizeVirtualPath(directoryPath)),
+        // Folders exist as soon as a file is written to them.
+        createDirectory: () => {},
+        getDirectories: (directoryPath) => fileSystem.getEntries(normalizeVirtualPath(directoryPath)).directories,
+        readDirectory: (directoryPath, extensions, exclude, include, depth) => ts.matchFiles(directoryPath,
+            extensions, exclude, include, true, '/', depth,
+            (entryPath) => fileSystem.getEntries(normalizeVirtualPath(entryPath)), (entryPath) => entryPath),
+        getModifiedTime: (filePath) => fileSystem.getModifiedTime
+            ? fileSystem.getModifiedTime(normalizeVirtualPath(filePath)) : undefined,
+        resolvePath: (filePath) => filePath,
+        realpath: (filePath) => filePath,
+        // tsserver finds the lib.*.d.ts files next to the script it runs from.
+        getExecutingFilePath: () => joinVirtualPath(libDirectory, 'tsserver.js'),
+        getCurrentDirectory: () => '/',
+        exit: (code) => postMessage({type: 'exit', code: code || 0}),
+        watchFile: watchers.watchFile,
+        watchDirectory: watchers.watchDirectory,
+        setTimeout: (callback, ms, ...callbackArgs) => setTimeout(callback, ms, ...callbackArgs),
+        clearTimeout: (timeoutId) => clearTimeout(timeoutId),
+        setImmediate: (callback, ...callbackArgs) => setTimeout(callback, 0, ...callbackArgs),
+        clearImmediate: (timeoutId) => clearTimeout(timeoutId)
+    };
+
+    const logger = {
+        close: () => {},
+        hasLevel: () => false,
+        loggingEnabled: () => false,
+        perftrc: () => {},
+        info: () => {},
+        startGroup: () => {},
+        endGroup: () => {},
+        msg: (text, type) => {
+            if (type === ts.server.Msg.Err) {
+                postMessage({type: 'stderr', data: `${text}\n`});
+            }
+        },
+        getLogFileName: () => undefined
+    };
+
+    class WorkerSession extends ts.server.Session {
+        exit() {
+            host.exit(0);
+        }
+    }
+
+    const session = new WorkerSession({
+        host,
+        cancellationToken: ts.server.nullCancellationToken,
+        useSingleInferredProject: false,
+        useInferredProjectPerProjectRoot: inferredProject,
+        typingsInstaller: ts.server.nullTypingsInstaller,
+        byteLength: (text) => encoder.encode(text).length,
+        hrtime: typeof process !== 'undefined' && process.hrtime ? process.hrtime : hrtime,
+        logger,
+        canUseEvents: true,
+        serverMode: ts.LanguageServiceMode[SERVER_MODES[serverMode]]
+    });
+
+    function handleFileSystemCall({id, method, args: callArgs}) {
+        try {
+            if (!FILE_SYSTEM_METHODS.has(method)) {
+                throw new Error(`Unknown file system method '${method}'`);
+            }
+            let result;
+            if (method === 'writeFile') {
+                writeFile(callArgs[0], callArgs[1]);
+            } else if (method === 'deleteFile') {
+                deleteFile(callArgs[0]);
+            } else {
+                result = fileSystem[method](normalizeVirtualPath(callArgs[0]));
+            }
+            postMessage({type: 'fileSystemResult', id, result});
+        } catch (e) {
+            postMessage({type: 'fileSystemResult', id, error: e.message});
+        }
+    }
+
+    function handleMessage(message) {
+        if (message.type === 'fileSystem') {
+            handleFileSystemCall(message);
+            return;
+        }
+        if (message.type === 'input') {
+            for (const line of message.data.split('\n')) {
+                if (line.trim()) {
+                    session.onMessage(line);
+                }
+            }
+        }
+    }
+
+    return {
+        handleMessage
+    };
+}
+
+export {
+    startWorkerSession
+};
@@ -0,0 +1,115 @@
+/*global describe, it, before, after*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import createTSServerInstance, {getTypingsCacheLocation} from "../../src/index.js";
+
+let expect = chai.expect;
+
+// Runs against the tsserver of the typescript package installed in node_modules.
+describe('Integration: tsserver', function () {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tsserver-integration-'));
+    const file = path.join(root, 'main.ts');
+    fs.writeFileSync(file, 'const greeting: string = "hello";\nconst count: number = greeting;\n');
+    const server = createTSServerInstance();
+
+    before(async function () {
+        await server.init();
+        await server.openFile(file);
+    });
+
+    after(function () {
+        server.exitServer();
+        fs.rmSync(root, {recursive: true, force: true});
+    });
+
+    it('should start the bundled TypeScript', function () {
+        expect(server.getTypeScriptInfo()).to.include({source: 'bundled', version: '5.4.2'});
+        expect(server.supports('watchChange')).to.equal(true);
+    });
+
+    it('should answer quickinfo', async function () {
+        const response = await server.getQuickInfo(file, 1, 7);
+        expect(response.body.displayString).to.equal('const greeting: string');
+    });
+
+    it('should report semantic diagnostics', async function () {
+        const diagnostics = await server.getErrors([file], 0, {collect: true});
+        expect(diagnostics[file].semantic.map((diagnostic) => diagnostic.code)).to.deep.equal([2322]);
+    });
+});
+
+// Runs the typescript package installed in node_modules inside a worker_threads worker.
+describe('Integration: worker backend', function () {
+    const server = createTSServerInstance(true, {
+        backend: 'worker',
+        virtualFiles: {
+            '/project/tsconfig.json': '{"compilerOptions": {"strict": true}}',
+            '/project/src/util.ts': 'export function double(value: number) { return value * 2; }\n'
+        }
+    });
+    const file = '/project/src/main.ts';
+
+    before(async function () {
+        await server.init();
+        await server.openFile(file, undefined, {
+            fileContent: 'import {double} from "./util";\nconst result: string = double(2);\n'
+        });
+    });
+
+    after(function () {
+        server.exitServer();
+    });
+
+    it('should answer quickinfo from the virtual files', async function () {
+        const response = await server.getQuickInfo(file, 1, 10);
+        expect(response.body.displayString).to.equal('(alias) function double(value: number): number\nimport double');
+    });
+
+    it('should update diagnostics after a virtual file is written', async function () {
+        let diagnostics = await server.getErrors([file], 0, {collect: true});
+        expect(diagnostics[file].semantic.map((diagnostic) => diagnostic.code)).to.deep.equal([2322]);
+
+        await server.writeVirtualFile('/project/src/util.ts',
+            'export function double(value: number) { return String(value * 2); }\n');
+        expect(await server.readVirtualFile('/project/src/util.ts')).to.include('String');
+        // tsserver updates the project after the file watcher fired.
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        diagnostics = await server.getErrors([file], 0, {collect: true});
+        expect(diagnostics[file].semantic).to.deep.equal([]);
+    });
+});
+
+// Runs the typings installer of the installed typescript package without network, on a typings cache whose
+// registry lists a package that is not installed in the cache.
+describe('Integration: offline type acquisition', function () {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tsserver-ata-'));
+    const cacheDirectory = path.join(root, 'cache');
+    const registryFolder = path.join(getTypingsCacheLocation(cacheDirectory, '5.4.2'), 'node_modules',
+        'types-registry');
+    fs.mkdirSync(registryFolder, {recursive: true});
+    fs.writeFileSync(path.join(registryFolder, 'index.json'),
+        JSON.stringify({entries: {'left-pad': {latest: '1.3.0', 'ts5.4': '1.3.0'}}}));
+    fs.mkdirSync(path.join(root, 'project'));
+    fs.writeFileSync(path.join(root, 'project', 'package.json'), JSON.stringify({dependencies: {'left-pad': '1.3.0'}}));
+    const file = path.join(root, 'project', 'main.js');
+    fs.writeFileSync(file, 'const leftPad = require("left-pad");\n');
+    const server = createTSServerInstance(true, {typeAcquisition: {offline: true, cacheDirectory}});
+
+    before(async function () {
+        await server.init();
+    });
+
+    after(function () {
+        server.exitServer();
+        fs.rmSync(root, {recursive: true, force: true});
+    });
+
+    it('should report the typings missing from the cache', async function () {
+        const missingTypings = new Promise((resolve) => server.on('missingTypings', resolve));
+        await server.openFile(file);
+        expect(await missingTypings).to.deep.equal({packages: ['@types/left-pad']});
+    });
+});
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import {pathToFileURL} from 'url';
+import {frameMessage} from '../../src/utils/messageParser.js';
+import moduleDirectory from '../../src/utils/moduleDirectory.cjs';
+
+// Commands tsserver does not answer with a response.
+const NO_RESPONSE_COMMANDS = new Set(['open', 'change', 'close', 'saveto', 'reloadProjects', 'geterr',
+    'geterrForProject', 'watchChange']);
+
+const DIAGNOSTIC_EVENTS = {
+    syntaxDiag: 'syntactic',
+    semanticDiag: 'semantic',
+    suggestionDiag: 'suggestion'
+};
+
+/**
+ * Creates a fake tsserver for unit tests of `createTSServerInstance`. The fake is a small Node.js script that is
+ * passed to `init` in place of tsserver. It reads requests from stdin and writes `Content-Length` framed messages
+ * to stdout like tsserver does, but answers as the scenario tells it to, within milliseconds.
+ *
+ * The scenario is read every time a fake process starts, so `setScenario` changes the behaviour of the next
+ * process, e.g. of the restart after a crash. Its fields are all optional:
+ * - `version`: the version in the answer to 'status', defaults to '5.4.2'.
+ * - `startDelay`: milliseconds before the process reports that it is ready.
+ * - `exitOnStart`: exit with this code instead of getting ready.
+ * - `stderr`: text written to stderr on start.
+ * - `startEvents`: events, each `{event, body}`, emitted once the process is ready.
+ * - `skipTypingsInstallerPid`: never send the `typingsInstallerPid` event, like a tsserver whose typings installer
+ *   could not be started.
+ * - `chunkSize`: split every write to stdout into chunks of this many bytes, to exercise the framing.
+ * - `byServerMode`: scenario fields by `--serverMode`, which replace the fields above for the processes started in
+ *   that mode, e.g. `{syntactic: {exitOnStart: 1}}` for the syntax server of an instance.
+ * - `commands`: the behaviour per command name, each with the optional fields
+ *   `body`, `success` (defaults to true), `message` and `performanceData` of the response, `echo` to answer with
+ *   the arguments as the body, `delay` in milliseconds, `events` emitted right before the response in the same
+ *   write, `respond: false` to never answer, `crash` to exit with that code instead of answering, and for
+ *   'geterr' and 'geterrForProject' the `diagnostics` per file, each with `syntactic`, `semantic` and `suggestion`
+ *   arrays.
+ *
+ * Commands without an entry are answered with `success: true`, except those tsserver does not answer either.
+ * Like tsserver, the fake reports that it is ready with a `typingsInstallerPid` event, unless it was started with
+ * `--disableAutomaticTypingAcquisition`, and it answers a request that was cancelled through the cancellation
+ * pipe with `{canceled: true}`.
+ *
+ * @param {Object} [scenario] - The initial scenario.
+ * @returns {Object} The fake, with the `tsServer` path to pass to `init`, `setScenario`, `getStarts` returning the
+ *                   command line arguments of every process started so far, `getRequests` returning every message
+ *                   received so far, `getProcesses` returning the `pid`, `argv`, the Node.js options as
+ *                   `execArgv`, `serverMode` and received `requests` of every process, `getCancelledRequests`
+ *                   returning the seqs of the requests answered as cancelled, and `dispose` removing its files.
+ */
+function createFakeTSServer(scenario = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-tsserver-'));
+    const scenarioFile = path.join(directory, 'scenario.json');
+    const logFile = path.join(directory, 'log.jsonl');
+    const tsServer = path.join(directory, 'tsserver.mjs');
+    const moduleUrl = pathToFileURL(path.join(moduleDirectory, '..', '..', 'test', 'support', 'fakeTsServer.js')).href;
+    fs.writeFileSync(tsServer, `import {runFakeTSServer} from ${JSON.stringify(moduleUrl)};\n`
+        + `runFakeTSServer(${JSON.stringify(scenarioFile)}, ${JSON.stringify(logFile)});\n`);
+
+    function setScenario(newScenario) {
+        fs.writeFileSync(scenarioFile, JSON.stringify(newScenario));
+    }
+
+    function readLog() {
+        if (!fs.existsSync(logFile)) {
+            return [];
+        }
+        return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    }
+
+    function getProcesses() {
+        const processes = new Map();
+        for (const entry of readLog()) {
+            if (entry.argv) {
+                processes.set(entry.pid, {pid: entry.pid, argv: entry.argv, execArgv: entry.execArgv,
+                    serverMode: getArgument(entry.argv, '--serverMode'), requests: []});
+            } else if (entry.message) {
+                processes.get(entry.pid).requests.push(entry.message);
+            }
+        }
+        return [...processes.values()];
+    }
+
+    setScenario(scenario);
+    return {
+        tsServer,
+        setScenario,
+        getStarts: () => readLog().filter((entry) => entry.argv).map((entry) => entry.argv),
+        getRequests: () => readLog().filter((entry) => entry.message).map((entry) => entry.message),
+        getProcesses,
+        getCancelledRequests: () => readLog().filter((entry) => entry.cancelled).map((entry) => entry.cancelled),
+        dispose: () => fs.rmSync(directory, {recursive: true, force: true})
+    };
+}
+
+/**
+ * Runs the fake tsserver in the current process, see `createFakeTSServer`.
+ * @param {string} scenarioFile - The JSON file with the scenario.
+ * @param {string} logFile - The file every start and received message is appended to.
+ */
+function runFakeTSServer(scenarioFile, logFile) {
+    const argv = process.argv.slice(2);
+    const fullScenario = JSON.parse(fs.readFileSync(scenarioFile, 'utf8'));
+    const scenario = {...fullScenario, ...(fullScenario.byServerMode || {})[getArgument(argv, '--serverMode')]};
+    const commands = scenario.commands || {};
+    const cancellationPipe = getArgument(argv, '--cancellationPipeName');
+    const cancellationPrefix = cancellationPipe && cancellationPipe.endsWith('*')
+        ? cancellationPipe.slice(0, -1) : undefined;
+    let ready = false;
+
+    function log(entry) {
+        fs.appendFileSync(logFile, `${JSON.stringify(entry)}\n`);
+    }
+
+    function write(messages) {
+        const data = Buffer.from(messages.map(frameMessage).join(''), 'utf8');
+        const chunkSize = scenario.chunkSize || data.length;
+        for (let start = 0; start < data.length; start += chunkSize) {
+            process.stdout.write(data.subarray(start, start + chunkSize));
+        }
+    }
+
+    function after(delay, callback) {
+        if (delay) {
+            setTimeout(callback, delay);
+        } else {
+            callback();
+        }
+    }
+
+    function answer(request) {
+        const rule = commands[request.command] || {};
+        if (rule.crash !== undefined) {
+            process.exit(rule.crash);
+        }
+        const events = (rule.events || []).map(({event, body}) => ({seq: 0, type: 'event', event, body}));
+        if (request.command === 'geterr' || request.command === 'geterrForProject') {
+            const files = request.command === 'geterr' ? request.arguments.files : [request.arguments.file];
+            write([...events, ...getDiagnosticEvents(files, rule.diagnostics || {}), {
+                seq: 0, type: 'event', event: 'requestCompleted', body: {'request_seq': request.seq}
+            }]);
+            return;
+        }
+        if (rule.respond === false || (NO_RESPONSE_COMMANDS.has(request.command) && !rule.body)) {
+            write(events);
+            return;
+        }
+        const response = {seq: 0, type: 'response', command: request.command, 'request_seq': request.seq};
+        if (isCancelled(request.seq)) {
+            log({pid: process.pid, cancelled: request.seq});
+            write([...events, {...response, success: true, body: {canceled: true}}]);
+            return;
+        }
+        response.success = rule.success !== false;
+        if (rule.message) {
+            response.message = rule.message;
+        }
+        if (rule.performanceData) {
+            response.performanceData = rule.performanceData;
+        }
+        const body = rule.echo ? request.arguments
+            : request.command === 'status' && !rule.body ? {version: scenario.version || '5.4.2'} : rule.body;
+        if (body !== undefined) {
+            response.body = body;
+        }
+        write([...events, response]);
+    }
+
+    function isCancelled(seq) {
+        return cancellationPrefix !== undefined && fs.existsSync(`${cancellationPrefix}${seq}`);
+    }
+
+    function onReady() {
+        ready = true;
+        const messages = [];
+        if (!argv.includes('--disableAutomaticTypingAcquisition') && !scenario.skipTypingsInstallerPid) {
+            messages.push({seq: 0, type: 'event', event: 'typingsInstallerPid', body: {pid: process.pid}});
+        }
+        for (const {event, body} of scenario.startEvents || []) {
+            messages.push({seq: 0, type: 'event', event, body});
+        }
+        write(messages);
+    }
+
+    log({pid: process.pid, argv, execArgv: process.execArgv});
+    if (scenario.stderr) {
+        process.stderr.write(scenario.stderr);
+    }
+    if (scenario.exitOnStart !== undefined) {
+        process.exit(scenario.exitOnStart);
+    }
+    after(scenario.startDelay, onReady);
+
+    readline.createInterface({input: process.stdin}).on('line', (line) => {
+        if (!line.trim()) {
+            return;
+        }
+        const request = JSON.parse(line);
+        log({pid: process.pid, message: request});
+        if (request.command === 'exit') {
+            process.exit(0);
+        }
+        // The status request waits for the start like every other request does in tsserver.
+        const rule = commands[request.command] || {};
+        after(ready ? rule.delay : (scenario.startDelay || 0) + (rule.delay || 0), () => answer(request));
+    });
+}
+
+/**
+ * @param {string[]} files - The files of a 'geterr' request.
+ * @param {Object} diagnostics - The diagnostics per file from the scenario.
+ * @returns {Object[]} The diagnostic events tsserver would send for the files.
+ */
+function getDiagnosticEvents(files, diagnostics) {
+    const events = [];
+    for (const file of files) {
+        for (const [event, kind] of Object.entries(DIAGNOSTIC_EVENTS)) {
+            const fileDiagnostics = diagnostics[file] && diagnostics[file][kind] || [];
+            events.push({seq: 0, type: 'event', event, body: {file, diagnostics: fileDiagnostics}});
+        }
+    }
+    return events;
+}
+
+/**
+ * @param {string[]} argv - The command line arguments.
+ * @param {string} name - The name of an option.
+ * @returns {string|undefined} The value following the option.
+ */
+function getArgument(argv, name) {
+    const index = argv.indexOf(name);
+    return index === -1 ? undefined : argv[index + 1];
+}
+
+export {
+    createFakeTSServer,
+    runFakeTSServer
+};
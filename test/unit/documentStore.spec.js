@@ -0,0 +1,135 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {computeTextChange, createDocumentStore} from "../../src/utils/documentStore.js";
+import {computeLineStarts, locationToIndex} from "../../src/utils/positions.js";
+
+let expect = chai.expect;
+
+describe('documentStore', function () {
+    describe('computeTextChange', function () {
+        function apply(before, change) {
+            const lineStarts = computeLineStarts(before);
+            return before.slice(0, locationToIndex(before, lineStarts, change.start)) + change.newText
+                + before.slice(locationToIndex(before, lineStarts, change.end));
+        }
+
+        it('should return null for equal texts', function () {
+            expect(computeTextChange('same', 'same')).to.equal(null);
+        });
+
+        it('should describe an insertion', function () {
+            expect(computeTextChange('ab\ncd', 'ab\ncXd')).to.deep.equal({
+                start: {line: 2, offset: 2},
+                end: {line: 2, offset: 2},
+                newText: 'X'
+            });
+        });
+
+        it('should cover all edits between the first and the last change', function () {
+            const before = 'const x = 1;\r\nconsole.log(x);\n';
+            const after = 'const y = 1;\r\nconsole.log(y);\n';
+            const change = computeTextChange(before, after);
+            expect(change.newText).to.equal('y = 1;\r\nconsole.log(y');
+            expect(apply(before, change)).to.equal(after);
+        });
+
+        it('should handle repeated characters, deletions and emoji', function () {
+            const pairs = [['aaa', 'aaaa'], ['aaaa', 'a'], ['😀😀', '😀😁😀'], ['x\r\ny', 'x\ny'], ['', 'new'], ['old', '']];
+            for (const [before, after] of pairs) {
+                expect(apply(before, computeTextChange(before, after)), JSON.stringify([before, after]))
+                    .to.equal(after);
+            }
+        });
+    });
+
+    it('should record opened documents with version 1', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'const a = 1;\n', {scriptKindName: 'TS'});
+        expect(store.get('/a.ts')).to.deep.equal({
+            filePath: '/a.ts',
+            text: 'const a = 1;\n',
+            version: 1,
+            scriptKindName: 'TS',
+            projectRootPath: undefined
+        });
+        expect(store.has('/b.ts')).to.equal(false);
+        expect(store.get('/b.ts')).to.equal(undefined);
+    });
+
+    it('should apply a change and increase the version', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'const a = 1;\nconst b = 2;\n');
+        expect(store.applyChange('/a.ts', {line: 2, offset: 7}, {line: 2, offset: 8}, 'beta')).to.equal(true);
+        expect(store.get('/a.ts').text).to.equal('const a = 1;\nconst beta = 2;\n');
+        expect(store.get('/a.ts').version).to.equal(2);
+    });
+
+    it('should insert across lines', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'a\r\nb\nc');
+        store.applyChange('/a.ts', {line: 1, offset: 2}, {line: 3, offset: 1}, ' + ');
+        expect(store.get('/a.ts').text).to.equal('a + c');
+    });
+
+    it('should count offsets in UTF-16 code units', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'x = "😀";');
+        store.applyChange('/a.ts', {line: 1, offset: 6}, {line: 1, offset: 8}, 'ok');
+        expect(store.get('/a.ts').text).to.equal('x = "ok";');
+    });
+
+    it('should apply batched changes against the original text', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'one\ntwo\nthree\n');
+        store.applyChanges('/a.ts', [
+            {start: {line: 1, offset: 1}, end: {line: 1, offset: 4}, newText: '1\n1'},
+            {start: {line: 3, offset: 1}, end: {line: 3, offset: 6}, newText: '3'}
+        ]);
+        expect(store.get('/a.ts').text).to.equal('1\n1\ntwo\n3\n');
+        expect(store.get('/a.ts').version).to.equal(3);
+    });
+
+    it('should apply batched changes that are not in document order', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'one\ntwo\nthree\n');
+        store.applyChanges('/a.ts', [
+            {start: {line: 3, offset: 1}, end: {line: 3, offset: 6}, newText: '3'},
+            {start: {line: 1, offset: 1}, end: {line: 1, offset: 4}, newText: '1\n1'},
+            {start: {line: 2, offset: 4}, end: {line: 2, offset: 4}, newText: '!'}
+        ]);
+        expect(store.get('/a.ts').text).to.equal('1\n1\ntwo!\n3\n');
+    });
+
+    it('should clamp locations beyond the end of the text', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'ab');
+        store.applyChange('/a.ts', {line: 1, offset: 10}, {line: 5, offset: 1}, 'c');
+        expect(store.get('/a.ts').text).to.equal('abc');
+    });
+
+    it('should ignore changes to documents that are not open', function () {
+        const store = createDocumentStore();
+        expect(store.applyChange('/a.ts', {line: 1, offset: 1}, {line: 1, offset: 1}, 'x')).to.equal(false);
+        expect(store.setText('/a.ts', 'x')).to.equal(false);
+        expect(store.list()).to.deep.equal([]);
+    });
+
+    it('should replace the text and forget closed documents', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'a');
+        store.open('/b.ts', 'b');
+        store.setText('/a.ts', 'reloaded');
+        expect(store.list().map((document) => [document.filePath, document.text, document.version]))
+            .to.deep.equal([['/a.ts', 'reloaded', 2], ['/b.ts', 'b', 1]]);
+        store.close('/a.ts');
+        expect(store.list().map((document) => document.filePath)).to.deep.equal(['/b.ts']);
+    });
+
+    it('should return snapshots that do not change the store', function () {
+        const store = createDocumentStore();
+        store.open('/a.ts', 'a');
+        store.get('/a.ts').text = 'changed';
+        expect(store.get('/a.ts').text).to.equal('a');
+    });
+});
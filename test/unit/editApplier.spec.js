@@ -0,0 +1,199 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {
+    applyCodeEditsToText,
+    createEditApplier,
+    renameLocationsToFileCodeEdits,
+    sortCodeEdits
+} from "../../src/utils/editApplier.js";
+import {createDocumentStore} from "../../src/utils/documentStore.js";
+
+let expect = chai.expect;
+
+function edit(startLine, startOffset, endLine, endOffset, newText) {
+    return {start: {line: startLine, offset: startOffset}, end: {line: endLine, offset: endOffset}, newText};
+}
+
+function createHost(files = {}) {
+    const store = createDocumentStore();
+    const disk = new Map(Object.entries(files));
+    const sent = [];
+    const host = {
+        store,
+        disk,
+        sent,
+        getDocumentText: (filePath) => store.has(filePath) ? store.get(filePath).text : undefined,
+        updateDocument: async (filePath, textChanges) => {
+            sent.push({fileName: filePath, textChanges});
+            store.applyChanges(filePath, textChanges);
+        },
+        fileSystem: {
+            readFile: async (filePath) => disk.get(filePath),
+            writeFile: async (filePath, text) => {
+                disk.set(filePath, text);
+            },
+            deleteFile: async (filePath) => {
+                disk.delete(filePath);
+            }
+        }
+    };
+    return host;
+}
+
+describe('editApplier', function () {
+    describe('sortCodeEdits', function () {
+        it('should sort edits by position and keep the order of insertions at the same position', function () {
+            const edits = [edit(2, 1, 2, 1, 'b'), edit(1, 5, 1, 6, 'x'), edit(2, 1, 2, 1, 'c'), edit(1, 1, 1, 1, 'a')];
+            expect(sortCodeEdits(edits).map((sortedEdit) => sortedEdit.newText)).to.deep.equal(['a', 'x', 'b', 'c']);
+        });
+
+        it('should reject overlapping edits', function () {
+            expect(() => sortCodeEdits([edit(1, 1, 1, 5, 'a'), edit(1, 3, 1, 4, 'b')]))
+                .to.throw('Overlapping edits at line 1, offset 3');
+        });
+    });
+
+    describe('applyCodeEditsToText', function () {
+        it('should apply unsorted edits against the original text', function () {
+            const text = 'import {b} from "b";\nimport {a} from "a";\n\nb(a);\n';
+            const edits = [
+                edit(4, 1, 4, 2, 'renamed'),
+                edit(1, 1, 3, 1, 'import {a} from "a";\nimport {b} from "b";\n')
+            ];
+            expect(applyCodeEditsToText(text, edits))
+                .to.equal('import {a} from "a";\nimport {b} from "b";\n\nrenamed(a);\n');
+        });
+
+        it('should apply insertions at the same position in order', function () {
+            expect(applyCodeEditsToText('x', [edit(1, 1, 1, 1, 'a'), edit(1, 1, 1, 1, 'b')])).to.equal('abx');
+        });
+    });
+
+    describe('renameLocationsToFileCodeEdits', function () {
+        it('should add prefix and suffix text', function () {
+            const body = {
+                info: {canRename: true},
+                locs: [{
+                    file: '/a.ts',
+                    locs: [
+                        {start: {line: 1, offset: 7}, end: {line: 1, offset: 8}},
+                        {start: {line: 2, offset: 3}, end: {line: 2, offset: 4}, prefixText: 'x: '}
+                    ]
+                }]
+            };
+            expect(renameLocationsToFileCodeEdits(body, 'y')).to.deep.equal([{
+                fileName: '/a.ts',
+                textChanges: [edit(1, 7, 1, 8, 'y'), edit(2, 3, 2, 4, 'x: y')]
+            }]);
+        });
+
+        it('should reject symbols that cannot be renamed', function () {
+            const body = {info: {canRename: false, localizedErrorMessage: 'You cannot rename this element.'}};
+            expect(() => renameLocationsToFileCodeEdits(body, 'y')).to.throw('You cannot rename this element.');
+        });
+    });
+
+    describe('createEditApplier', function () {
+        it('should edit open documents through the host and files on disk', async function () {
+            const host = createHost({'/b.ts': 'export const b = 1;\n'});
+            host.store.open('/a.ts', 'const a = b;\n');
+            const applier = createEditApplier(host);
+            await applier.applyFileCodeEdits([
+                {fileName: '/a.ts', textChanges: [edit(1, 11, 1, 12, 'c')]},
+                {fileName: '/b.ts', textChanges: [edit(1, 14, 1, 15, 'c')]},
+                {fileName: '/a.ts', textChanges: [edit(1, 1, 1, 1, 'import {c} from "./b";\n')]}
+            ]);
+            expect(host.store.get('/a.ts').text).to.equal('import {c} from "./b";\nconst a = c;\n');
+            expect(host.sent).to.deep.equal([{
+                fileName: '/a.ts',
+                textChanges: [edit(1, 1, 1, 1, 'import {c} from "./b";\n'), edit(1, 11, 1, 12, 'c')]
+            }]);
+            expect(host.disk.get('/b.ts')).to.equal('export const c = 1;\n');
+        });
+
+        it('should keep the byte order mark of files on disk', async function () {
+            const host = createHost({'/a.ts': '\uFEFFlet a;\n'});
+            await createEditApplier(host).applyFileCodeEdits([
+                {fileName: '/a.ts', textChanges: [edit(1, 5, 1, 6, 'b')]}
+            ]);
+            expect(host.disk.get('/a.ts')).to.equal('\uFEFFlet b;\n');
+        });
+
+        it('should create new files and delete them on undo', async function () {
+            const host = createHost();
+            const applier = createEditApplier(host);
+            const undoRecord = await applier.applyFileCodeEdits([
+                {fileName: '/new.ts', isNewFile: true, textChanges: [edit(1, 1, 1, 1, 'export {};\n')]}
+            ]);
+            expect(host.disk.get('/new.ts')).to.equal('export {};\n');
+            expect(undoRecord.changes[0]).to.include({fileName: '/new.ts', target: 'disk', created: true});
+            await applier.undo(undoRecord);
+            expect(host.disk.has('/new.ts')).to.equal(false);
+        });
+
+        it('should create files marked as new by an insertion at line 0', async function () {
+            const host = createHost();
+            await createEditApplier(host).applyFileCodeEdits([
+                {fileName: '/moved.ts', textChanges: [edit(0, 0, 0, 0, 'export function moved() {}\n')]}
+            ]);
+            expect(host.disk.get('/moved.ts')).to.equal('export function moved() {}\n');
+        });
+
+        it('should not change anything if one of the edits is invalid', async function () {
+            const host = createHost({'/b.ts': 'b', '/exists.ts': ''});
+            host.store.open('/a.ts', 'a');
+            const applier = createEditApplier(host);
+            const invalidEdits = [
+                [{fileName: '/missing.ts', textChanges: [edit(1, 1, 1, 1, 'x')]}],
+                [{fileName: '/exists.ts', isNewFile: true, textChanges: [edit(1, 1, 1, 1, 'x')]}],
+                [{fileName: '/b.ts', textChanges: [edit(1, 1, 1, 2, 'x'), edit(1, 1, 1, 2, 'y')]}]
+            ];
+            for (const fileCodeEdits of invalidEdits) {
+                let error;
+                try {
+                    await applier.applyFileCodeEdits([{fileName: '/a.ts', textChanges: [edit(1, 1, 1, 2, 'x')]},
+                        ...fileCodeEdits]);
+                } catch (e) {
+                    error = e;
+                }
+                expect(error, JSON.stringify(fileCodeEdits)).to.be.an('error');
+            }
+            expect(host.store.get('/a.ts').text).to.equal('a');
+            expect(host.disk.get('/b.ts')).to.equal('b');
+            expect(host.sent).to.deep.equal([]);
+        });
+
+        it('should undo edits of documents and files on disk', async function () {
+            const host = createHost({'/b.ts': 'one\ntwo\n'});
+            host.store.open('/a.ts', 'const value = 1;\n');
+            const applier = createEditApplier(host);
+            const undoRecord = await applier.applyFileCodeEdits([
+                {fileName: '/a.ts', textChanges: [edit(1, 7, 1, 12, 'renamed')]},
+                {fileName: '/b.ts', textChanges: [edit(2, 1, 2, 4, '2')]}
+            ]);
+            await applier.undo(undoRecord);
+            expect(host.store.get('/a.ts').text).to.equal('const value = 1;\n');
+            expect(host.disk.get('/b.ts')).to.equal('one\ntwo\n');
+        });
+
+        it('should refuse to undo edits of files that were changed since', async function () {
+            const host = createHost({'/b.ts': 'b'});
+            host.store.open('/a.ts', 'a');
+            const applier = createEditApplier(host);
+            const undoRecord = await applier.applyFileCodeEdits([
+                {fileName: '/a.ts', textChanges: [edit(1, 1, 1, 2, 'x')]},
+                {fileName: '/b.ts', textChanges: [edit(1, 1, 1, 2, 'y')]}
+            ]);
+            host.store.applyChange('/a.ts', {line: 1, offset: 2}, {line: 1, offset: 2}, '!');
+            let error;
+            try {
+                await applier.undo(undoRecord);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('Cannot undo the edits of /a.ts, the file was changed since');
+            expect(host.disk.get('/b.ts')).to.equal('y');
+        });
+    });
+});
@@ -0,0 +1,41 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {TSServerError, UnsupportedCommandError} from "../../src/utils/errors.js";
+
+let expect = chai.expect;
+
+describe('TSServerError', function () {
+    it('should carry the command, seq and message of the failed request', function () {
+        const response = {command: 'quickinfo', 'request_seq': 3, success: false, message: 'No Project.'};
+        const error = new TSServerError('quickinfo', 3, response.message, response);
+        expect(error).to.be.instanceOf(Error);
+        expect(error.name).to.equal('TSServerError');
+        expect(error.command).to.equal('quickinfo');
+        expect(error.seq).to.equal(3);
+        expect(error.message).to.equal('No Project.');
+        expect(error.serverStack).to.equal(undefined);
+        expect(error.response).to.equal(response);
+    });
+
+    it('should split the server stack from the message', function () {
+        const error = new TSServerError('definition', 7,
+            'Error processing request. No Project.\nError: No Project.\n    at Object.ThrowNoProject');
+        expect(error.message).to.equal('Error processing request. No Project.');
+        expect(error.serverStack).to.equal('Error: No Project.\n    at Object.ThrowNoProject');
+    });
+
+    it('should describe the command when tsserver sends no message', function () {
+        expect(new TSServerError('status', 1).message).to.equal("tsserver request 'status' failed");
+    });
+});
+
+describe('UnsupportedCommandError', function () {
+    it('should name the command and both versions', function () {
+        const error = new UnsupportedCommandError('linkedEditingRange', '5.1.0', '5.0.4');
+        expect(error).to.be.instanceOf(Error);
+        expect(error.name).to.equal('UnsupportedCommandError');
+        expect(error.message).to.equal("tsserver request 'linkedEditingRange' requires TypeScript 5.1.0 or newer, "
+            + 'the server runs TypeScript 5.0.4');
+    });
+});
@@ -0,0 +1,110 @@
+/*global describe, it, beforeEach, afterEach*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {createHostWatcher} from "../../src/utils/hostWatcher.js";
+
+let expect = chai.expect;
+
+function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+describe('hostWatcher', function () {
+    let root;
+    let hostWatcher;
+    let reported;
+
+    function watcherEvent(event, body) {
+        return hostWatcher.handleEvent({seq: 0, type: 'event', event, body});
+    }
+
+    // Waits until the changes reported for a watcher include the expected ones.
+    async function waitForChange(id, list, changedPath) {
+        for (let attempt = 0; attempt < 40; attempt++) {
+            const changes = reported.flat().filter((change) => change.id === id);
+            if (changes.some((change) => change[list].includes(changedPath))) {
+                return changes;
+            }
+            await wait(25);
+        }
+        throw new Error(`No ${list} change of ${changedPath} reported for watcher ${id}`);
+    }
+
+    beforeEach(function () {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'hostWatcher-')));
+        reported = [];
+        hostWatcher = createHostWatcher((changes) => reported.push(changes), {batchDelay: 20});
+    });
+
+    afterEach(function () {
+        hostWatcher.closeAll();
+        fs.rmSync(root, {recursive: true, force: true});
+    });
+
+    it('should report changes of a watched file', async function () {
+        const file = path.join(root, 'tsconfig.json');
+        fs.writeFileSync(file, '{}');
+        expect(watcherEvent('createFileWatcher', {id: 1, path: file})).to.equal(true);
+        fs.writeFileSync(path.join(root, 'other.ts'), '');
+        fs.writeFileSync(file, '{"compilerOptions": {}}');
+        await waitForChange(1, 'updated', file);
+
+        fs.unlinkSync(file);
+        await waitForChange(1, 'deleted', file);
+        expect(reported.flat().every((change) => change.id === 1)).to.equal(true);
+        expect(reported.flat().flatMap((change) => [...change.created, ...change.deleted, ...change.updated]))
+            .to.not.include(path.join(root, 'other.ts'));
+    });
+
+    it('should report entries that appear in and disappear from a watched folder', async function () {
+        watcherEvent('createDirectoryWatcher', {id: 2, path: root, recursive: false});
+        const file = path.join(root, 'main.ts');
+        fs.writeFileSync(file, '');
+        await waitForChange(2, 'created', file);
+        fs.unlinkSync(file);
+        await waitForChange(2, 'deleted', file);
+    });
+
+    it('should report entries in subfolders of a recursively watched folder', async function () {
+        fs.mkdirSync(path.join(root, 'src'));
+        watcherEvent('createDirectoryWatcher', {id: 3, path: root, recursive: true});
+        const file = path.join(root, 'src', 'util.ts');
+        fs.writeFileSync(file, '');
+        await waitForChange(3, 'created', file);
+    });
+
+    it('should batch the changes of several watchers', async function () {
+        const first = path.join(root, 'a.ts');
+        const second = path.join(root, 'b.ts');
+        watcherEvent('createFileWatcher', {id: 4, path: first});
+        watcherEvent('createFileWatcher', {id: 5, path: second});
+        fs.writeFileSync(first, '');
+        fs.writeFileSync(second, '');
+        await waitForChange(5, 'created', second);
+        await waitForChange(4, 'created', first);
+        expect(reported.length).to.equal(1);
+        expect(reported[0]).to.deep.equal([
+            {id: 4, created: [first], deleted: [], updated: []},
+            {id: 5, created: [second], deleted: [], updated: []}
+        ]);
+    });
+
+    it('should stop reporting for closed watchers', async function () {
+        const file = path.join(root, 'a.ts');
+        watcherEvent('createFileWatcher', {id: 6, path: file});
+        expect(watcherEvent('closeFileWatcher', {id: 6})).to.equal(true);
+        fs.writeFileSync(file, '');
+        await wait(100);
+        expect(reported).to.deep.equal([]);
+    });
+
+    it('should ignore folders that do not exist and other events', function () {
+        expect(watcherEvent('createDirectoryWatcher', {id: 7, path: path.join(root, 'missing'), recursive: true}))
+            .to.equal(true);
+        expect(watcherEvent('createFileWatcher', {id: 8, path: path.join(root, 'missing', 'a.ts')})).to.equal(true);
+        expect(watcherEvent('semanticDiag', {file: path.join(root, 'a.ts'), diagnostics: []})).to.equal(false);
+    });
+});
@@ -0,0 +1,82 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {buildLaunchArguments} from "../../src/utils/launchOptions.js";
+
+let expect = chai.expect;
+
+describe('launchOptions', function () {
+    it('should return no arguments without options', function () {
+        expect(buildLaunchArguments()).to.deep.equal({nodeArgs: [], serverArgs: []});
+    });
+
+    it('should build tsserver arguments in option order', function () {
+        const {nodeArgs, serverArgs} = buildLaunchArguments({
+            locale: 'de',
+            logFile: '/tmp/tsserver.log',
+            logVerbosity: 'verbose',
+            traceDirectory: '/tmp/trace',
+            disableAutomaticTypingAcquisition: true,
+            globalPlugins: ['plugin-a', '@scope/plugin-b'],
+            pluginProbeLocations: ['/opt/plugins'],
+            allowLocalPluginLoads: true,
+            npmLocation: '/usr/bin/npm',
+            noGetErrOnBackgroundUpdate: true
+        });
+        expect(nodeArgs).to.deep.equal([]);
+        expect(serverArgs).to.deep.equal([
+            '--locale', 'de',
+            '--logFile', '/tmp/tsserver.log',
+            '--logVerbosity', 'verbose',
+            '--traceDirectory', '/tmp/trace',
+            '--disableAutomaticTypingAcquisition',
+            '--globalPlugins', 'plugin-a,@scope/plugin-b',
+            '--pluginProbeLocations', '/opt/plugins',
+            '--allowLocalPluginLoads',
+            '--npmLocation', '/usr/bin/npm',
+            '--noGetErrOnBackgroundUpdate'
+        ]);
+    });
+
+    it('should pass the heap limit to node', function () {
+        expect(buildLaunchArguments({maxNodeOldSpaceSize: 4096})).to.deep.equal({
+            nodeArgs: ['--max-old-space-size=4096'],
+            serverArgs: []
+        });
+    });
+
+    it('should leave out disabled flags, empty lists and undefined options', function () {
+        expect(buildLaunchArguments({
+            disableAutomaticTypingAcquisition: false,
+            globalPlugins: [],
+            locale: undefined
+        })).to.deep.equal({nodeArgs: [], serverArgs: []});
+    });
+
+    it('should reject unknown options', function () {
+        expect(() => buildLaunchArguments({useSingleInferredProject: true})).to.throw(TypeError,
+            "Unknown launch option 'useSingleInferredProject'");
+    });
+
+    it('should reject invalid values', function () {
+        const invalidOptions = [
+            {locale: ''},
+            {logFile: 42},
+            {logVerbosity: 'loud'},
+            {maxNodeOldSpaceSize: -1},
+            {maxNodeOldSpaceSize: 1.5},
+            {disableAutomaticTypingAcquisition: 'yes'},
+            {globalPlugins: 'plugin-a'},
+            {pluginProbeLocations: ['/a,/b']},
+            {allowLocalPluginLoads: 1},
+            {noGetErrOnBackgroundUpdate: null}
+        ];
+        for (const options of invalidOptions) {
+            expect(() => buildLaunchArguments(options), JSON.stringify(options)).to.throw(TypeError);
+        }
+    });
+
+    it('should reject launch options that are not an object', function () {
+        expect(() => buildLaunchArguments(null)).to.throw(TypeError, 'Launch options must be an object');
+    });
+});
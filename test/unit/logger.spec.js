@@ -0,0 +1,106 @@
+/*global describe, it, beforeEach, afterEach*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {createFileLogger, normalizeLogger, withLogFields} from "../../src/utils/logger.js";
+
+let expect = chai.expect;
+
+describe('logger', function () {
+    describe('normalizeLogger', function () {
+        it('should provide silent levels for missing methods', function () {
+            const messages = [];
+            const logger = normalizeLogger({warn: (message, fields) => messages.push([message, fields])});
+            logger.trace('ignored');
+            logger.warn('timeout', {seq: 1});
+            expect(messages).to.deep.equal([['timeout', {seq: 1}]]);
+        });
+
+        it('should be silent without a logger', function () {
+            const logger = normalizeLogger();
+            expect(() => logger.error('nothing happens')).not.to.throw();
+        });
+
+        it('should not throw when the logger throws', function () {
+            const logger = normalizeLogger({info: () => {
+                throw new Error('broken');
+            }});
+            expect(() => logger.info('message')).not.to.throw();
+        });
+    });
+
+    describe('withLogFields', function () {
+        it('should add the fields to every entry', function () {
+            const messages = [];
+            const logger = withLogFields({debug: (message, fields) => messages.push([message, fields])},
+                {server: 'syntax'});
+            logger.debug('tsserver request sent', {seq: 2});
+            logger.debug('tsserver command sent');
+            expect(messages).to.deep.equal([
+                ['tsserver request sent', {server: 'syntax', seq: 2}],
+                ['tsserver command sent', {server: 'syntax'}]
+            ]);
+        });
+    });
+
+    describe('createFileLogger', function () {
+        let tempDir;
+
+        beforeEach(function () {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-intelligence-logger-'));
+        });
+
+        afterEach(function () {
+            fs.rmSync(tempDir, {recursive: true, force: true});
+        });
+
+        it('should write structured JSON lines at or above the minimum level', function () {
+            const filePath = path.join(tempDir, 'logs', 'client.log');
+            const logger = createFileLogger({filePath, minLevel: 'debug'});
+            logger.trace('skipped');
+            logger.debug('tsserver response received', {seq: 4, command: 'quickinfo', duration: 12});
+            const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+            expect(lines).to.have.length(1);
+            expect(lines[0]).to.include({
+                level: 'debug',
+                message: 'tsserver response received',
+                seq: 4,
+                command: 'quickinfo',
+                duration: 12
+            });
+        });
+
+        it('should write errors with their message and stack', function () {
+            const filePath = path.join(tempDir, 'client.log');
+            const logger = createFileLogger({filePath});
+            const error = new TypeError('Cannot read the trace file');
+            logger.error('Could not write the protocol trace', {error, details: {cause: error}});
+            const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            expect(entry.error).to.deep.equal({name: 'TypeError', message: 'Cannot read the trace file',
+                stack: error.stack});
+            expect(entry.details.cause.message).to.equal('Cannot read the trace file');
+        });
+
+        it('should rotate the file and keep at most maxFiles old files', function () {
+            const filePath = path.join(tempDir, 'client.log');
+            const logger = createFileLogger({filePath, maxSize: 200, maxFiles: 2});
+            for (let i = 0; i < 20; i++) {
+                logger.info('message', {index: i});
+            }
+            const files = fs.readdirSync(tempDir).sort();
+            expect(files).to.deep.equal(['client.log', 'client.log.1', 'client.log.2']);
+            for (const file of files) {
+                expect(fs.statSync(path.join(tempDir, file)).size).to.be.at.most(200);
+            }
+            const lastLine = fs.readFileSync(filePath, 'utf8').trim().split('\n').pop();
+            expect(JSON.parse(lastLine).index).to.equal(19);
+        });
+
+        it('should reject unknown levels', function () {
+            expect(() => createFileLogger({filePath: path.join(tempDir, 'a.log'), minLevel: 'verbose'}))
+                .to.throw('Unknown log level');
+        });
+    });
+});
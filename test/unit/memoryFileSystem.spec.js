@@ -0,0 +1,58 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {createMemoryFileSystem, normalizeVirtualPath} from "../../src/utils/memoryFileSystem.js";
+
+let expect = chai.expect;
+
+describe('memoryFileSystem', function () {
+    it('should normalize slashes', function () {
+        expect(normalizeVirtualPath('c:\\project\\src\\')).to.equal('c:/project/src');
+        expect(normalizeVirtualPath('/project//src/')).to.equal('/project/src');
+        expect(normalizeVirtualPath('c:/')).to.equal('c:/');
+        expect(normalizeVirtualPath('/')).to.equal('/');
+    });
+
+    it('should read, write and delete files', function () {
+        const fileSystem = createMemoryFileSystem({'/project/src/main.ts': 'export const answer = 42;'});
+        expect(fileSystem.readFile('/project/src/main.ts')).to.equal('export const answer = 42;');
+        fileSystem.writeFile('/project/src/main.ts', 'export const answer = 43;');
+        expect(fileSystem.readFile('/project/src/main.ts')).to.equal('export const answer = 43;');
+        expect(fileSystem.getModifiedTime('/project/src/main.ts')).to.be.instanceOf(Date);
+        fileSystem.deleteFile('/project/src/main.ts');
+        expect(fileSystem.fileExists('/project/src/main.ts')).to.equal(false);
+        expect(fileSystem.readFile('/project/src/main.ts')).to.equal(undefined);
+    });
+
+    it('should create the folders above a file', function () {
+        const fileSystem = createMemoryFileSystem();
+        fileSystem.writeFile('/project/src/util/math.ts', '');
+        fileSystem.writeFile('/project/tsconfig.json', '{}');
+        expect(fileSystem.directoryExists('/project/src/util')).to.equal(true);
+        expect(fileSystem.directoryExists('/project/lib')).to.equal(false);
+        expect(fileSystem.getEntries('/')).to.deep.equal({files: [], directories: ['project']});
+        expect(fileSystem.getEntries('/project')).to.deep.equal({files: ['tsconfig.json'], directories: ['src']});
+    });
+
+    it('should keep drive roots', function () {
+        const fileSystem = createMemoryFileSystem({'c:\\project\\main.ts': ''});
+        expect(fileSystem.getEntries('c:/')).to.deep.equal({files: [], directories: ['project']});
+        expect(fileSystem.fileExists('c:/project/main.ts')).to.equal(true);
+    });
+
+    it('should read from the fallback without writing to it', function () {
+        const fallback = createMemoryFileSystem({'/lib/lib.d.ts': 'declare var x: number;', '/lib/lib.es5.d.ts': ''});
+        const fileSystem = createMemoryFileSystem({'/lib/extra.d.ts': ''}, {fallback});
+        expect(fileSystem.readFile('/lib/lib.d.ts')).to.equal('declare var x: number;');
+        expect(fileSystem.getEntries('/lib').files).to.deep.equal(['extra.d.ts', 'lib.d.ts', 'lib.es5.d.ts']);
+
+        fileSystem.writeFile('/lib/lib.d.ts', '');
+        expect(fileSystem.readFile('/lib/lib.d.ts')).to.equal('');
+        expect(fallback.readFile('/lib/lib.d.ts')).to.equal('declare var x: number;');
+
+        fileSystem.deleteFile('/lib/lib.es5.d.ts');
+        expect(fileSystem.fileExists('/lib/lib.es5.d.ts')).to.equal(false);
+        expect(fallback.fileExists('/lib/lib.es5.d.ts')).to.equal(true);
+        expect(fileSystem.getEntries('/lib').files).to.deep.equal(['extra.d.ts', 'lib.d.ts']);
+    });
+});
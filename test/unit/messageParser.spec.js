@@ -0,0 +1,138 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {createMessageParser, frameMessage} from "../../src/utils/messageParser.js";
+
+let expect = chai.expect;
+
+const SAMPLE_TEXTS = [
+    'plain ascii',
+    'const café = "naïve";',
+    '// 注释：这是一个中文注释',
+    'let 変数 = "日本語";',
+    'emoji 😀🎉 and a flag 🇮🇳',
+    'mixed é中😀 line\nwith "quotes" and \\ backslashes',
+    ''
+];
+
+// Small seeded generator so that a failing run can be reproduced: the Park-Miller LCG, whose products stay well
+// within the integers a double represents exactly.
+function createRandom(seed) {
+    const MODULUS = 2147483647;
+    let state = seed % (MODULUS - 1) + 1;
+    return function () {
+        state = state * 48271 % MODULUS;
+        return (state - 1) / (MODULUS - 1);
+    };
+}
+
+function createMessages(random, count) {
+    const messages = [];
+    for (let i = 0; i < count; i++) {
+        const parts = [];
+        const partCount = 1 + Math.floor(random() * 5);
+        for (let j = 0; j < partCount; j++) {
+            parts.push(SAMPLE_TEXTS[Math.floor(random() * SAMPLE_TEXTS.length)]);
+        }
+        messages.push({seq: i, type: 'response', body: {text: parts.join(' ')}});
+    }
+    return messages;
+}
+
+function splitRandomly(random, data, maxChunkSize) {
+    const chunks = [];
+    let start = 0;
+    while (start < data.length) {
+        const size = 1 + Math.floor(random() * maxChunkSize);
+        chunks.push(data.subarray(start, start + size));
+        start += size;
+    }
+    return chunks;
+}
+
+function parseAll(chunks) {
+    const received = [];
+    const parser = createMessageParser((message) => received.push(JSON.parse(message)));
+    for (const chunk of chunks) {
+        parser.feed(chunk);
+    }
+    return {received, parser};
+}
+
+describe('messageParser', function () {
+    it('should parse a single message in one chunk', function () {
+        const message = {seq: 1, type: 'response', body: {text: 'hello'}};
+        const {received, parser} = parseAll([Buffer.from(frameMessage(message))]);
+        expect(received).to.deep.equal([message]);
+        expect(parser.getBufferedLength()).to.equal(0);
+    });
+
+    it('should parse multiple messages in one chunk', function () {
+        const messages = createMessages(createRandom(1), 5);
+        const stream = Buffer.from(messages.map((message) => frameMessage(message)).join(''));
+        expect(parseAll([stream]).received).to.deep.equal(messages);
+    });
+
+    it('should wait for a header split across chunks', function () {
+        const message = {seq: 1, body: {text: 'é'}};
+        const framed = Buffer.from(frameMessage(message));
+        const {received, parser} = parseAll([framed.subarray(0, 10)]);
+        expect(received).to.deep.equal([]);
+        parser.feed(framed.subarray(10, 17));
+        expect(received).to.deep.equal([]);
+        parser.feed(framed.subarray(17));
+        expect(received).to.deep.equal([message]);
+    });
+
+    it('should decode a multi-byte character split across chunks', function () {
+        const message = {text: '😀'};
+        const framed = Buffer.from(frameMessage(message));
+        const emojiStart = framed.indexOf(Buffer.from('😀'));
+        const chunks = [framed.subarray(0, emojiStart + 1), framed.subarray(emojiStart + 1, emojiStart + 3),
+            framed.subarray(emojiStart + 3)];
+        expect(parseAll(chunks).received).to.deep.equal([message]);
+    });
+
+    it('should use the byte length of non-ASCII bodies', function () {
+        const messages = [{text: '中文'}, {text: 'next'}];
+        const framed = frameMessage(messages[0]);
+        expect(framed.startsWith(`Content-Length: ${Buffer.byteLength(JSON.stringify(messages[0])) + 1}\r\n`))
+            .to.equal(true);
+        expect(parseAll([Buffer.from(framed + frameMessage(messages[1]))]).received).to.deep.equal(messages);
+    });
+
+    it('should accept string chunks', function () {
+        const message = {text: 'café'};
+        expect(parseAll([frameMessage(message)]).received).to.deep.equal([message]);
+    });
+
+    it('should skip headers without a Content-Length', function () {
+        const message = {text: 'ok'};
+        const stream = Buffer.from(`X-Unknown: 1\r\n\r\n${frameMessage(message)}`);
+        expect(parseAll([stream]).received).to.deep.equal([message]);
+    });
+
+    it('should drop a partial message on reset', function () {
+        const message = {text: 'ok'};
+        const framed = Buffer.from(frameMessage(message));
+        const {received, parser} = parseAll([framed.subarray(0, framed.length - 3)]);
+        parser.reset();
+        expect(parser.getBufferedLength()).to.equal(0);
+        parser.feed(framed);
+        expect(received).to.deep.equal([message]);
+    });
+
+    describe('fuzz', function () {
+        for (let seed = 1; seed <= 25; seed++) {
+            it(`should reassemble randomly chunked streams (seed ${seed})`, function () {
+                const random = createRandom(seed);
+                const messages = createMessages(random, 20);
+                const stream = Buffer.from(messages.map((message) => frameMessage(message)).join(''));
+                const maxChunkSize = 1 + Math.floor(random() * 64);
+                const {received, parser} = parseAll(splitRandomly(random, stream, maxChunkSize));
+                expect(received).to.deep.equal(messages);
+                expect(parser.getBufferedLength()).to.equal(0);
+            });
+        }
+    });
+});
@@ -0,0 +1,67 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {createRequestMetrics, getPercentile} from "../../src/utils/metrics.js";
+
+let expect = chai.expect;
+
+describe('metrics', function () {
+    it('should compute nearest-rank percentiles', function () {
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        expect(getPercentile(values, 50)).to.equal(5);
+        expect(getPercentile(values, 95)).to.equal(10);
+        expect(getPercentile([7], 99)).to.equal(7);
+        expect(getPercentile([], 50)).to.equal(undefined);
+    });
+
+    it('should count requests per command and outcome', function () {
+        const metrics = createRequestMetrics();
+        for (let duration = 1; duration <= 100; duration++) {
+            metrics.record({command: 'quickinfo', outcome: 'success', duration});
+        }
+        metrics.record({command: 'quickinfo', outcome: 'timeout', duration: 5000});
+        metrics.record({command: 'navto', outcome: 'cancelled', duration: 3});
+        const {quickinfo, navto} = metrics.getMetrics();
+        expect(quickinfo).to.deep.equal({
+            count: 101,
+            success: 100,
+            error: 0,
+            timeout: 1,
+            cancelled: 0,
+            failed: 0,
+            p50: 51,
+            p95: 96,
+            p99: 100,
+            max: 5000,
+            performanceData: {}
+        });
+        expect(navto).to.include({count: 1, cancelled: 1, p50: 3});
+    });
+
+    it('should aggregate the performance data of tsserver', function () {
+        const metrics = createRequestMetrics();
+        metrics.record({command: 'completionInfo', outcome: 'success', duration: 40,
+            performanceData: {updateGraphDurationMs: 12, createAutoImportProviderProgramDurationMs: 30}});
+        metrics.record({command: 'completionInfo', outcome: 'success', duration: 20,
+            performanceData: {updateGraphDurationMs: 4}});
+        expect(metrics.getMetrics().completionInfo.performanceData).to.deep.equal({
+            updateGraphDurationMs: {count: 2, total: 16, max: 12},
+            createAutoImportProviderProgramDurationMs: {count: 1, total: 30, max: 30}
+        });
+    });
+
+    it('should compute percentiles from the most recent samples only', function () {
+        const metrics = createRequestMetrics(3);
+        for (const duration of [1000, 1000, 1000, 1, 2, 3]) {
+            metrics.record({command: 'format', outcome: 'success', duration});
+        }
+        expect(metrics.getMetrics().format).to.include({count: 6, p50: 2, p99: 3, max: 1000});
+    });
+
+    it('should forget everything on reset', function () {
+        const metrics = createRequestMetrics();
+        metrics.record({command: 'format', outcome: 'error', duration: 1});
+        metrics.reset();
+        expect(metrics.getMetrics()).to.deep.equal({});
+    });
+});
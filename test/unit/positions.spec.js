@@ -0,0 +1,93 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {computeLineStarts, createPositionConverter, indexToLocation, locationToIndex}
+    from "../../src/utils/positions.js";
+
+let expect = chai.expect;
+
+describe('positions', function () {
+    describe('computeLineStarts', function () {
+        it('should treat \\r\\n, \\r, \\n and unicode separators as line breaks', function () {
+            expect(computeLineStarts('a\r\nb\rc\nd\u2028e')).to.deep.equal([0, 3, 5, 7, 9]);
+        });
+
+        it('should return one line for text without line breaks', function () {
+            expect(computeLineStarts('')).to.deep.equal([0]);
+        });
+    });
+
+    describe('indexToLocation', function () {
+        it('should be the inverse of locationToIndex', function () {
+            const text = 'ab\r\n\ncd\ne';
+            const lineStarts = computeLineStarts(text);
+            for (let index = 0; index <= text.length; index++) {
+                expect(locationToIndex(text, lineStarts, indexToLocation(lineStarts, index))).to.equal(index);
+            }
+            expect(indexToLocation(lineStarts, 6)).to.deep.equal({line: 3, offset: 2});
+        });
+    });
+
+
+    describe('createPositionConverter', function () {
+        const text = 'let a = 1;\r\nconst s = "😀x";\nend';
+
+        it('should convert between all position kinds', function () {
+            const converter = createPositionConverter(text);
+            const offset = text.indexOf('x');
+            expect(converter.fromOffset(offset, 'tsserver')).to.deep.equal({line: 2, offset: 14});
+            expect(converter.fromOffset(offset, 'lsp')).to.deep.equal({line: 1, character: 13});
+            expect(converter.fromOffset(offset, 'editor')).to.deep.equal({line: 1, ch: 13});
+            expect(converter.convert({line: 2, offset: 14}, 'tsserver', 'editor')).to.deep.equal({line: 1, ch: 13});
+            expect(converter.convert({line: 1, ch: 13}, 'editor', 'offset')).to.equal(offset);
+            expect(converter.convert({line: 1, character: 13}, 'lsp', 'tsserver')).to.deep.equal({line: 2, offset: 14});
+        });
+
+        it('should move positions inside a surrogate pair to the start of the character', function () {
+            const converter = createPositionConverter(text);
+            const emoji = text.indexOf('😀');
+            expect(converter.toOffset({line: 1, ch: 12}, 'editor')).to.equal(emoji);
+            expect(converter.toOffset(emoji + 1, 'offset')).to.equal(emoji);
+            expect(converter.fromOffset(emoji + 1, 'tsserver')).to.deep.equal({line: 2, offset: 12});
+        });
+
+        it('should clamp columns to the end of the line, before the line break', function () {
+            const converter = createPositionConverter(text);
+            expect(converter.toOffset({line: 0, character: 99}, 'lsp')).to.equal(10);
+            expect(converter.fromOffset(11, 'editor')).to.deep.equal({line: 0, ch: 10});
+            expect(converter.toOffset({line: 9, ch: 0}, 'editor')).to.equal(text.length);
+            expect(converter.toOffset({line: -1, ch: 3}, 'editor')).to.equal(0);
+        });
+
+        it('should count LSP characters in code points with utf-32', function () {
+            const converter = createPositionConverter(text, {positionEncoding: 'utf-32'});
+            const offset = text.indexOf('x');
+            expect(converter.fromOffset(offset, 'lsp')).to.deep.equal({line: 1, character: 12});
+            expect(converter.toOffset({line: 1, character: 12}, 'lsp')).to.equal(offset);
+            expect(converter.fromOffset(offset, 'tsserver')).to.deep.equal({line: 2, offset: 14});
+        });
+
+        it('should count LSP characters in bytes with utf-8', function () {
+            const converter = createPositionConverter('é😀x', {positionEncoding: 'utf-8'});
+            expect(converter.fromOffset(3, 'lsp')).to.deep.equal({line: 0, character: 6});
+            expect(converter.toOffset({line: 0, character: 6}, 'lsp')).to.equal(3);
+            // A position inside a multi-byte character resolves to the start of the character.
+            expect(converter.toOffset({line: 0, character: 4}, 'lsp')).to.equal(1);
+        });
+
+        it('should convert ranges and text spans', function () {
+            const converter = createPositionConverter(text);
+            const range = {start: {line: 1, ch: 0}, end: {line: 2, ch: 3}};
+            const span = converter.toTextSpan(range, 'editor');
+            expect(span).to.deep.equal({start: 12, length: text.length - 12});
+            expect(converter.fromTextSpan(span, 'editor')).to.deep.equal(range);
+            expect(converter.convertRange(range, 'editor', 'tsserver'))
+                .to.deep.equal({start: {line: 2, offset: 1}, end: {line: 3, offset: 4}});
+        });
+
+        it('should reject unknown kinds and encodings', function () {
+            expect(() => createPositionConverter(text).toOffset(0, 'vim')).to.throw(TypeError);
+            expect(() => createPositionConverter(text, {positionEncoding: 'utf-7'})).to.throw(TypeError);
+        });
+    });
+});
@@ -0,0 +1,18 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {readProcessMemory} from "../../src/utils/processMemory.js";
+
+let expect = chai.expect;
+
+describe('processMemory', function () {
+    it('should read the resident memory of a running process', async function () {
+        const rss = await readProcessMemory(process.pid);
+        expect(rss).to.be.a('number');
+        expect(rss).to.be.above(1024 * 1024);
+    });
+
+    it('should resolve with undefined for a process that does not exist', async function () {
+        expect(await readProcessMemory(999999999)).to.equal(undefined);
+    });
+});
@@ -0,0 +1,173 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {createProtocolRecorder, parseTrace, readTrace} from "../../src/utils/protocolRecorder.js";
+import {diffValues, mapPaths, replayTrace} from "../../src/utils/protocolReplay.js";
+import createTSServerInstance from "../../src/utils/server.js";
+import {createFakeTSServer} from "../support/fakeTsServer.js";
+
+let expect = chai.expect;
+
+// Waits until the replaying fake process received 'exit', so that it writes no more to the files of the fake.
+async function waitForReplayExit(fake) {
+    const received = () => (fake.getProcesses()[1] || {requests: []}).requests;
+    const deadline = Date.now() + 2000;
+    while (!received().some((message) => message.command === 'exit') && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+}
+
+describe('protocolTrace', function () {
+    it('should append entries with a timestamp and read them back', function () {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'protocolTrace-'));
+        try {
+            const traceFile = path.join(directory, 'trace.jsonl');
+            const recorder = createProtocolRecorder(traceFile);
+            recorder.record('send', {seq: 1, type: 'request', command: 'quickinfo'});
+            recorder.record('receive', {seq: 0, type: 'event', event: 'typingsInstallerPid'});
+            const entries = readTrace(traceFile);
+            expect(entries.map(({direction, message}) => [direction, message.seq])).to.deep.equal([
+                ['send', 1],
+                ['receive', 0]
+            ]);
+            expect(entries[0].time).to.be.a('number');
+        } finally {
+            fs.rmSync(directory, {recursive: true, force: true});
+        }
+    });
+
+    it('should stop recording silently when the trace cannot be written', function () {
+        const warnings = [];
+        const recorder = createProtocolRecorder(path.join(os.tmpdir(), 'missing-dir', 'x', 'trace.jsonl'),
+            {warn: (message) => warnings.push(message)});
+        recorder.record('send', {});
+        recorder.record('send', {});
+        expect(warnings).to.deep.equal(['Could not write the protocol trace, recording stopped']);
+    });
+
+    it('should reject lines that are not trace entries', function () {
+        expect(parseTrace('\n{"time":1,"direction":"send","message":{}}\n\n')).to.have.length(1);
+        expect(() => parseTrace('{"time":1,"direction":"send","message":{}}\nnot json'))
+            .to.throw('Invalid trace entry on line 2');
+        expect(() => parseTrace('{"time":1,"direction":"sideways","message":{}}'))
+            .to.throw('expected time, direction and message');
+    });
+
+    it('should list the paths of differing values', function () {
+        const expected = {body: {displayString: 'const a: 1', tags: [1, 2]}, '/src/main.ts': {semantic: []}};
+        const actual = {body: {displayString: 'const a: 2', tags: [1]}, '/src/main.ts': {semantic: [{code: 2322}]}};
+        expect(diffValues(expected, actual)).to.deep.equal([
+            {path: 'body.displayString', expected: 'const a: 1', actual: 'const a: 2'},
+            {path: 'body.tags[1]', expected: 2, actual: undefined},
+            {path: '["/src/main.ts"].semantic[0]', expected: undefined, actual: {code: 2322}}
+        ]);
+        expect(diffValues({a: [1, 2, 3]}, {a: [4, 5, 6]}, 2)).to.have.length(2);
+        expect(diffValues({a: {b: [1]}}, {a: {b: [1]}})).to.deep.equal([]);
+    });
+
+    it('should replace path prefixes in all strings', function () {
+        const message = {arguments: {file: '/home/user/app/src/a.ts', files: ['/home/user/app/b.ts', '/other/c.ts']}};
+        expect(mapPaths(message, {'/home/user/app/': '/tmp/fixture/'})).to.deep.equal({
+            arguments: {file: '/tmp/fixture/src/a.ts', files: ['/tmp/fixture/b.ts', '/other/c.ts']}
+        });
+    });
+
+    it('should replay a recorded session and report the requests answered differently', async function () {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'protocolTrace-'));
+        const traceFile = path.join(directory, 'trace.jsonl');
+        const fake = createFakeTSServer({commands: {
+            quickinfo: {body: {displayString: 'const a: 1'}},
+            definition: {respond: false}
+        }});
+        const server = createTSServerInstance(true, {recordFile: traceFile});
+        try {
+            await server.init('', fake.tsServer);
+            await server.openFile('/src/main.ts', undefined, {fileContent: 'const a = 1;'});
+            const quickInfo = await server.getQuickInfo('/src/main.ts', 1, 7);
+            const navBar = await server.sendCommand({command: 'navbar', arguments: {file: '/src/main.ts'}});
+            const definition = await server.sendCommand({command: 'definition', arguments: {file: '/src/main.ts'}}, 30)
+                .catch((error) => error);
+            expect(definition.message).to.equal('tsserver response timeout');
+            server.killServer();
+
+            fake.setScenario({commands: {quickinfo: {body: {displayString: 'const a: number'}}}});
+            const report = await replayTrace(traceFile, {tsServer: fake.tsServer, timeout: 1000});
+            await waitForReplayExit(fake);
+            const definitionSeq = fake.getRequests().find((message) => message.command === 'definition').seq;
+            // The status request asking the fake tsserver for its version is compared as well.
+            expect(report).to.deep.equal({
+                compared: 3,
+                matched: 2,
+                mismatches: [{seq: quickInfo.request_seq, command: 'quickinfo', differences: [
+                    {path: 'body.displayString', expected: 'const a: 1', actual: 'const a: number'}
+                ]}],
+                unanswered: [definitionSeq]
+            });
+            expect(navBar.request_seq).to.be.a('number');
+            const replayed = fake.getProcesses()[1].requests.map((message) => message.command);
+            expect(replayed).to.include.members(['open', 'quickinfo', 'navbar', 'definition']);
+        } finally {
+            server.killServer();
+            fake.dispose();
+            fs.rmSync(directory, {recursive: true, force: true});
+        }
+    });
+
+    it('should count a request that fails on replay as a mismatch and go on', async function () {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'protocolTrace-'));
+        const traceFile = path.join(directory, 'trace.jsonl');
+        const fake = createFakeTSServer();
+        const server = createTSServerInstance(true, {recordFile: traceFile});
+        try {
+            await server.init('', fake.tsServer);
+            const quickInfo = await server.sendCommand({command: 'quickinfo', arguments: {file: '/src/main.ts'}});
+            await server.sendCommand({command: 'navbar', arguments: {file: '/src/main.ts'}});
+            server.killServer();
+
+            fake.setScenario({commands: {quickinfo: {respond: false}}});
+            const report = await replayTrace(traceFile, {tsServer: fake.tsServer, timeout: 30});
+            await waitForReplayExit(fake);
+            expect(report).to.deep.equal({
+                compared: 3,
+                matched: 2,
+                mismatches: [{seq: quickInfo.request_seq, command: 'quickinfo', error: 'tsserver response timeout'}],
+                unanswered: []
+            });
+        } finally {
+            server.killServer();
+            fake.dispose();
+            fs.rmSync(directory, {recursive: true, force: true});
+        }
+    });
+
+    it('should replay the changes of watched files', async function () {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'protocolTrace-'));
+        const traceFile = path.join(directory, 'trace.jsonl');
+        // From TypeScript 5.5 on, one notification carries the changes of all watchers.
+        const fake = createFakeTSServer({version: '5.5.0', commands: {quickinfo: {echo: true}}});
+        const server = createTSServerInstance(true, {recordFile: traceFile});
+        try {
+            await server.init('', fake.tsServer);
+            await server.openFile('/src/main.ts', undefined, {fileContent: 'import "./util";'});
+            await server.sendWatchChangeRequest(1, '/src/util.ts', 'create');
+            await server.getQuickInfo('/src/main.ts', 1, 9);
+            server.killServer();
+
+            const report = await replayTrace(traceFile, {tsServer: fake.tsServer, timeout: 1000});
+            await waitForReplayExit(fake);
+            expect(report).to.deep.equal({compared: 2, matched: 2, mismatches: [], unanswered: []});
+            const [recorded, replayed] = fake.getProcesses().map((process) => process.requests
+                .filter((message) => message.command === 'watchChange')
+                .map((message) => message.arguments));
+            expect(replayed).to.deep.equal([[{id: 1, created: ['/src/util.ts'], deleted: [], updated: []}]]);
+            expect(replayed).to.deep.equal(recorded);
+        } finally {
+            server.killServer();
+            fake.dispose();
+            fs.rmSync(directory, {recursive: true, force: true});
+        }
+    });
+});
@@ -0,0 +1,106 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import {createRequestQueue} from "../../src/utils/requestQueue.js";
+
+let expect = chai.expect;
+
+function createQueue(maxInFlight) {
+    const dispatched = [];
+    const queue = createRequestQueue((seq) => dispatched.push(seq), maxInFlight);
+    return {queue, dispatched};
+}
+
+describe('requestQueue', function () {
+    it('should dispatch up to maxInFlight requests right away', function () {
+        const {queue, dispatched} = createQueue(2);
+        queue.enqueue(1);
+        queue.enqueue(2);
+        queue.enqueue(3);
+        expect(dispatched).to.deep.equal([1, 2]);
+        expect(queue.getQueuedCount()).to.equal(1);
+        expect(queue.getInFlightCount()).to.equal(2);
+    });
+
+    it('should dispatch the next request when one settles', function () {
+        const {queue, dispatched} = createQueue(1);
+        queue.enqueue(1);
+        queue.enqueue(2);
+        expect(queue.settle(1)).to.equal(false);
+        expect(dispatched).to.deep.equal([1, 2]);
+    });
+
+    it('should let interactive requests overtake normal and background ones', function () {
+        const {queue, dispatched} = createQueue(1);
+        queue.enqueue(1, 'normal');
+        queue.enqueue(2, 'background');
+        queue.enqueue(3, 'normal');
+        queue.enqueue(4, 'interactive');
+        queue.enqueue(5, 'interactive');
+        for (const seq of [1, 4, 5, 3]) {
+            queue.settle(seq);
+        }
+        expect(dispatched).to.deep.equal([1, 4, 5, 3, 2]);
+    });
+
+    it('should drop a queued request without dispatching it', function () {
+        const {queue, dispatched} = createQueue(1);
+        queue.enqueue(1);
+        queue.enqueue(2);
+        expect(queue.isQueued(2)).to.equal(true);
+        expect(queue.settle(2)).to.equal(true);
+        queue.settle(1);
+        expect(dispatched).to.deep.equal([1]);
+        expect(queue.getInFlightCount()).to.equal(0);
+    });
+
+    it('should dispatch everything on flush', function () {
+        const {queue, dispatched} = createQueue(1);
+        queue.enqueue(1);
+        queue.enqueue(2, 'background');
+        queue.enqueue(3, 'interactive');
+        queue.flush();
+        expect(dispatched).to.deep.equal([1, 3, 2]);
+        expect(queue.getQueuedCount()).to.equal(0);
+    });
+
+    it('should hold requests back while paused, even from flush', function () {
+        const {queue, dispatched} = createQueue(1);
+        queue.pause();
+        queue.enqueue(1);
+        queue.enqueue(2, 'interactive');
+        queue.flush();
+        expect(dispatched).to.deep.equal([]);
+        queue.resume();
+        expect(dispatched).to.deep.equal([2]);
+        queue.settle(2);
+        expect(dispatched).to.deep.equal([2, 1]);
+    });
+
+    it('should handle requests settled while being dispatched', function () {
+        const dispatched = [];
+        const queue = createRequestQueue((seq) => {
+            dispatched.push(seq);
+            queue.settle(seq);
+        }, 1);
+        queue.enqueue(1);
+        queue.enqueue(2);
+        expect(dispatched).to.deep.equal([1, 2]);
+        expect(queue.getInFlightCount()).to.equal(0);
+    });
+
+    it('should forget all requests on clear', function () {
+        const {queue, dispatched} = createQueue(1);
+        queue.enqueue(1);
+        queue.enqueue(2);
+        queue.clear();
+        queue.settle(1);
+        expect(dispatched).to.deep.equal([1]);
+        expect(queue.getQueuedCount()).to.equal(0);
+    });
+
+    it('should reject unknown priorities', function () {
+        const {queue} = createQueue(1);
+        expect(() => queue.enqueue(1, 'urgent')).to.throw('Unknown request priority');
+    });
+});
@@ -0,0 +1,710 @@
+/*global describe, it, beforeEach, afterEach*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import createTSServerInstance, {TSServerError, UnsupportedCommandError} from "../../src/index.js";
+import {createFakeTSServer} from "../support/fakeTsServer.js";
+
+let expect = chai.expect;
+
+function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+function nextEvent(server, eventName) {
+    return new Promise((resolve) => {
+        const unsubscribe = server.on(eventName, (body) => {
+            unsubscribe();
+            resolve(body);
+        });
+    });
+}
+
+async function waitForRequest(fake, command) {
+    for (let attempt = 0; attempt < 40; attempt++) {
+        const request = fake.getRequests().find((message) => message.command === command);
+        if (request) {
+            return request;
+        }
+        await wait(25);
+    }
+    throw new Error(`tsserver did not receive a '${command}' request`);
+}
+
+async function getRejection(promise) {
+    try {
+        await promise;
+    } catch (e) {
+        return e;
+    }
+    throw new Error('Expected the promise to reject');
+}
+
+describe('server', function () {
+    let fake;
+    let server;
+
+    async function startServer(scenario, instanceOptions, launchOptions) {
+        fake = createFakeTSServer(scenario);
+        server = createTSServerInstance(true, instanceOptions);
+        await server.init('', fake.tsServer, launchOptions);
+        return server;
+    }
+
+    afterEach(function () {
+        if (server) {
+            server.killServer();
+            server = null;
+        }
+        if (fake) {
+            fake.dispose();
+            fake = null;
+        }
+    });
+
+    it('should be ready after the typingsInstallerPid event', async function () {
+        // The status request is never answered, so only the event can make the server ready.
+        await startServer({commands: {status: {respond: false}}}, {timeouts: {status: 50}});
+        expect(server.getTypeScriptInfo().version).to.equal(undefined);
+        const [argv] = fake.getStarts();
+        expect(argv).to.include.members(['--useInferredProjectPerProjectRoot', '--serverMode']);
+        expect(argv[argv.indexOf('--serverMode') + 1]).to.equal('semantic');
+    });
+
+    it('should be ready after the status response without automatic typing acquisition', async function () {
+        await startServer({startDelay: 20}, {}, {disableAutomaticTypingAcquisition: true});
+        expect(fake.getRequests()[0]).to.include({seq: -1, command: 'status'});
+    });
+
+    it('should be ready when tsserver never sends the typingsInstallerPid event', async function () {
+        await startServer({startDelay: 20, skipTypingsInstallerPid: true});
+        expect(fake.getRequests()[0]).to.include({seq: -1, command: 'status'});
+    });
+
+    it('should start tsserver with the type acquisition of the instance', async function () {
+        await startServer({}, {typeAcquisition: {offline: true}});
+        const [argv] = fake.getStarts();
+        expect(argv[argv.indexOf('--npmLocation') + 1]).to.match(/^"node" ".*offlineNpm\.js"$/);
+        expect(argv).to.not.include('--disableAutomaticTypingAcquisition');
+    });
+
+    it('should report typings that could not be acquired', async function () {
+        const body = {eventId: 0, packages: ['@types/lodash@ts5.4', '@types/node'], success: false};
+        await startServer({commands: {open: {events: [{event: 'endInstallTypes', body}]}}});
+        const missingTypings = nextEvent(server, 'missingTypings');
+        await server.openFile('/a/main.js', undefined, {fileContent: 'import _ from "lodash";'});
+        expect(await missingTypings).to.deep.equal({packages: ['@types/lodash', '@types/node']});
+    });
+
+    it('should reject invalid type acquisition options', async function () {
+        const error = await getRejection(startServer({}, {typeAcquisition: {offline: 'yes'}}));
+        expect(error).to.be.instanceOf(TypeError);
+        expect(fake.getStarts()).to.deep.equal([]);
+    });
+
+    it('should reject offline type acquisition together with an npm location', async function () {
+        const error = await getRejection(startServer({}, {typeAcquisition: {offline: true}},
+            {npmLocation: '/usr/bin/npm'}));
+        expect(error).to.be.instanceOf(TypeError);
+        expect(error.message).to.include('npmLocation');
+        expect(fake.getStarts()).to.deep.equal([]);
+    });
+
+    it('should report the version of a custom tsserver', async function () {
+        await startServer({version: '5.0.4'});
+        expect(server.getTypeScriptInfo()).to.deep.equal({tsServerPath: fake.tsServer, version: '5.0.4',
+            source: 'custom'});
+    });
+
+    it('should reject commands that the running TypeScript does not have', async function () {
+        await startServer({version: '5.0.4'});
+        expect(server.supports('linkedEditingRange')).to.equal(false);
+        expect(server.supports('quickinfo')).to.equal(true);
+        const error = await getRejection(server.getLinkedEditingRange('/a/main.tsx', 1, 2));
+        expect(error).to.be.an.instanceOf(UnsupportedCommandError);
+        expect(error).to.include({command: 'linkedEditingRange', requiredVersion: '5.1.0', version: '5.0.4'});
+        expect(fake.getRequests().map((message) => message.command)).to.not.include('linkedEditingRange');
+    });
+
+    it('should resolve a command with its response', async function () {
+        await startServer({commands: {quickinfo: {body: {displayString: 'const x: number'}}}});
+        const response = await server.getQuickInfo('/a/main.ts', 1, 7);
+        expect(response).to.include({type: 'response', command: 'quickinfo', success: true});
+        expect(response.body).to.deep.equal({displayString: 'const x: number'});
+        const request = fake.getRequests().find((message) => message.command === 'quickinfo');
+        expect(request).to.deep.include({
+            seq: response.request_seq,
+            type: 'request',
+            arguments: {file: '/a/main.ts', line: 1, offset: 7}
+        });
+    });
+
+    it('should reject a command that fails with a TSServerError', async function () {
+        await startServer({commands: {definition: {success: false, message: 'No project.'}}});
+        const error = await getRejection(server.getDefinition('/a/main.ts', 1, 1));
+        expect(error).to.be.an.instanceOf(TSServerError);
+        expect(error.message).to.include('No project.');
+    });
+
+    it('should resolve a command that fails with rejectOnError false', async function () {
+        await startServer({commands: {definition: {success: false, message: 'No project.'}}}, {rejectOnError: false});
+        const response = await server.getDefinition('/a/main.ts', 1, 1);
+        expect(response).to.include({success: false, message: 'No project.'});
+    });
+
+    it('should reject a command that is not answered in time', async function () {
+        await startServer({commands: {quickinfo: {respond: false}}});
+        const error = await getRejection(server.sendCommand(
+            {command: 'quickinfo', arguments: {file: '/a/main.ts', line: 1, offset: 1}}, 30));
+        expect(error.message).to.equal('tsserver response timeout');
+        expect(server.getMetrics().quickinfo).to.include({count: 1, timeout: 1});
+    });
+
+    it('should time out commands after the timeout of their entry in the timeouts option', async function () {
+        await startServer({commands: {quickinfo: {respond: false}, definition: {respond: false}}},
+            {timeouts: {quickinfo: 30, default: 80}, maxInFlightRequests: 3});
+        const timedOut = [];
+        const expectTimeout = (name, response) => getRejection(response).then((error) => {
+            expect(error.message).to.equal('tsserver response timeout');
+            timedOut.push(name);
+        });
+        await Promise.all([
+            expectTimeout('default', server.getDefinition('/a/main.ts', 1, 1)),
+            expectTimeout('quickinfo', server.getQuickInfo('/a/main.ts', 1, 1)),
+            expectTimeout('argument', server.sendCommand(
+                {command: 'definition', arguments: {file: '/a/main.ts', line: 1, offset: 1}}, 10))
+        ]);
+        expect(timedOut).to.deep.equal(['argument', 'quickinfo', 'default']);
+    });
+
+    it('should pass every request to onRequestCompleted once with its outcome and timing', async function () {
+        const completed = [];
+        await startServer({commands: {
+            quickinfo: {body: {}, performanceData: {updateGraphDurationMs: 4}},
+            definition: {respond: false},
+            references: {delay: 20}
+        }}, {onRequestCompleted: (timing) => completed.push(timing)});
+        await server.getQuickInfo('/a/main.ts', 1, 1);
+        await getRejection(server.sendCommand(
+            {command: 'definition', arguments: {file: '/a/main.ts', line: 1, offset: 1}}, 30));
+        const controller = new AbortController();
+        const references = server.findReferences('/a/main.ts', 1, 1, controller.signal);
+        controller.abort();
+        await getRejection(references);
+        // The cancelled request is still answered by tsserver, which must not complete it a second time.
+        await wait(40);
+        // The first request asks the fake tsserver for its version.
+        expect(completed.map(({command, outcome}) => [command, outcome])).to.deep.equal([
+            ['status', 'success'],
+            ['quickinfo', 'success'],
+            ['definition', 'timeout'],
+            ['references', 'cancelled']
+        ]);
+        expect(completed[1].performanceData).to.deep.equal({updateGraphDurationMs: 4});
+        expect(completed[2].duration).to.be.at.least(25);
+        for (const timing of completed) {
+            expect(timing.duration).to.be.a('number').that.is.at.least(0);
+        }
+    });
+
+    it('should answer requests for the same command and file side by side by default', async function () {
+        await startServer({commands: {navbar: {echo: true}}});
+        const responses = await Promise.all([server.getNavBar('/a/main.ts'), server.getNavBar('/a/main.ts')]);
+        expect(responses.map((response) => response.success)).to.deep.equal([true, true]);
+    });
+
+    it('should reject a queued request superseded by a newer one without writing it', async function () {
+        await startServer({commands: {references: {delay: 30}, quickinfo: {echo: true}}}, {coalesceRequests: true});
+        const references = server.findReferences('/a/main.ts', 1, 1);
+        const first = server.getQuickInfo('/a/main.ts', 1, 1);
+        const second = server.getQuickInfo('/a/main.ts', 1, 5);
+        const error = await getRejection(first);
+        expect(error.name).to.equal('AbortError');
+        expect((await second).body).to.include({offset: 5});
+        await references;
+        const quickInfos = fake.getRequests().filter((message) => message.command === 'quickinfo');
+        expect(quickInfos.map((message) => message.arguments.offset)).to.deep.equal([5]);
+        expect(server.getMetrics().quickinfo).to.include({count: 2, success: 1, cancelled: 1});
+    });
+
+    it('should cancel a written request superseded by a newer one on the server', async function () {
+        await startServer({commands: {getOutliningSpans: {delay: 50}}}, {coalesceRequests: true});
+        const first = server.getOutliningSpans('/a/main.ts');
+        await waitForRequest(fake, 'getOutliningSpans');
+        const second = server.getOutliningSpans('/a/main.ts');
+        const otherFile = server.getOutliningSpans('/a/other.ts');
+        expect((await getRejection(first)).name).to.equal('AbortError');
+        await Promise.all([second, otherFile]);
+        const [firstRequest] = fake.getRequests().filter((message) => message.command === 'getOutliningSpans');
+        expect(fake.getCancelledRequests()).to.deep.equal([firstRequest.seq]);
+    });
+
+    it('should supersede geterr requests for the same files', async function () {
+        await startServer({}, {coalesceRequests: true});
+        const first = server.getErrors(['/a/main.ts'], 0, {collect: true});
+        const second = server.getErrors(['/a/main.ts'], 0, {collect: true});
+        expect((await getRejection(first)).name).to.equal('AbortError');
+        expect(await second).to.have.property('/a/main.ts');
+    });
+
+    it('should answer requests in the order tsserver answers them', async function () {
+        await startServer({commands: {slow: {echo: true, delay: 40}, fast: {echo: true}}},
+            {maxInFlightRequests: 2});
+        const order = [];
+        const slow = server.sendCommand({command: 'slow', arguments: {id: 1}}).then(() => order.push('slow'));
+        const fast = server.sendCommand({command: 'fast', arguments: {id: 2}}).then(() => order.push('fast'));
+        await Promise.all([slow, fast]);
+        expect(order).to.deep.equal(['fast', 'slow']);
+    });
+
+    it('should decode multi-byte characters split across chunks', async function () {
+        const text = 'Größe € 😀 漢字';
+        await startServer({chunkSize: 3, commands: {echo: {echo: true, events: [
+            {event: 'projectLoadingStart', body: {projectName: text}}
+        ]}}});
+        const loading = nextEvent(server, 'projectLoadingStart');
+        const response = await server.sendCommand({command: 'echo', arguments: {text}});
+        expect(response.body).to.deep.equal({text});
+        expect(await loading).to.deep.equal({projectName: text});
+    });
+
+    it('should emit tsserver events to their handlers', async function () {
+        const body = {projectName: '/a/tsconfig.json', reason: 'Creating possible configured project'};
+        fake = createFakeTSServer({startEvents: [{event: 'projectLoadingStart', body}]});
+        server = createTSServerInstance();
+        const loading = nextEvent(server, 'projectLoadingStart');
+        await server.init('', fake.tsServer);
+        expect(await loading).to.deep.equal(body);
+    });
+
+    it('should collect the diagnostics of geterr', async function () {
+        const diagnostic = {start: {line: 1, offset: 1}, end: {line: 1, offset: 2}, text: 'Unexpected token.'};
+        await startServer({commands: {geterr: {diagnostics: {'/a/main.ts': {syntactic: [diagnostic]}}}}});
+        const diagnostics = await server.getErrors(['/a/main.ts'], 0, {collect: true});
+        expect(diagnostics).to.deep.equal({'/a/main.ts': {syntactic: [diagnostic], semantic: [], suggestion: []}});
+    });
+
+    it('should time out collecting diagnostics after the default entry of the timeouts option', async function () {
+        await startServer({commands: {geterr: {delay: 1000}}}, {timeouts: {default: 30}});
+        const error = await getRejection(server.getErrors(['/a/main.ts'], 0, {collect: true}));
+        expect(error.message).to.equal('tsserver diagnostics timeout');
+    });
+
+    it('should reject an aborted request and cancel it on the server', async function () {
+        await startServer({commands: {references: {delay: 50}}}, {rejectOnError: false});
+        const controller = new AbortController();
+        const response = server.findReferences('/a/main.ts', 1, 1, controller.signal);
+        await wait(10);
+        controller.abort();
+        const error = await getRejection(response);
+        expect(error.name).to.equal('AbortError');
+        expect(server.getMetrics().references).to.include({cancelled: 1});
+        await wait(60);
+        expect(fake.getCancelledRequests()).to.have.length(1);
+    });
+
+    it('should log the stderr output of tsserver', async function () {
+        const warnings = [];
+        await startServer({stderr: 'Debug Failure.'}, {logger: {
+            warn: (message, fields) => warnings.push([message, fields])
+        }});
+        await wait(20);
+        expect(warnings).to.deep.include(['tsserver stderr output', {stderr: 'Debug Failure.'}]);
+    });
+
+    it('should reject pending commands and restart after a crash', async function () {
+        await startServer({commands: {quickinfo: {crash: 3}}}, {restartDelay: 10});
+        await server.openFile('/a/main.ts', undefined, {fileContent: 'const x = 1;'});
+        const crashed = nextEvent(server, 'crashed');
+        const restarted = nextEvent(server, 'restarted');
+        const error = await getRejection(server.getQuickInfo('/a/main.ts', 1, 7));
+        expect(error.message).to.equal('tsserver exited unexpectedly with code 3');
+        expect(await crashed).to.include({code: 3});
+        expect(await restarted).to.deep.equal({attempt: 1, reason: 'crash'});
+        expect(fake.getStarts()).to.have.length(2);
+        await server.getNavTree('/a/main.ts');
+        // The open file was re-opened with its text on the new process before the request.
+        const opens = fake.getRequests().filter((message) => message.command === 'open');
+        expect(opens).to.have.length(2);
+        expect(opens[1].arguments).to.include({file: '/a/main.ts', fileContent: 'const x = 1;'});
+    });
+
+    it('should hold requests made during a restart until the open files are re-opened', async function () {
+        await startServer({commands: {quickinfo: {crash: 3}}}, {restartDelay: 10});
+        await server.openFile('/a/main.ts', undefined, {fileContent: 'const x = 1;'});
+        await server.configure({formatOptions: {tabSize: 2}});
+        fake.setScenario({startDelay: 50});
+        const restarted = nextEvent(server, 'restarted');
+        await getRejection(server.getQuickInfo('/a/main.ts', 1, 7));
+        while (fake.getStarts().length < 2) {
+            await wait(5);
+        }
+        const navTree = server.getNavTree('/a/main.ts');
+        server.sendChange('/a/main.ts', {line: 1, offset: 13}, {line: 1, offset: 13}, ' x;');
+        await restarted;
+        await navTree;
+        const commands = fake.getRequests().map((message) => message.command);
+        const secondProcess = commands.slice(commands.lastIndexOf('status'));
+        expect(secondProcess).to.deep.equal(['status', 'configure', 'open', 'navtree']);
+        const reopen = fake.getRequests().filter((message) => message.command === 'open')[1];
+        expect(reopen.arguments.fileContent).to.equal('const x = 1; x;');
+    });
+
+    describe('openFile', function () {
+        function getOpenArguments() {
+            return fake.getRequests().filter((message) => message.command === 'open')
+                .map((message) => message.arguments);
+        }
+
+        it('should open untitled buffers in memory with an empty text by default', async function () {
+            await startServer({});
+            const untitled = server.getUntitledFilePath(1);
+            expect(untitled).to.equal('^/untitled/ts-nul-authority/Untitled-1');
+            expect(server.getUntitledFilePath('notes', '.tsx'))
+                .to.equal('^/untitled/ts-nul-authority/Untitled-notes.tsx');
+            await server.openFile(untitled, undefined, {scriptKindName: 'TS'});
+            await waitForRequest(fake, 'open');
+            expect(getOpenArguments()).to.deep.equal([{file: untitled, fileContent: '', scriptKindName: 'TS'}]);
+            expect(server.getDocument(untitled)).to.include({text: '', version: 1, scriptKindName: 'TS'});
+        });
+
+        it('should send the content, script kind and project root of a file', async function () {
+            await startServer({});
+            await server.openFile('/a/component', undefined,
+                {fileContent: 'const a = <div/>;', scriptKindName: 'JSX', projectRootPath: '/a'});
+            await waitForRequest(fake, 'open');
+            expect(getOpenArguments()).to.deep.equal([{file: '/a/component', fileContent: 'const a = <div/>;',
+                scriptKindName: 'JSX', projectRootPath: '/a'}]);
+        });
+
+        it('should reject an unknown script kind without opening the file', async function () {
+            await startServer({});
+            const error = await getRejection(server.openFile('/a/main.vue', undefined, {scriptKindName: 'Vue'}));
+            expect(error).to.be.instanceOf(TypeError);
+            expect(error.message).to.include("Unknown scriptKindName 'Vue'");
+            expect(getOpenArguments()).to.deep.equal([]);
+            expect(server.getDocument('/a/main.vue')).to.equal(undefined);
+        });
+    });
+
+    describe('batched changes', function () {
+        function getCommands() {
+            return fake.getRequests().map((message) => message.command).filter((command) => command !== 'status');
+        }
+
+        it('should send the buffered edits of all files as one updateOpen before a request', async function () {
+            await startServer({}, {batchChanges: true, batchDelay: 5000});
+            await server.openFile('/a/main.ts', undefined, {fileContent: 'let a = 1;'});
+            await server.openFile('/a/util.ts', undefined, {fileContent: 'export {};'});
+            server.sendChange('/a/main.ts', {line: 1, offset: 5}, {line: 1, offset: 6}, 'count');
+            server.sendChange('/a/main.ts', {line: 1, offset: 13}, {line: 1, offset: 14}, '2');
+            server.sendChange('/a/util.ts', {line: 1, offset: 1}, {line: 1, offset: 1}, '// util\n');
+            await server.getQuickInfo('/a/main.ts', 1, 5);
+            expect(getCommands()).to.deep.equal(['open', 'open', 'updateOpen', 'quickinfo']);
+            const updateOpen = fake.getRequests().find((message) => message.command === 'updateOpen');
+            expect(updateOpen.arguments.changedFiles).to.deep.equal([
+                {fileName: '/a/main.ts', textChanges: [
+                    {start: {line: 1, offset: 5}, end: {line: 1, offset: 10}, newText: 'count = 2'}
+                ]},
+                {fileName: '/a/util.ts', textChanges: [
+                    {start: {line: 1, offset: 1}, end: {line: 1, offset: 1}, newText: '// util\n'}
+                ]}
+            ]);
+            expect(server.getDocument('/a/main.ts')).to.include({text: 'let count = 2;', version: 3});
+        });
+
+        it('should send the buffered edits once no edit was made for batchDelay', async function () {
+            await startServer({}, {batchChanges: true, batchDelay: 20});
+            await server.openFile('/a/main.ts', undefined, {fileContent: 'let a;'});
+            server.sendChange('/a/main.ts', {line: 1, offset: 7}, {line: 1, offset: 7}, '\n');
+            const updateOpen = await waitForRequest(fake, 'updateOpen');
+            expect(updateOpen.arguments.changedFiles[0].textChanges).to.deep.equal(
+                [{start: {line: 1, offset: 7}, end: {line: 1, offset: 7}, newText: '\n'}]);
+            expect(getCommands()).to.not.include('change');
+        });
+
+        it('should send the changes of updateOpen in document order', async function () {
+            await startServer({});
+            await server.openFile('/a/main.ts', undefined, {fileContent: 'one\ntwo\n'});
+            const textChanges = [
+                {start: {line: 2, offset: 1}, end: {line: 2, offset: 4}, newText: '2'},
+                {start: {line: 1, offset: 1}, end: {line: 1, offset: 4}, newText: '1'}
+            ];
+            await server.updateOpen([], [{fileName: '/a/main.ts', textChanges}], []);
+            const updateOpen = fake.getRequests().find((message) => message.command === 'updateOpen');
+            expect(updateOpen.arguments.changedFiles[0].textChanges).to.deep.equal(
+                [textChanges[1], textChanges[0]]);
+            expect(server.getDocument('/a/main.ts').text).to.equal('1\n2\n');
+        });
+    });
+
+    describe('configure', function () {
+        function getConfigureArguments() {
+            return fake.getRequests().filter((message) => message.command === 'configure')
+                .map((message) => message.arguments);
+        }
+
+        it('should merge format options and preferences of repeated calls', async function () {
+            await startServer({});
+            await server.configure({hostInfo: 'phoenix-code', formatOptions: {tabSize: 4, indentSize: 4}});
+            await server.configure({hostInfo: 'phoenix', formatOptions: {tabSize: 2},
+                preferences: {quotePreference: 'single'}});
+            expect(server.getConfiguration()).to.deep.equal({
+                hostInfo: 'phoenix',
+                formatOptions: {tabSize: 2, indentSize: 4},
+                preferences: {quotePreference: 'single'}
+            });
+            // tsserver merges them itself, so every call sends only its own settings.
+            expect(getConfigureArguments()[1]).to.deep.equal({hostInfo: 'phoenix', formatOptions: {tabSize: 2},
+                preferences: {quotePreference: 'single'}});
+        });
+
+        it('should keep format options per file until the file is closed', async function () {
+            await startServer({});
+            await server.openFile('/a/main.ts', undefined, {fileContent: ''});
+            await server.configure({formatOptions: {tabSize: 4}});
+            await server.configure({file: '/a/main.ts', formatOptions: {tabSize: 2}});
+            await server.configure({file: '/a/main.ts', formatOptions: {convertTabsToSpaces: false}});
+            expect(server.getConfiguration('/a/main.ts')).to.deep.equal(
+                {formatOptions: {tabSize: 2, convertTabsToSpaces: false}});
+            expect(server.getConfiguration()).to.deep.equal({formatOptions: {tabSize: 4}});
+            expect(getConfigureArguments()[1]).to.deep.equal({file: '/a/main.ts', formatOptions: {tabSize: 2}});
+            server.closeFile('/a/main.ts');
+            expect(server.getConfiguration('/a/main.ts')).to.deep.equal({});
+        });
+
+        it('should reject unknown settings without sending them', async function () {
+            await startServer({});
+            const error = await getRejection(server.configure({formatOptions: {tabSize: 2}, tabSize: 2}));
+            expect(error).to.be.instanceOf(TypeError);
+            expect(error.message).to.include('Unknown configure settings: tabSize');
+            expect(getConfigureArguments()).to.deep.equal([]);
+            expect(server.getConfiguration()).to.deep.equal({});
+        });
+
+        it('should send the merged settings again after a crash', async function () {
+            await startServer({commands: {quickinfo: {crash: 1}}}, {restartDelay: 10});
+            await server.openFile('/a/main.ts', undefined, {fileContent: ''});
+            await server.configure({hostInfo: 'phoenix', formatOptions: {tabSize: 4}});
+            await server.configure({formatOptions: {indentSize: 4}});
+            await server.configure({file: '/a/main.ts', preferences: {quotePreference: 'double'}});
+            const restarted = nextEvent(server, 'restarted');
+            await getRejection(server.getQuickInfo('/a/main.ts', 1, 1));
+            await restarted;
+            await server.getNavTree('/a/main.ts');
+            expect(getConfigureArguments().slice(3)).to.deep.equal([
+                {hostInfo: 'phoenix', formatOptions: {tabSize: 4, indentSize: 4}},
+                {file: '/a/main.ts', preferences: {quotePreference: 'double'}}
+            ]);
+        });
+    });
+
+    it('should give up restarting after maxRestarts', async function () {
+        await startServer({commands: {quickinfo: {crash: 1}}}, {restartDelay: 5, maxRestarts: 2});
+        fake.setScenario({exitOnStart: 1});
+        const restartFailed = nextEvent(server, 'restartFailed');
+        await getRejection(server.getQuickInfo('/a/main.ts', 1, 1));
+        expect(await restartFailed).to.deep.equal({attempts: 2});
+        expect(fake.getStarts()).to.have.length(3);
+    });
+
+    it('should not restart after exitServer', async function () {
+        await startServer({commands: {quickinfo: {respond: false}}}, {restartDelay: 5});
+        const response = server.getQuickInfo('/a/main.ts', 1, 1);
+        server.exitServer();
+        expect((await getRejection(response)).message).to.equal('tsserver was stopped');
+        await wait(50);
+        expect(fake.getStarts()).to.have.length(1);
+        expect(fake.getRequests().map((message) => message.command)).to.include('exit');
+    });
+
+    describe('syntax server', function () {
+        // The commands received by the processes started in a server mode, without the readiness probes.
+        function getCommands(serverMode) {
+            return fake.getProcesses()
+                .filter((process) => process.serverMode === serverMode)
+                .flatMap((process) => process.requests.map((message) => message.command))
+                .filter((command) => command !== 'status');
+        }
+
+        it('should send syntactic requests to the syntax server and the others to the semantic one',
+            async function () {
+                await startServer({}, {useSyntaxServer: true});
+                await server.getNavTree('/a/main.ts');
+                await server.format('/a/main.ts', 1, 1, 1, 5);
+                await server.getQuickInfo('/a/main.ts', 1, 1);
+                expect(getCommands('syntactic')).to.deep.equal(['navtree', 'format']);
+                expect(getCommands('semantic')).to.deep.equal(['quickinfo']);
+            });
+
+        it('should open, change and close files on both servers', async function () {
+            await startServer({}, {useSyntaxServer: true});
+            await server.openFile('/a/main.ts', undefined, {fileContent: 'let a;'});
+            server.sendChange('/a/main.ts', {line: 1, offset: 7}, {line: 1, offset: 7}, '\n');
+            server.closeFile('/a/main.ts');
+            // Answered after the notifications written before them.
+            await server.getNavTree('/a/main.ts');
+            await server.getQuickInfo('/a/main.ts', 1, 1);
+            expect(getCommands('syntactic')).to.deep.equal(['open', 'change', 'close', 'navtree']);
+            expect(getCommands('semantic')).to.deep.equal(['open', 'change', 'close', 'quickinfo']);
+            for (const {requests} of fake.getProcesses()) {
+                const change = requests.find((message) => message.command === 'change');
+                expect(change.arguments).to.include({file: '/a/main.ts', insertString: '\n'});
+            }
+        });
+
+        it('should fall back to the semantic server while the syntax server restarts after a crash',
+            async function () {
+                await startServer({byServerMode: {syntactic: {commands: {navtree: {crash: 2}}}}},
+                    {useSyntaxServer: true, restartDelay: 10});
+                const crashed = nextEvent(server, 'crashed');
+                const restarted = nextEvent(server, 'restarted');
+                const error = await getRejection(server.getNavTree('/a/main.ts'));
+                expect(error.message).to.equal('tsserver exited unexpectedly with code 2');
+                expect(await crashed).to.include({code: 2, server: 'syntax'});
+                await server.getOutliningSpans('/a/main.ts');
+                expect(getCommands('semantic')).to.deep.equal(['getOutliningSpans']);
+
+                expect(await restarted).to.deep.equal({attempt: 1, reason: 'crash', server: 'syntax'});
+                await server.getOutliningSpans('/a/main.ts');
+                expect(getCommands('syntactic')).to.deep.equal(['navtree', 'getOutliningSpans']);
+                expect(fake.getProcesses().map((process) => process.serverMode).sort())
+                    .to.deep.equal(['semantic', 'syntactic', 'syntactic']);
+            });
+
+        it('should start without a syntax server that fails to start', async function () {
+            const errors = [];
+            await startServer({byServerMode: {syntactic: {exitOnStart: 1}}}, {useSyntaxServer: true, logger: {
+                error: (message) => errors.push(message)
+            }});
+            expect(errors).to.include('Error starting the syntax server');
+            await server.getNavTree('/a/main.ts');
+            expect(getCommands('semantic')).to.deep.equal(['navtree']);
+        });
+    });
+
+    describe('memory watchdog', function () {
+        const MEGABYTE = 1024 * 1024;
+        let rss;
+
+        function startWatchedServer(instanceOptions, launchOptions) {
+            rss = 100 * MEGABYTE;
+            return startServer({}, {memoryCheckInterval: 5, memoryThreshold: 500, readMemory: async () => rss,
+                ...instanceOptions}, launchOptions);
+        }
+
+        it('should emit memoryPressure once per crossing of the threshold', async function () {
+            await startWatchedServer();
+            const events = [];
+            server.on('memoryPressure', (body) => events.push(body));
+            const [{pid}] = fake.getProcesses();
+            rss = 600 * MEGABYTE;
+            await wait(40);
+            expect(events).to.deep.equal([{pid, rss: 600, threshold: 500, action: 'none'}]);
+            rss = 100 * MEGABYTE;
+            await wait(40);
+            rss = 700 * MEGABYTE;
+            await wait(40);
+            expect(events.map((body) => body.rss)).to.deep.equal([600, 700]);
+            expect(fake.getStarts()).to.have.length(1);
+        });
+
+        it('should restart tsserver with a larger heap with increaseHeap', async function () {
+            await startWatchedServer({memoryPressureAction: 'increaseHeap', maxHeapSize: 1536},
+                {maxNodeOldSpaceSize: 1024});
+            await server.openFile('/a/main.ts', undefined, {fileContent: 'const x = 1;'});
+            const events = [];
+            server.on('memoryPressure', (body) => events.push(body.action));
+            const restarted = nextEvent(server, 'restarted');
+            rss = 600 * MEGABYTE;
+            expect(await restarted).to.deep.equal({attempt: 0, reason: 'memoryPressure'});
+            await wait(40);
+            // The limit is doubled up to maxHeapSize, after that the server is left as it is.
+            expect(events).to.deep.equal(['increaseHeap', 'none']);
+            const processes = fake.getProcesses();
+            expect(processes).to.have.length(2);
+            expect(processes[0].execArgv).to.include('--max-old-space-size=1024');
+            expect(processes[1].execArgv).to.include('--max-old-space-size=1536');
+            expect(processes[1].execArgv).to.not.include('--max-old-space-size=1024');
+            const reopened = processes[1].requests.find((message) => message.command === 'open');
+            expect(reopened.arguments).to.include({file: '/a/main.ts', fileContent: 'const x = 1;'});
+        });
+
+        it('should restart a semantic server in partialSemantic mode with partialSemantic', async function () {
+            await startWatchedServer({memoryPressureAction: 'partialSemantic'});
+            await server.openFile('/a/main.ts', undefined, {fileContent: 'const x = 1;'});
+            const memoryPressure = nextEvent(server, 'memoryPressure');
+            const restarted = nextEvent(server, 'restarted');
+            rss = 600 * MEGABYTE;
+            expect(await memoryPressure).to.include({action: 'partialSemantic'});
+            expect(await restarted).to.include({reason: 'memoryPressure'});
+            expect(fake.getProcesses().map((process) => process.serverMode))
+                .to.deep.equal(['semantic', 'partialSemantic']);
+            const response = await server.getQuickInfo('/a/main.ts', 1, 7);
+            expect(response.success).to.equal(true);
+            expect(fake.getProcesses()[1].requests.map((message) => message.command))
+                .to.deep.equal(['status', 'open', 'quickinfo']);
+        });
+    });
+
+    describe('watch events', function () {
+        let root;
+        let file;
+
+        function watchScenario(version) {
+            return {version, commands: {open: {events: [{event: 'createFileWatcher', body: {id: 1, path: file}}]}}};
+        }
+
+        async function openAndChange() {
+            await server.openFile('/a/main.ts', undefined, {fileContent: ''});
+            // The watcher is created once the events sent with the open are handled.
+            await server.getNavTree('/a/main.ts');
+            fs.writeFileSync(file, '{"compilerOptions": {}}');
+            return waitForRequest(fake, 'watchChange');
+        }
+
+        beforeEach(function () {
+            root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'watch-events-')));
+            file = path.join(root, 'tsconfig.json');
+            fs.writeFileSync(file, '{}');
+        });
+
+        afterEach(function () {
+            fs.rmSync(root, {recursive: true, force: true});
+        });
+
+        it('should watch files for tsserver and send one change per notification before TypeScript 5.5',
+            async function () {
+                await startServer(watchScenario('5.4.2'));
+                expect(fake.getStarts()[0]).to.include('--canUseWatchEvents');
+                const request = await openAndChange();
+                expect(request.arguments).to.deep.equal({id: 1, path: file, eventType: 'update'});
+            });
+
+        it('should send the changes of all watchers in one notification with TypeScript 5.5', async function () {
+            await startServer(watchScenario('5.5.0'));
+            const request = await openAndChange();
+            expect(request.arguments).to.deep.equal([{id: 1, created: [], deleted: [], updated: [file]}]);
+        });
+
+        it('should let tsserver watch files itself without useWatchEvents', async function () {
+            await startServer(watchScenario('5.4.2'), {useWatchEvents: false});
+            expect(fake.getStarts()[0]).to.not.include('--canUseWatchEvents');
+        });
+
+        it('should send changes seen by the host without waiting for an answer', async function () {
+            await startServer({});
+            await server.sendWatchChangeRequest(3, '/a/util.ts', 'create');
+            const request = await waitForRequest(fake, 'watchChange');
+            expect(request.arguments).to.deep.equal({id: 3, path: '/a/util.ts', eventType: 'create'});
+        });
+
+        it('should reject changes before TypeScript 5.3', async function () {
+            await startServer({version: '5.2.2'});
+            const error = await getRejection(server.sendWatchChangeRequest(3, '/a/util.ts', 'create'));
+            expect(error).to.be.instanceOf(UnsupportedCommandError);
+        });
+    });
+});
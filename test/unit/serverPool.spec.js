@@ -0,0 +1,239 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {createTSServerPool, findProjectRoot} from "../../src/utils/serverPool.js";
+import {createFakeTSServer} from "../support/fakeTsServer.js";
+
+let expect = chai.expect;
+
+// Stands in for createTSServerInstance, requests resolve when `answer` is called.
+function createFakeInstanceFactory() {
+    const instances = [];
+    function createInstance() {
+        const instance = {
+            running: false,
+            starts: 0,
+            pending: [],
+            handlers: new Map(),
+            init: async () => {
+                instance.starts++;
+                instance.running = true;
+            },
+            exitServer: () => {
+                instance.running = false;
+            },
+            killServer: () => {
+                instance.running = false;
+            },
+            on: (eventName, handler) => {
+                instance.handlers.set(eventName, handler);
+            },
+            getDocument: () => undefined,
+            getQuickInfo: (filePath) => new Promise((resolve) => {
+                instance.pending.push(() => resolve({running: instance.running, filePath}));
+            }),
+            answer: () => {
+                for (const resolve of instance.pending.splice(0)) {
+                    resolve();
+                }
+            }
+        };
+        instances.push(instance);
+        return instance;
+    }
+    return {instances, createInstance};
+}
+
+function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+describe('serverPool', function () {
+    it('should map files to the longest workspace root containing them', function () {
+        const pool = createTSServerPool({workspaceRoots: ['/work', '/work/monorepo'], ...createFakeInstanceFactory()});
+        expect(pool.getRoot('/work/app/main.ts')).to.equal('/work');
+        expect(pool.getRoot('/work/monorepo/packages/a/index.ts')).to.equal('/work/monorepo');
+        expect(pool.getRoot('/elsewhere/file.ts')).to.equal('/elsewhere');
+        expect(pool.getServer('/work/a.ts')).to.equal(pool.getServer('/work/b/c.ts'));
+        expect(pool.getServer('/work/monorepo/a.ts')).to.not.equal(pool.getServer('/work/a.ts'));
+    });
+
+    it('should map files to their project with groupBy project', function () {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'serverPool-'));
+        try {
+            fs.mkdirSync(path.join(root, 'packages', 'a', 'src'), {recursive: true});
+            fs.writeFileSync(path.join(root, 'packages', 'a', 'tsconfig.json'), '{}');
+            const file = path.join(root, 'packages', 'a', 'src', 'index.ts');
+            expect(findProjectRoot(file)).to.equal(path.join(root, 'packages', 'a'));
+            const pool = createTSServerPool({workspaceRoots: [root], groupBy: 'project',
+                ...createFakeInstanceFactory()});
+            expect(pool.getRoot(file)).to.equal(path.join(root, 'packages', 'a'));
+            expect(pool.getRoot(path.join(root, 'scripts', 'build.js'))).to.equal(root);
+        } finally {
+            fs.rmSync(root, {recursive: true, force: true});
+        }
+    });
+
+    it('should start a server with the first request', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a'], ...factory});
+        const server = pool.getServer('/a/main.ts');
+        expect(pool.listServers()[0]).to.include({root: '/a', state: 'stopped'});
+        const response = server.getQuickInfo('/a/main.ts');
+        await wait(0);
+        expect(pool.listServers()[0]).to.include({state: 'running', activeRequests: 1});
+        factory.instances[0].answer();
+        expect(await response).to.deep.equal({running: true, filePath: '/a/main.ts'});
+        expect(pool.listServers()[0].activeRequests).to.equal(0);
+    });
+
+    it('should stop idle servers and restart them on the next request', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a'], idleTimeout: 20, ...factory});
+        const server = pool.getServer('/a/main.ts');
+        const first = server.getQuickInfo('/a/main.ts');
+        await wait(0);
+        factory.instances[0].answer();
+        await first;
+        await wait(40);
+        expect(pool.listServers()[0].state).to.equal('stopped');
+        expect(factory.instances[0].running).to.equal(false);
+        const second = server.getQuickInfo('/a/main.ts');
+        await wait(0);
+        factory.instances[0].answer();
+        expect(await second).to.deep.equal({running: true, filePath: '/a/main.ts'});
+        expect(factory.instances[0].starts).to.equal(2);
+        pool.dispose();
+    });
+
+    it('should not stop servers with requests in flight', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a'], idleTimeout: 10, ...factory});
+        const response = pool.getServer('/a/main.ts').getQuickInfo('/a/main.ts');
+        await wait(30);
+        expect(pool.listServers()[0].state).to.equal('running');
+        factory.instances[0].answer();
+        await response;
+        pool.dispose();
+    });
+
+    it('should stop the least recently used idle server when the pool is full', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a', '/b', '/c'], maxServers: 2, ...factory});
+        for (const root of ['/a', '/b']) {
+            const response = pool.getServer(`${root}/main.ts`).getQuickInfo(`${root}/main.ts`);
+            await wait(1);
+            factory.instances[factory.instances.length - 1].answer();
+            await response;
+        }
+        const response = pool.getServer('/c/main.ts').getQuickInfo('/c/main.ts');
+        await wait(0);
+        factory.instances[2].answer();
+        await response;
+        expect(pool.listServers().map(({root, state}) => [root, state]))
+            .to.deep.equal([['/a', 'stopped'], ['/b', 'running'], ['/c', 'running']]);
+    });
+
+    it('should wait for a busy pool before starting another server', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a', '/b'], maxServers: 1, ...factory});
+        const busy = pool.getServer('/a/main.ts').getQuickInfo('/a/main.ts');
+        await wait(0);
+        const waiting = pool.getServer('/b/main.ts').getQuickInfo('/b/main.ts');
+        await wait(0);
+        expect(pool.listServers().map(({state}) => state)).to.deep.equal(['running', 'queued']);
+        factory.instances[0].answer();
+        await busy;
+        await wait(0);
+        expect(pool.listServers().map(({state}) => state)).to.deep.equal(['stopped', 'running']);
+        factory.instances[1].answer();
+        await waiting;
+    });
+
+    it('should restart a server stopped through its handle', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a'], ...factory});
+        const server = pool.getServer('/a/main.ts');
+        const first = server.getQuickInfo('/a/main.ts');
+        await wait(0);
+        factory.instances[0].answer();
+        await first;
+        server.exitServer();
+        expect(pool.listServers()[0].state).to.equal('stopped');
+        const second = server.getQuickInfo('/a/main.ts');
+        await wait(0);
+        factory.instances[0].answer();
+        expect((await second).running).to.equal(true);
+    });
+
+    it('should free the slot of a server that crashed without autoRestart', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a'], instanceOptions: {autoRestart: false}, ...factory});
+        const server = pool.getServer('/a/main.ts');
+        const first = server.getQuickInfo('/a/main.ts');
+        await wait(0);
+        factory.instances[0].answer();
+        await first;
+        factory.instances[0].running = false;
+        factory.instances[0].handlers.get('crashed')({code: 3});
+        expect(pool.listServers()[0].state).to.equal('stopped');
+        const second = server.getQuickInfo('/a/main.ts');
+        await wait(0);
+        factory.instances[0].answer();
+        expect((await second).running).to.equal(true);
+        expect(factory.instances[0].starts).to.equal(2);
+    });
+
+    it('should start a server that crashed without autoRestart again with the next request', async function () {
+        const fake = createFakeTSServer({commands: {quickinfo: {crash: 3}}});
+        const pool = createTSServerPool({workspaceRoots: ['/a'], tsServer: fake.tsServer,
+            instanceOptions: {autoRestart: false}});
+        const server = pool.getServer('/a/main.ts');
+        try {
+            await server.openFile('/a/main.ts', undefined, {fileContent: 'const x = 1;'});
+            let error;
+            try {
+                await server.getQuickInfo('/a/main.ts', 1, 7);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal('tsserver exited unexpectedly with code 3');
+            expect(pool.listServers()[0].state).to.equal('stopped');
+            fake.setScenario({commands: {quickinfo: {body: {displayString: 'const x: 1'}}}});
+            const response = await server.getQuickInfo('/a/main.ts', 1, 7);
+            expect(response.body).to.deep.equal({displayString: 'const x: 1'});
+            expect(pool.listServers()[0].state).to.equal('running');
+            expect(fake.getStarts()).to.have.length(2);
+            const reopened = fake.getProcesses()[1].requests.find((message) => message.command === 'open');
+            expect(reopened.arguments).to.include({file: '/a/main.ts', fileContent: 'const x = 1;'});
+        } finally {
+            // Killed rather than exited, so that the fake no longer writes to its folder when it is removed.
+            server.killServer();
+            pool.dispose();
+            fake.dispose();
+        }
+    });
+
+    it('should reject requests after dispose', async function () {
+        const factory = createFakeInstanceFactory();
+        const pool = createTSServerPool({workspaceRoots: ['/a'], ...factory});
+        const server = pool.getServer('/a/main.ts');
+        pool.dispose();
+        let error;
+        try {
+            await server.getQuickInfo('/a/main.ts');
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal('The tsserver pool was disposed');
+        expect(() => pool.getServer('/a/main.ts')).to.throw('The tsserver pool was disposed');
+    });
+
+    it('should reject invalid options', function () {
+        expect(() => createTSServerPool({groupBy: 'folder'})).to.throw("Unknown groupBy 'folder'");
+        expect(() => createTSServerPool({maxServers: 0})).to.throw(TypeError);
+    });
+});
@@ -0,0 +1,53 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import path from 'path';
+import {buildTypeAcquisitionArguments, getTypingsCacheLocation} from "../../src/utils/typeAcquisition.js";
+
+let expect = chai.expect;
+
+describe('typeAcquisition', function () {
+    it('should find the typings folder tsserver uses below a cache directory', function () {
+        expect(getTypingsCacheLocation('/opt/typings', '5.4.2', 'linux'))
+            .to.equal(path.join('/opt/typings', 'typescript', '5.4'));
+        expect(getTypingsCacheLocation('/opt/typings', '5.10.0-beta', 'darwin'))
+            .to.equal(path.join('/opt/typings', 'typescript', '5.10'));
+        expect(getTypingsCacheLocation('/opt/typings', '5.4.2', 'win32'))
+            .to.equal(path.join('/opt/typings', 'Microsoft', 'TypeScript', '5.4'));
+    });
+
+    it('should keep the defaults of tsserver without options', function () {
+        expect(buildTypeAcquisitionArguments(undefined, 'node')).to.deep.equal({serverArgs: [], env: undefined});
+        expect(buildTypeAcquisitionArguments({enable: true}, 'node')).to.deep.equal({serverArgs: [], env: undefined});
+    });
+
+    it('should disable type acquisition', function () {
+        expect(buildTypeAcquisitionArguments({enable: false, offline: true}, 'node').serverArgs)
+            .to.deep.equal(['--disableAutomaticTypingAcquisition']);
+    });
+
+    it('should replace npm with a script that fails right away when offline', function () {
+        const {serverArgs} = buildTypeAcquisitionArguments({offline: true}, '/usr/local/bin/node');
+        expect(serverArgs[0]).to.equal('--npmLocation');
+        const [, nodePath, scriptPath] = /^"(.*)" "(.*)"$/.exec(serverArgs[1]);
+        expect(nodePath).to.equal('/usr/local/bin/node');
+        expect(path.basename(scriptPath)).to.equal('offlineNpm.js');
+        expect(fs.existsSync(scriptPath)).to.equal(true);
+    });
+
+    it('should pass the cache directory as the user cache directory', function () {
+        const {env} = buildTypeAcquisitionArguments({cacheDirectory: 'typings'}, 'node');
+        expect(env).to.include({XDG_CACHE_HOME: path.resolve('typings'), LOCALAPPDATA: path.resolve('typings')});
+        expect(env.PATH).to.equal(process.env.PATH);
+    });
+
+    it('should reject unknown and invalid options', function () {
+        expect(() => buildTypeAcquisitionArguments({offlne: true}, 'node'))
+            .to.throw(TypeError, "Unknown type acquisition option 'offlne', expected one of enable, cacheDirectory, "
+                + 'offline');
+        expect(() => buildTypeAcquisitionArguments({enable: 'no'}, 'node')).to.throw(TypeError);
+        expect(() => buildTypeAcquisitionArguments({cacheDirectory: ''}, 'node')).to.throw(TypeError);
+        expect(() => buildTypeAcquisitionArguments(true, 'node')).to.throw(TypeError);
+    });
+});
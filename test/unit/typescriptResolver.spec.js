@@ -0,0 +1,78 @@
+/*global describe, it, beforeEach, afterEach*/
+
+import * as chai from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {createRequire} from 'module';
+import {compareVersions, isCommandSupported, readTypeScriptVersion, resolveTypeScript}
+    from "../../src/utils/typescriptResolver.js";
+import moduleDirectory from "../../src/utils/moduleDirectory.cjs";
+
+let expect = chai.expect;
+
+function writeTypeScriptPackage(directory, version) {
+    fs.mkdirSync(path.join(directory, 'lib'), {recursive: true});
+    fs.writeFileSync(path.join(directory, 'package.json'), JSON.stringify({name: 'typescript', version}));
+    fs.writeFileSync(path.join(directory, 'lib', 'tsserver.js'), '');
+    return path.join(directory, 'lib', 'tsserver.js');
+}
+
+describe('typescriptResolver', function () {
+    let root;
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'typescriptResolver-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(root, {recursive: true, force: true});
+    });
+
+    it('should prefer the TypeScript of the workspace', function () {
+        const tsServerPath = writeTypeScriptPackage(path.join(root, 'node_modules', 'typescript'), '5.2.2');
+        writeTypeScriptPackage(path.join(root, '.yarn', 'sdks', 'typescript'), '5.3.3-sdk');
+        expect(resolveTypeScript(root)).to.deep.equal({source: 'workspace', tsServerPath, version: '5.2.2'});
+    });
+
+    it('should find the TypeScript of a parent folder', function () {
+        const tsServerPath = writeTypeScriptPackage(path.join(root, 'node_modules', 'typescript'), '5.2.2');
+        fs.mkdirSync(path.join(root, 'packages', 'app'), {recursive: true});
+        expect(resolveTypeScript(path.join(root, 'packages', 'app')).tsServerPath).to.equal(tsServerPath);
+    });
+
+    it('should use the Yarn SDK of a Plug\'n\'Play workspace', function () {
+        const tsServerPath = writeTypeScriptPackage(path.join(root, '.yarn', 'sdks', 'typescript'), '5.3.3-sdk');
+        expect(resolveTypeScript(root)).to.deep.equal({source: 'yarnSdk', tsServerPath, version: '5.3.3'});
+    });
+
+    it('should fall back to the bundled TypeScript', function () {
+        const require = createRequire(path.join(moduleDirectory, 'typescriptResolver.js'));
+        const {version} = require('typescript/package.json');
+        for (const workspaceRoot of [root, undefined]) {
+            const resolved = resolveTypeScript(workspaceRoot);
+            expect(resolved).to.include({source: 'bundled', version});
+            expect(fs.existsSync(resolved.tsServerPath)).to.equal(true);
+        }
+    });
+
+    it('should read the version of a tsserver script only within a TypeScript package', function () {
+        const tsServerPath = writeTypeScriptPackage(path.join(root, 'typescript'), '4.9.5');
+        expect(readTypeScriptVersion(tsServerPath)).to.equal('4.9.5');
+        fs.writeFileSync(path.join(root, 'tsserver.js'), '');
+        expect(readTypeScriptVersion(path.join(root, 'tsserver.js'))).to.equal(undefined);
+    });
+
+    it('should compare versions by major, minor and patch number', function () {
+        expect(compareVersions('5.4.2', '5.10.0')).to.be.below(0);
+        expect(compareVersions('5.1.0', '5.1')).to.equal(0);
+        expect(compareVersions('5.5.0-beta', '5.4.5')).to.be.above(0);
+    });
+
+    it('should tell whether a version has a command', function () {
+        expect(isCommandSupported('linkedEditingRange', '5.0.4')).to.equal(false);
+        expect(isCommandSupported('linkedEditingRange', '5.1.3')).to.equal(true);
+        expect(isCommandSupported('quickinfo', '2.0.0')).to.equal(true);
+        expect(isCommandSupported('linkedEditingRange', undefined)).to.equal(true);
+    });
+});
@@ -0,0 +1,96 @@
+/*global describe, it*/
+
+import * as chai from 'chai';
+import createTSServerInstance from "../../src/index.js";
+import {startWorkerProcess} from "../../src/utils/workerProcess.js";
+
+let expect = chai.expect;
+
+// A Web Worker shaped stand-in that records the messages posted to it.
+function createFakeWebWorker() {
+    const listeners = {message: [], error: []};
+    const worker = {
+        posted: [],
+        terminated: false,
+        postMessage: (message) => worker.posted.push(message),
+        addEventListener: (type, listener) => listeners[type].push(listener),
+        terminate: () => {
+            worker.terminated = true;
+        },
+        dispatch: (type, event) => listeners[type].forEach((listener) => listener(event))
+    };
+    return worker;
+}
+
+describe('workerProcess', function () {
+    it('should start the worker and forward its input and output', function () {
+        const worker = createFakeWebWorker();
+        const child = startWorkerProcess({typescriptPath: '/ts/typescript.js'}, {createWorker: () => worker});
+        const output = [];
+        child.stdout.on('data', (data) => output.push(data));
+        const request = '{"seq":1,"type":"request","command":"status"}\n';
+        child.stdin.write(request);
+        worker.dispatch('message', {data: {type: 'output', data: 'Content-Length: 3\r\n\r\n{}\n'}});
+
+        expect(child.pid).to.equal(undefined);
+        expect(worker.posted[0]).to.deep.equal({type: 'start', typescriptPath: '/ts/typescript.js'});
+        expect(worker.posted[1]).to.deep.equal({type: 'input', data: request});
+        expect(output).to.deep.equal(['Content-Length: 3\r\n\r\n{}\n']);
+    });
+
+    it('should answer file system calls', async function () {
+        const worker = createFakeWebWorker();
+        const child = startWorkerProcess({}, {createWorker: () => worker});
+        const read = child.callFileSystem('readFile', '/project/main.ts');
+        const failed = child.callFileSystem('readFile', '/project/other.ts');
+        const [, first, second] = worker.posted;
+        expect(first).to.deep.equal({type: 'fileSystem', id: 1, method: 'readFile', args: ['/project/main.ts']});
+        worker.dispatch('message', {data: {type: 'fileSystemResult', id: second.id, error: 'Broken'}});
+        worker.dispatch('message', {data: {type: 'fileSystemResult', id: first.id, result: 'text'}});
+
+        expect(await read).to.equal('text');
+        const error = await failed.catch((e) => e);
+        expect(error.message).to.equal('Broken');
+    });
+
+    it('should close once and reject pending calls when the worker exits', async function () {
+        const worker = createFakeWebWorker();
+        const child = startWorkerProcess({}, {createWorker: () => worker});
+        const closes = [];
+        child.on('close', (code, signal) => closes.push([code, signal]));
+        const pending = child.callFileSystem('fileExists', '/project/main.ts');
+        worker.dispatch('message', {data: {type: 'exit', code: 0}});
+        child.on('error', () => {});
+        worker.dispatch('error', new Error('Late'));
+
+        expect(closes).to.deep.equal([[0, null]]);
+        expect(worker.terminated).to.equal(true);
+        expect(child.stdin.writable).to.equal(false);
+        const error = await pending.catch((e) => e);
+        expect(error.message).to.equal('The tsserver worker exited');
+    });
+
+    it('should report a kill like the exit of a process', async function () {
+        const worker = createFakeWebWorker();
+        const child = startWorkerProcess({}, {createWorker: () => worker});
+        const closed = new Promise((resolve) => child.on('close', (code, signal) => resolve([code, signal])));
+        child.kill();
+        expect(await closed).to.deep.equal([null, 'SIGTERM']);
+    });
+
+    it('should keep the virtual files of an instance that is not running', async function () {
+        const server = createTSServerInstance(true, {backend: 'worker', virtualFiles: {'/project/a.ts': 'a'}});
+        expect(await server.readVirtualFile('/project/a.ts')).to.equal('a');
+        await server.writeVirtualFile('/project/b.ts', 'b');
+        expect(await server.readVirtualFile('/project/b.ts')).to.equal('b');
+        await server.deleteVirtualFile('/project/a.ts');
+        expect(await server.readVirtualFile('/project/a.ts')).to.equal(undefined);
+    });
+
+    it('should reject virtual file calls and unknown backends', async function () {
+        const error = await createTSServerInstance().readVirtualFile('/project/a.ts').catch((e) => e);
+        expect(error.message).to.equal('The virtual file system is only available with the worker backend');
+        expect(() => createTSServerInstance(true, {backend: 'browser'}))
+            .to.throw("Unknown backend 'browser', expected one of process, worker");
+    });
+});